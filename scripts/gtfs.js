@@ -0,0 +1,83 @@
+/**
+ * Import routes from, or export them to, a GTFS static feed
+ *
+ * Usage:
+ *   node scripts/gtfs.js import feed.zip [--dry-run]
+ *   node scripts/gtfs.js export feed.zip
+ *
+ * Targets DynamoDB Local unless DYNAMODB_ENDPOINT and ROUTES_TABLE say otherwise.
+ */
+
+const fs = require('fs');
+
+// Constants read the environment when first required, so defaults are set beforehand
+process.env.DYNAMODB_ENDPOINT = process.env.DYNAMODB_ENDPOINT || 'http://localhost:8000';
+process.env.ROUTES_TABLE = process.env.ROUTES_TABLE || 'bus-tracking-system-dev-routes';
+
+const gtfsService = require('../src/services/gtfsService');
+const { closeRedisClient } = require('../src/services/redis');
+
+const USAGE = 'Usage: node scripts/gtfs.js <import|export> <feed.zip> [--dry-run]';
+
+/**
+ * Import a feed and print the outcome of each route
+ * @param {string} file - Path of the GTFS zip
+ * @param {boolean} dryRun - Validate without writing
+ */
+async function importFeed(file, dryRun) {
+    console.log(`📥 Importing ${file}${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const outcomes = await gtfsService.importFeed(fs.readFileSync(file), { dryRun });
+
+    outcomes.forEach(({ routeId, status, reason }) => {
+        const mark = status === gtfsService.IMPORT_STATUS.SKIPPED ? '⚠️ ' : '✓';
+        console.log(`${mark} ${routeId}: ${status}${reason ? ` (${reason})` : ''}`);
+    });
+
+    const skipped = outcomes.filter(({ status }) => status === gtfsService.IMPORT_STATUS.SKIPPED);
+    console.log(`\n✅ ${outcomes.length - skipped.length} routes imported, ${skipped.length} skipped`);
+}
+
+/**
+ * Export every route to a feed
+ * @param {string} file - Path to write the GTFS zip to
+ */
+async function exportFeed(file) {
+    console.log(`📤 Exporting routes to ${file}...`);
+
+    fs.writeFileSync(file, await gtfsService.exportFeed());
+
+    console.log('✅ Export completed');
+}
+
+/**
+ * Main entry point
+ */
+async function run() {
+    const [command, file, flag] = process.argv.slice(2);
+
+    if (!['import', 'export'].includes(command) || !file) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        if (command === 'import') {
+            await importFeed(file, flag === '--dry-run');
+        } else {
+            await exportFeed(file);
+        }
+    } catch (error) {
+        console.error(`💥 GTFS ${command} failed:`, error.message);
+        process.exitCode = 1;
+    } finally {
+        await closeRedisClient();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    run();
+}
+
+module.exports = { importFeed, exportFeed };
@@ -0,0 +1,32 @@
+/**
+ * Issue a signed access token for local development
+ *
+ * Usage:
+ *   JWT_SECRET=dev-secret node scripts/issue-token.js operator
+ *   JWT_SECRET=dev-secret node scripts/issue-token.js driver bus-001
+ */
+
+const { signToken, ROLES } = require('../src/utils/auth');
+
+function issueToken() {
+    const [role, busId] = process.argv.slice(2);
+
+    if (!process.env.JWT_SECRET) {
+        console.error('❌ JWT_SECRET must be set');
+        process.exit(1);
+    }
+
+    if (!Object.values(ROLES).includes(role) || (role === ROLES.DRIVER && !busId)) {
+        console.error('Usage: node scripts/issue-token.js <operator|public|driver> [busId]');
+        process.exit(1);
+    }
+
+    const sub = role === ROLES.DRIVER ? `driver-${busId}` : `${role}-local`;
+    console.log(signToken({ sub, role, busId }));
+}
+
+if (require.main === module) {
+    issueToken();
+}
+
+module.exports = { issueToken };
@@ -0,0 +1,261 @@
+/**
+ * Drive a synthetic fleet along real routes for load testing and demos
+ *
+ * Usage:
+ *   JWT_SECRET=dev-secret node scripts/simulate-fleet.js --routes route-001,route-002 --buses 200
+ *
+ * Options:
+ *   --routes <ids>      Comma-separated route IDs to run buses on (required)
+ *   --buses <n>         Fleet size, spread evenly over the routes (default: 10)
+ *   --mode <mode>       http to call the local API, inprocess to call the handlers directly
+ *                       (default: http)
+ *   --url <url>         API base URL in http mode (default: http://localhost:3000/dev)
+ *   --interval <s>      Seconds between updates (default: LOCATION.UPDATE_INTERVAL_SECONDS)
+ *   --noise <m>         Largest GPS position error in meters (default: 0)
+ *   --dropout <rate>    Chance per update that a bus loses GPS for a few intervals (default: 0)
+ *   --duration <s>      Stop after this many seconds (default: run until Ctrl+C)
+ *
+ * Simulated buses are registered as sim-001, sim-002, ... on first run. In inprocess mode the
+ * handlers talk to DynamoDB Local and Redis directly, as `npm run dev` would.
+ */
+
+// Constants read the environment when first required, so defaults are set beforehand
+process.env.DYNAMODB_ENDPOINT = process.env.DYNAMODB_ENDPOINT || 'http://localhost:8000';
+process.env.ROUTES_TABLE = process.env.ROUTES_TABLE || 'bus-tracking-system-dev-routes';
+process.env.BUSES_TABLE = process.env.BUSES_TABLE || 'bus-tracking-system-dev-buses';
+process.env.LOCATIONS_TABLE = process.env.LOCATIONS_TABLE || 'bus-tracking-system-dev-locations';
+process.env.ALERTS_TABLE = process.env.ALERTS_TABLE || 'bus-tracking-system-dev-alerts';
+process.env.IDEMPOTENCY_TABLE = process.env.IDEMPOTENCY_TABLE
+    || 'bus-tracking-system-dev-idempotency';
+
+const { signToken, ROLES } = require('../src/utils/auth');
+const { createVirtualBus, advanceBus, reportFix } = require('../src/utils/simulation');
+const { closeRedisClient } = require('../src/services/redis');
+const { LOCATION, HTTP_STATUS } = require('../src/config/constants');
+
+const USAGE = 'Usage: node scripts/simulate-fleet.js --routes <id,id,...> [--buses <n>] '
+    + '[--mode http|inprocess] [--url <url>] [--interval <s>] [--noise <m>] [--dropout <rate>] '
+    + '[--duration <s>]';
+
+/**
+ * Read --name value pairs from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options with defaults applied
+ */
+function parseOptions(args) {
+    const raw = {};
+    for (let i = 0; i < args.length; i += 2) {
+        raw[args[i].replace(/^--/, '')] = args[i + 1];
+    }
+
+    return {
+        routes: (raw.routes || '').split(',').map((id) => id.trim()).filter(Boolean),
+        buses: Number(raw.buses || 10),
+        mode: raw.mode || 'http',
+        url: (raw.url || 'http://localhost:3000/dev').replace(/\/$/, ''),
+        interval: Number(raw.interval || LOCATION.UPDATE_INTERVAL_SECONDS),
+        noise: Number(raw.noise || 0),
+        dropout: Number(raw.dropout || 0),
+        duration: raw.duration ? Number(raw.duration) : Infinity,
+    };
+}
+
+const operatorToken = () => signToken({ sub: 'simulator', role: ROLES.OPERATOR });
+
+const driverToken = (busId) => signToken({ sub: `driver-${busId}`, role: ROLES.DRIVER, busId });
+
+/**
+ * Talk to the API over HTTP, e.g. serverless-offline started with `npm run dev`
+ * @param {string} baseUrl - API base URL
+ * @returns {Object} getRoute, registerBus and sendFix, each resolving to status and body
+ */
+function httpTransport(baseUrl) {
+    const request = async (method, path, token, body) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${token}`,
+            },
+            ...(body && { body: JSON.stringify(body) }),
+        });
+        return { statusCode: response.status, body: await response.json().catch(() => null) };
+    };
+
+    return {
+        getRoute: (routeId) => request('GET', `/routes/${routeId}`, operatorToken()),
+        registerBus: (bus) => request('POST', '/buses', operatorToken(), bus),
+        sendFix: (busId, fix) => request('PUT', `/buses/${busId}/location`, driverToken(busId), fix),
+    };
+}
+
+/**
+ * Call the Lambda handlers directly with API Gateway-shaped events
+ * @returns {Object} getRoute, registerBus and sendFix, each resolving to status and body
+ */
+function inProcessTransport() {
+    // Required lazily so http mode does not need the AWS SDK configured
+    const routes = require('../src/handlers/routes');
+    const buses = require('../src/handlers/buses');
+    const location = require('../src/handlers/location');
+
+    const invoke = async (handler, event, token) => {
+        const response = await handler({
+            ...event,
+            headers: { Authorization: `Bearer ${token}` },
+            ...(event.body && { body: JSON.stringify(event.body) }),
+        }, { functionName: 'simulate-fleet' });
+        return { statusCode: response.statusCode, body: JSON.parse(response.body || 'null') };
+    };
+
+    return {
+        getRoute: (routeId) => invoke(routes.getRoute, {
+            httpMethod: 'GET',
+            pathParameters: { routeId },
+        }, operatorToken()),
+        registerBus: (bus) => invoke(buses.createBus, {
+            httpMethod: 'POST',
+            body: bus,
+        }, operatorToken()),
+        sendFix: (busId, fix) => invoke(location.updateLocation, {
+            httpMethod: 'PUT',
+            pathParameters: { busId },
+            body: fix,
+        }, driverToken(busId)),
+    };
+}
+
+/**
+ * Load the routes and register one simulated bus per fleet slot, round-robin over routes
+ * @param {Object} transport - API transport
+ * @param {Object} options - Simulator options
+ * @returns {Object[]} Virtual buses
+ */
+async function buildFleet(transport, options) {
+    const routes = await Promise.all(options.routes.map(async (routeId) => {
+        const { statusCode, body } = await transport.getRoute(routeId);
+        if (statusCode !== HTTP_STATUS.OK) {
+            throw new Error(`Route ${routeId} could not be loaded (${statusCode})`);
+        }
+        return body.data;
+    }));
+
+    const fleet = Array.from({ length: options.buses }, (_, index) => {
+        const route = routes[index % routes.length];
+        const number = String(index + 1).padStart(3, '0');
+        return createVirtualBus(`sim-${number}`, route);
+    });
+
+    const registrations = await Promise.all(fleet.map((bus) => transport.registerBus({
+        BusID: bus.busId,
+        vehicle_number: bus.busId.toUpperCase(),
+        capacity: 40,
+        type: 'standard',
+        route_id: bus.routeId,
+    })));
+
+    const failed = registrations.filter(({ statusCode }) => statusCode !== HTTP_STATUS.CREATED
+        && statusCode !== HTTP_STATUS.CONFLICT);
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} buses could not be registered (${failed[0].statusCode})`);
+    }
+
+    console.log(`🚌 ${fleet.length} buses on ${routes.length} routes`);
+    return fleet;
+}
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Move every bus and send the fixes its GPS reports, once per interval. Each fix carries the
+ * device sequence number; numbering starts from the run's start time so a rerun carries on
+ * above the numbers an earlier run left on the same buses.
+ * @param {Object} transport - API transport
+ * @param {Object[]} initialFleet - Virtual buses
+ * @param {Object} options - Simulator options
+ * @param {Function} shouldStop - Returns true once the run should end
+ */
+async function drive(transport, initialFleet, options, shouldStop) {
+    const startedAt = Date.now();
+    let fleet = initialFleet;
+    let lastTick = startedAt;
+    let tick = 0;
+    const lastSeq = new Map();
+
+    while (!shouldStop() && Date.now() - startedAt < options.duration * 1000) {
+        const now = Date.now();
+        const elapsedSeconds = (now - lastTick) / 1000;
+        lastTick = now;
+        tick += 1;
+
+        const reports = fleet.map((bus) => reportFix(advanceBus(bus, elapsedSeconds), now, {
+            noiseMeters: options.noise,
+            dropoutRate: options.dropout,
+        }));
+        fleet = reports.map((report) => report.bus);
+
+        const sent = reports.filter((report) => report.fix).map(({ bus, fix }) => {
+            const seq = (lastSeq.get(bus.busId) || startedAt) + 1;
+            lastSeq.set(bus.busId, seq);
+            return { bus, fix: { ...fix, seq } };
+        });
+        const results = await Promise.all(sent.map(({ bus, fix }) => transport.sendFix(bus.busId, fix)
+            .catch((error) => ({ statusCode: error.code || 'ERROR' }))));
+
+        const statuses = results.reduce((counts, { statusCode }) => ({
+            ...counts,
+            [statusCode]: (counts[statusCode] || 0) + 1,
+        }), {});
+        console.log(`⏱  Tick ${tick}: ${sent.length} sent, ${reports.length - sent.length} without GPS, `
+            + `responses ${JSON.stringify(statuses)}`);
+
+        await sleep(Math.max(0, options.interval * 1000 - (Date.now() - now)));
+    }
+}
+
+/**
+ * Main entry point
+ */
+async function run() {
+    const options = parseOptions(process.argv.slice(2));
+
+    if (options.routes.length === 0 || !(options.buses > 0) || !(options.interval > 0)
+        || !['http', 'inprocess'].includes(options.mode)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (!process.env.JWT_SECRET) {
+        console.error('❌ JWT_SECRET must be set');
+        process.exit(1);
+    }
+
+    let stopping = false;
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Stopping after this tick...');
+        stopping = true;
+    });
+
+    try {
+        const transport = options.mode === 'http' ? httpTransport(options.url) : inProcessTransport();
+        console.log(`🚦 Simulating over ${options.mode === 'http' ? options.url : 'in-process handlers'}, `
+            + `updates every ${options.interval}s`);
+
+        const fleet = await buildFleet(transport, options);
+        await drive(transport, fleet, options, () => stopping);
+
+        console.log('✅ Simulation finished');
+    } catch (error) {
+        console.error('💥 Simulation failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await closeRedisClient();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    run();
+}
+
+module.exports = { parseOptions, buildFleet, drive };
@@ -7,11 +7,33 @@ module.exports = {
   HTTP_STATUS: {
     OK: 200,
     CREATED: 201,
+    NOT_MODIFIED: 304,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
+    CONFLICT: 409,
+    UNPROCESSABLE_ENTITY: 422,
+    TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
+    SERVICE_UNAVAILABLE: 503,
+  },
+
+  // HTTP response headers, negotiation and compression
+  RESPONSE: {
+    // Browser origins allowed to call the API with credentials, comma-separated per stage
+    ALLOWED_ORIGINS: (process.env.CORS_ALLOWED_ORIGINS || '')
+      .split(',')
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+    ALLOWED_HEADERS: 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,X-Request-Id,If-None-Match,Idempotency-Key',
+    ALLOWED_METHODS: 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+    COMPRESSION_MIN_BYTES: 1024,
+  },
+
+  MEDIA_TYPES: {
+    JSON: 'application/json',
+    GEOJSON: 'application/geo+json',
   },
 
   // DynamoDB Table Names (populated from environment)
@@ -19,15 +41,48 @@ module.exports = {
     ROUTES: process.env.ROUTES_TABLE,
     BUSES: process.env.BUSES_TABLE,
     LOCATIONS: process.env.LOCATIONS_TABLE,
+    CONNECTIONS: process.env.CONNECTIONS_TABLE,
+    EVENTS: process.env.EVENTS_TABLE,
+    ALERTS: process.env.ALERTS_TABLE,
+    IDEMPOTENCY: process.env.IDEMPOTENCY_TABLE,
+  },
+
+  // DynamoDB client configuration (ENDPOINT is only set for DynamoDB Local)
+  DYNAMODB: {
+    REGION: process.env.AWS_REGION || 'us-east-1',
+    ENDPOINT: process.env.DYNAMODB_ENDPOINT,
+  },
+
+  // WebSocket push (ENDPOINT is the API Gateway management endpoint, or serverless-offline's)
+  WEBSOCKET: {
+    ENDPOINT: process.env.WEBSOCKET_ENDPOINT,
+    TOPIC_INDEX: 'topic-index',
+    CONNECTION_TTL_HOURS: 2, // API Gateway closes WebSocket connections after two hours
+    MAX_SUBSCRIPTIONS: 20, // Topics one connection may follow
+  },
+
+  // GTFS static feed import/export and GTFS-Realtime feeds
+  GTFS: {
+    AGENCY_ID: 'agency',
+    AGENCY_NAME: process.env.GTFS_AGENCY_NAME || 'Bus Tracking System',
+    AGENCY_URL: process.env.GTFS_AGENCY_URL || 'https://example.com',
+    AGENCY_TIMEZONE: process.env.GTFS_AGENCY_TIMEZONE || 'UTC',
+    ROUTE_TYPE_BUS: 3,
+    EXPORT_SPEED_KMH: 20, // Assumed average speed when deriving stop times from stop spacing
+    CALENDAR_DAYS: 365, // Validity of exported calendars
+    REALTIME_CONTENT_TYPE: 'application/x-protobuf',
   },
 
   // Redis Configuration
   REDIS: {
     HOST: process.env.REDIS_HOST || 'localhost',
     PORT: parseInt(process.env.REDIS_PORT, 10) || 6379,
+    CONNECT_TIMEOUT_MS: 2000,
     TTL: {
       ROUTE_CACHE: 300, // 5 minutes
       LOCATION_CACHE: 30, // 30 seconds
+      ALERT_CACHE: 60, // 1 minute
+      PERFORMANCE_CACHE: 300, // Refreshed by the performance monitor every 5 minutes
     },
   },
 
@@ -36,15 +91,215 @@ module.exports = {
     MAX_SPEED_KMH: 100, // Maximum allowed speed for buses
     UPDATE_INTERVAL_SECONDS: 30,
     GEOHASH_PRECISION: 7,
+    GEOHASH_MIN_PRECISION: 4, // Coarsest cell indexed for nearby searches (~20 km)
+    RECORD_TTL_HOURS: 24, // Location rows expire via DynamoDB TTL
+    MAX_FUTURE_SKEW_SECONDS: 120, // Tolerated device clock drift ahead of server time
+    GPS_JITTER_METERS: 50, // Position error allowed before computing implied speed
+    GAP_INTERVALS: 3, // Fixes arriving after this many update intervals are flagged
+    MAX_BATCH_SIZE: 100, // Fixes accepted in one batch upload
+    SEQUENCE_REWIND_ATTEMPTS: 3, // Tries at giving back the seq of an update that was not stored
+    SEQUENCE_REWIND_DELAY_MS: 50, // Doubled after each failed try
+  },
+
+  // DynamoDB BatchWriteItem limits and retry policy
+  BATCH_WRITE: {
+    MAX_ITEMS: 25,
+    MAX_ATTEMPTS: 5,
+    BASE_DELAY_MS: 50, // Doubled after each attempt that leaves unprocessed items
+  },
+
+  // Authentication and roles
+  AUTH: {
+    JWT_SECRET: process.env.JWT_SECRET,
+    JWT_ISSUER: process.env.JWT_ISSUER || 'bus-tracking-system',
+    ALGORITHM: 'HS256',
+    ROLES: {
+      DRIVER: 'driver',
+      OPERATOR: 'operator',
+      PUBLIC: 'public',
+    },
+  },
+
+  // Bus lifecycle states
+  BUS_STATUS: {
+    ACTIVE: 'active',
+    MAINTENANCE: 'maintenance',
+    RETIRED: 'retired',
+  },
+
+  // Nearby bus search
+  NEARBY: {
+    DEFAULT_RADIUS_METERS: 500,
+    MAX_RADIUS_METERS: 5000,
+    STALE_AFTER_SECONDS: 600, // Buses not seen for this long are not returned
+  },
+
+  // Location history queries
+  HISTORY: {
+    DEFAULT_WINDOW_MINUTES: 60,
+    MAX_SIMPLIFY_TOLERANCE_METERS: 1000,
+  },
+
+  // Arrival time prediction
+  ETA: {
+    SPEED_WINDOW_MINUTES: 10, // Fixes used to average the observed speed
+    MIN_MOVING_SPEED_KMH: 3, // Below this the bus is treated as stopped
+    CRUISE_SPEED_KMH: 20, // Typical speed between stops, for stopped buses once they move off
+  },
+
+  // Stop and corridor geofences evaluated on every new fix
+  GEOFENCE: {
+    STOP_RADIUS_METERS: 40, // Default for stops without their own radius
+    EXIT_RADIUS_FACTOR: 1.5, // A bus leaves a stop beyond this multiple of its radius
+    CORRIDOR_METERS: 150, // Distance from the route line beyond which a bus is off route
+  },
+
+  // Replay protection for location writes
+  IDEMPOTENCY: {
+    HEADER: 'Idempotency-Key',
+    KEY_PATTERN: /^[\w.:-]{1,128}$/,
+    TTL_HOURS: 24, // How long a request can be replayed
+    PENDING_TIMEOUT_SECONDS: 30, // A claim this old belongs to an invocation that died
+    STATUS: {
+      PENDING: 'pending',
+      COMPLETED: 'completed',
+    },
+  },
+
+  // Virtual bus behaviour for the fleet simulator (scripts/simulate-fleet.js)
+  SIMULATION: {
+    MIN_SPEED_KMH: 18, // Cruising speed is drawn per bus between these
+    MAX_SPEED_KMH: 40,
+    SPEED_JITTER: 0.15, // Share by which speed varies from one segment to the next
+    MIN_DWELL_SECONDS: 15, // Time spent at a stop
+    MAX_DWELL_SECONDS: 45,
+    LAYOVER_SECONDS: 120, // Extra time at either end of the route before turning back
+    MAX_DROPOUT_INTERVALS: 4, // Longest GPS outage, in update intervals
+  },
+
+  // Headway monitoring against each route's advertised frequency
+  ADHERENCE: {
+    WINDOW_MINUTES: 120, // Stop arrivals analysed per report
+    BUNCHING_RATIO: 0.25, // Headways shorter than this share of the scheduled one are bunching
+    LATE_THRESHOLD_MINUTES: 5, // Deviation from the scheduled headway tolerated either way
+  },
+
+  HEADWAY_STATUS: {
+    ON_TIME: 'on_time',
+    EARLY: 'early',
+    LATE: 'late',
+    BUNCHED: 'bunched',
+    UNKNOWN: 'unknown', // The route has no usable frequency to compare with
+  },
+
+  EVENT_TYPES: {
+    ARRIVED_AT_STOP: 'ARRIVED_AT_STOP',
+    DEPARTED_STOP: 'DEPARTED_STOP',
+    OFF_ROUTE: 'OFF_ROUTE',
+    SEQUENCE_GAP: 'SEQUENCE_GAP', // Device sequence numbers skipped, i.e. uploads lost
+  },
+
+  // Bus events, whatever recorded them, expire from the Events table after this long
+  EVENTS: {
+    TTL_DAYS: 90,
+  },
+
+  // Service alerts and disruption notices
+  ALERT_SCOPES: {
+    NETWORK: 'network',
+    ROUTE: 'route',
+    STOP: 'stop',
+  },
+
+  ALERT_SEVERITY: {
+    INFO: 'info',
+    WARNING: 'warning',
+    SEVERE: 'severe',
+  },
+
+  // Dependency probes run by the health check
+  HEALTH: {
+    PROBE_TIMEOUT_MS: 1000,
+    // Tables the API cannot serve requests without; other failing probes only degrade it
+    CRITICAL_TABLES: ['ROUTES', 'BUSES', 'LOCATIONS'],
+    STATUS: {
+      HEALTHY: 'healthy',
+      DEGRADED: 'degraded',
+      UNHEALTHY: 'unhealthy',
+    },
+  },
+
+  // List endpoint pagination
+  PAGINATION: {
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 100,
+  },
+
+  // Sliding-window request budgets per client, counted separately for each endpoint
+  RATE_LIMIT: {
+    PUBLIC_READ: { LIMIT: 120, WINDOW_SECONDS: 60 },
+    // A device reports every LOCATION.UPDATE_INTERVAL_SECONDS; this leaves room for retries.
+    // Location budgets are per bus, so an operator writing for many buses is not starved.
+    LOCATION_WRITE: { LIMIT: 10, WINDOW_SECONDS: 60, PER_BUS: true },
+    LOCATION_BATCH: { LIMIT: 5, WINDOW_SECONDS: 60, PER_BUS: true },
   },
 
   // API Response messages
   MESSAGES: {
     ROUTE_NOT_FOUND: 'Route not found',
+    ROUTE_ALREADY_EXISTS: 'Route already exists',
+    ROUTE_MODIFIED: 'Route was modified concurrently, retry the update',
+    ROUTE_CREATED: 'Route created successfully',
+    ROUTE_UPDATED: 'Route updated successfully',
+    ROUTE_DELETED: 'Route deleted successfully',
     BUS_NOT_FOUND: 'Bus not found',
+    BUS_ALREADY_EXISTS: 'Bus already exists',
+    BUSES_FETCHED: 'Buses fetched successfully',
+    BUS_FETCHED: 'Bus fetched successfully',
+    BUS_CREATED: 'Bus created successfully',
+    BUS_UPDATED: 'Bus updated successfully',
+    BUS_DELETED: 'Bus deleted successfully',
+    BUS_STATUS_UPDATED: 'Bus status updated successfully',
     INVALID_LOCATION: 'Invalid location data',
     LOCATION_UPDATED: 'Location updated successfully',
+    LOCATION_OUT_OF_ORDER: 'Location fix is not newer than the latest recorded fix',
+    LOCATION_IN_FUTURE: 'Location timestamp is too far in the future',
+    LOCATION_IMPLAUSIBLE_SPEED: 'Location fix implies an implausible speed',
+    LOCATION_BATCH_PROCESSED: 'Location batch processed',
+    LOCATION_DUPLICATE: 'Duplicate location fix',
+    LOCATION_REPLAYED: 'Location update already processed',
+    LOCATION_SEQ_STALE: 'Sequence number is not newer than the last one received',
+    REQUEST_IN_PROGRESS: 'A request with this key is still being processed, retry later',
+    INVALID_IDEMPOTENCY_KEY: 'Idempotency-Key must be 1-128 letters, digits, _, ., : or -',
+    LOCATION_WRITE_FAILED: 'Location fix could not be stored',
+    VALIDATION_FAILED: 'Request validation failed',
+    AUTHENTICATION_REQUIRED: 'Authentication required',
+    RATE_LIMITED: 'Too many requests, retry later',
+    INVALID_TOKEN: 'Invalid or expired token',
+    FORBIDDEN: 'Not allowed to perform this action',
+    DRIVER_BUS_MISMATCH: 'Driver token is not valid for this bus',
+    INVALID_JSON: 'Invalid JSON in request body',
+    NEARBY_BUSES_FETCHED: 'Nearby buses fetched successfully',
+    LOCATION_HISTORY_FETCHED: 'Location history fetched successfully',
+    ETA_FETCHED: 'Arrival estimates fetched successfully',
+    ARRIVALS_FETCHED: 'Stop arrivals fetched successfully',
+    NO_RECENT_LOCATION: 'No recent location for this bus',
+    BUS_NOT_ON_ROUTE: 'Bus is not assigned to a route',
+    STOP_NOT_FOUND: 'Stop not found on this route',
     ROUTES_FETCHED: 'Routes fetched successfully',
+    ROUTE_FETCHED: 'Route fetched successfully',
+    INVALID_CURSOR: 'Invalid pagination cursor',
+    CONNECTED: 'Connected',
+    DISCONNECTED: 'Disconnected',
+    SUBSCRIBED: 'Subscribed',
+    TOO_MANY_SUBSCRIPTIONS: 'Subscription limit reached for this connection',
+    ALERT_NOT_FOUND: 'Alert not found',
+    ALERT_CREATED: 'Alert created successfully',
+    ALERT_DELETED: 'Alert deleted successfully',
+    ALERTS_FETCHED: 'Alerts fetched successfully',
+    PERFORMANCE_FETCHED: 'Route performance fetched successfully',
     HEALTH_CHECK_OK: 'Service is healthy',
+    HEALTH_CHECK_DEGRADED: 'Service is degraded',
+    HEALTH_CHECK_FAILED: 'Service is unhealthy',
   },
 };
@@ -0,0 +1,93 @@
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const alertService = require('../services/alertService');
+const { AppError } = require('../utils/errors');
+const { createHandler } = require('../utils/handler');
+const { ROLES } = require('../utils/auth');
+const schemas = require('../schemas/alerts');
+const { MESSAGES, HTTP_STATUS, RATE_LIMIT } = require('../config/constants');
+
+/**
+ * List current alerts, optionally only those affecting a route or stop
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getAlerts = createHandler({
+  schema: schemas.getAlerts,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+}, async (event) => {
+  try {
+    const { routeId, stopId, includeUpcoming } = event.queryStringParameters;
+
+    logger.info('Fetching alerts');
+
+    const alerts = await alertService.getAlerts({ routeId, stopId, includeUpcoming });
+
+    return successResponse({
+      message: MESSAGES.ALERTS_FETCHED,
+      data: alerts,
+      count: alerts.length,
+    });
+  } catch (error) {
+    logger.error('Error fetching alerts:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Publish a service alert
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.createAlert = createHandler({
+  schema: schemas.createAlert,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    logger.info(`Creating ${event.body.scope} alert`);
+
+    const alert = await alertService.createAlert(event.body);
+
+    return successResponse({
+      message: MESSAGES.ALERT_CREATED,
+      data: alert,
+    }, HTTP_STATUS.CREATED);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error creating alert:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Withdraw a service alert
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.deleteAlert = createHandler({
+  schema: schemas.deleteAlert,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { alertId } = event.pathParameters;
+
+    logger.info(`Deleting alert: ${alertId}`);
+
+    const deleted = await alertService.deleteAlert(alertId);
+
+    if (!deleted) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.ALERT_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.ALERT_DELETED,
+      data: { alertId },
+    });
+  } catch (error) {
+    logger.error('Error deleting alert:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
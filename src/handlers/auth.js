@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+const { withLogContext } = require('../utils/handler');
+const { verifyToken, getBearerToken } = require('../utils/auth');
+
+/**
+ * Build an IAM policy for API Gateway
+ * @param {string} principalId - Caller identity
+ * @param {string} effect - Allow or Deny
+ * @param {string} resource - Method ARN(s) the policy applies to
+ * @param {Object} context - Values passed to the handler as requestContext.authorizer
+ * @returns {Object} Authorizer response
+ */
+const buildPolicy = (principalId, effect, resource, context) => ({
+  principalId,
+  policyDocument: {
+    Version: '2012-10-17',
+    Statement: [{
+      Action: 'execute-api:Invoke',
+      Effect: effect,
+      Resource: resource,
+    }],
+  },
+  context,
+});
+
+/**
+ * Lambda TOKEN authorizer verifying signed bearer tokens
+ * @param {Object} event - API Gateway authorizer event
+ * @returns {Object} IAM policy with the caller's role and bus binding as context
+ */
+exports.authorize = withLogContext(async (event) => {
+  const token = getBearerToken(event);
+
+  if (!token) {
+    throw new Error('Unauthorized'); // API Gateway maps this message to a 401
+  }
+
+  let principal;
+  try {
+    principal = verifyToken(token);
+  } catch (error) {
+    logger.warn('Rejected bearer token:', error.message);
+    throw new Error('Unauthorized');
+  }
+
+  // The policy is cached per token, so it covers the whole stage; roles are
+  // checked per endpoint by the handler guard
+  const [arnPrefix, stage] = event.methodArn.split('/');
+  const resource = `${arnPrefix}/${stage}/*/*`;
+
+  return buildPolicy(principal.sub || principal.role, 'Allow', resource, {
+    role: principal.role,
+    ...(principal.busId && { busId: principal.busId }),
+  });
+});
@@ -0,0 +1,198 @@
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const busService = require('../services/busService');
+const { AppError } = require('../utils/errors');
+const { decodeCursor } = require('../utils/pagination');
+const { createHandler } = require('../utils/handler');
+const { ROLES } = require('../utils/auth');
+const schemas = require('../schemas/buses');
+const { MESSAGES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Get all buses
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getBuses = createHandler({
+  schema: schemas.getBuses,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { limit, cursor } = event.queryStringParameters;
+
+    let startKey;
+    if (cursor) {
+      startKey = decodeCursor(cursor);
+      if (!startKey) {
+        return errorResponse(HTTP_STATUS.BAD_REQUEST, MESSAGES.INVALID_CURSOR);
+      }
+    }
+
+    logger.info('Fetching all buses');
+
+    const page = await busService.listBuses({ limit, startKey });
+
+    return successResponse({
+      message: MESSAGES.BUSES_FETCHED,
+      data: page.items,
+      count: page.items.length,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    logger.error('Error fetching buses:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Get bus by ID
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getBus = createHandler({
+  schema: schemas.getBus,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { busId } = event.pathParameters;
+
+    logger.info(`Fetching bus: ${busId}`);
+
+    const bus = await busService.getBus(busId);
+
+    if (!bus) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.BUS_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.BUS_FETCHED,
+      data: bus,
+    });
+  } catch (error) {
+    logger.error('Error fetching bus:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Register a new bus
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.createBus = createHandler({
+  schema: schemas.createBus,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    logger.info('Creating bus', { vehicleNumber: event.body.vehicle_number });
+
+    const bus = await busService.createBus(event.body);
+
+    return successResponse({
+      message: MESSAGES.BUS_CREATED,
+      data: bus,
+    }, HTTP_STATUS.CREATED);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error creating bus:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Replace a bus's attributes
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.updateBus = createHandler({
+  schema: schemas.updateBus,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { busId } = event.pathParameters;
+
+    logger.info(`Updating bus: ${busId}`);
+
+    const bus = await busService.updateBus(busId, event.body);
+
+    if (!bus) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.BUS_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.BUS_UPDATED,
+      data: bus,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error updating bus:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Delete a bus
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.deleteBus = createHandler({
+  schema: schemas.deleteBus,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { busId } = event.pathParameters;
+
+    logger.info(`Deleting bus: ${busId}`);
+
+    const deleted = await busService.deleteBus(busId);
+
+    if (!deleted) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.BUS_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.BUS_DELETED,
+      data: { busId },
+    });
+  } catch (error) {
+    logger.error('Error deleting bus:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Change a bus's lifecycle status (active, maintenance, retired)
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.updateBusStatus = createHandler({
+  schema: schemas.updateBusStatus,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { busId } = event.pathParameters;
+    const { status } = event.body;
+
+    logger.info(`Setting status of bus ${busId} to ${status}`);
+
+    const bus = await busService.updateBusStatus(busId, status);
+
+    if (!bus) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.BUS_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.BUS_STATUS_UPDATED,
+      data: bus,
+    });
+  } catch (error) {
+    logger.error('Error updating bus status:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
@@ -1,75 +1,79 @@
+const { DynamoDB } = require('aws-sdk');
 const logger = require('../utils/logger');
+const { withLogContext } = require('../utils/handler');
+const { processInOrder } = require('../utils/stream');
+const cacheService = require('../services/cacheService');
+const { TABLES } = require('../config/constants');
+
+const STREAM_EVENTS = ['INSERT', 'MODIFY', 'REMOVE'];
+
+/**
+ * Invalidate the cache entries affected by a single stream record
+ * @param {Object} record - DynamoDB stream record
+ * @returns {string[]} Keys that were invalidated
+ */
+const invalidateRecord = async (record) => {
+  const { eventName, dynamodb } = record;
+  const tableName = record.eventSourceARN?.split('/')[1];
+
+  if (!STREAM_EVENTS.includes(eventName)) {
+    logger.warn(`Unhandled event type: ${eventName}`);
+    return [];
+  }
+
+  const oldImage = dynamodb?.OldImage && DynamoDB.Converter.unmarshall(dynamodb.OldImage);
+  const newImage = dynamodb?.NewImage && DynamoDB.Converter.unmarshall(dynamodb.NewImage);
+
+  switch (tableName) {
+    case TABLES.LOCATIONS:
+      return cacheService.invalidateLocation(eventName, oldImage, newImage);
+    case TABLES.ROUTES:
+      return cacheService.invalidateRoute(DynamoDB.Converter.unmarshall(dynamodb.Keys).RouteID);
+    default:
+      logger.warn(`Unhandled stream source table: ${tableName}`);
+      return [];
+  }
+};
 
 /**
  * Cache invalidation handler for DynamoDB streams
  * @param {Object} event - DynamoDB stream event
- * @returns {Object} Response object
+ * @returns {Object} Partial batch response listing the records Lambda should retry
  */
-exports.invalidateCache = async (event) => {
+exports.invalidateCache = withLogContext(async (event) => {
   try {
     logger.info('Cache invalidation triggered', { recordCount: event.Records?.length || 0 });
 
     if (!event.Records || event.Records.length === 0) {
       logger.warn('No records found in stream event');
-      return { processed: 0 };
+      return { batchItemFailures: [] };
     }
 
-    const processedRecords = event.Records.map((record) => {
+    // Records are processed in order so invalidations for the same key are not reordered
+    const batchItemFailures = await processInOrder(event.Records, async (record) => {
       try {
-        const { eventName, dynamodb } = record;
-
-        logger.debug(`Processing record: ${eventName}`, {
-          eventName,
+        logger.debug(`Processing record: ${record.eventName}`, {
+          eventName: record.eventName,
           tableName: record.eventSourceARN?.split('/')[1],
         });
 
-        // TODO: Implement cache invalidation logic based on the event
-        switch (eventName) {
-          case 'INSERT':
-          case 'MODIFY':
-          case 'REMOVE': {
-            // Extract relevant keys from the record
-            const keys = dynamodb?.Keys;
-            if (keys) {
-              // TODO: Invalidate specific cache entries
-              // await cacheService.invalidateByKeys(keys);
-              logger.info('Cache invalidation completed for keys:', keys);
-            }
-            break;
-          }
-          default:
-            logger.warn(`Unhandled event type: ${eventName}`);
-        }
+        const invalidated = await invalidateRecord(record);
 
-        return {
-          eventName,
-          processed: true,
-          timestamp: new Date().toISOString(),
-        };
+        if (invalidated.length > 0) {
+          logger.info('Cache invalidation completed for keys:', invalidated);
+        }
       } catch (recordError) {
         logger.error('Error processing individual record:', recordError, { record });
-        return {
-          eventName: record.eventName,
-          processed: false,
-          error: recordError.message,
-          timestamp: new Date().toISOString(),
-        };
+        throw recordError;
       }
     });
 
-    const successCount = processedRecords.filter((r) => r.processed).length;
-    const errorCount = processedRecords.length - successCount;
+    const successCount = event.Records.length - batchItemFailures.length;
+    logger.info(`Cache invalidation completed. Success: ${successCount}, Retrying: ${batchItemFailures.length}`);
 
-    logger.info(`Cache invalidation completed. Success: ${successCount}, Errors: ${errorCount}`);
-
-    return {
-      totalRecords: event.Records.length,
-      processedSuccessfully: successCount,
-      errors: errorCount,
-      details: processedRecords,
-    };
+    return { batchItemFailures };
   } catch (error) {
     logger.error('Error in cache invalidation handler:', error);
     throw error; // Re-throw to trigger Lambda retry mechanism
   }
-};
+});
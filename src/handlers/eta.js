@@ -0,0 +1,72 @@
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const etaService = require('../services/etaService');
+const { AppError } = require('../utils/errors');
+const { createHandler } = require('../utils/handler');
+const schemas = require('../schemas/eta');
+const { MESSAGES, HTTP_STATUS, RATE_LIMIT } = require('../config/constants');
+
+/**
+ * Get arrival estimates for a bus's upcoming stops
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getBusEta = createHandler({
+  schema: schemas.getBusEta,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+}, async (event) => {
+  try {
+    const { busId } = event.pathParameters;
+
+    logger.info(`Estimating arrivals for bus ${busId}`);
+
+    const eta = await etaService.getBusEta(busId);
+
+    if (!eta) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.BUS_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.ETA_FETCHED,
+      data: eta,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error estimating bus arrivals:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Get the next predicted arrivals at a stop
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getStopArrivals = createHandler({
+  schema: schemas.getStopArrivals,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+}, async (event) => {
+  try {
+    const { routeId, stopId } = event.pathParameters;
+
+    logger.info(`Estimating arrivals at stop ${stopId} on route ${routeId}`);
+
+    const arrivals = await etaService.getStopArrivals(routeId, stopId);
+
+    return successResponse({
+      message: MESSAGES.ARRIVALS_FETCHED,
+      data: arrivals,
+      count: arrivals.arrivals.length,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error estimating stop arrivals:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
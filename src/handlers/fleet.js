@@ -0,0 +1,33 @@
+const { errorResponse, rawResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const fleetService = require('../services/fleetService');
+const { pointsToFeatureCollection } = require('../utils/geojson');
+const { createHandler } = require('../utils/handler');
+const schemas = require('../schemas/fleet');
+const { HTTP_STATUS, MEDIA_TYPES, RATE_LIMIT } = require('../config/constants');
+
+/**
+ * Get the live fleet as a GeoJSON FeatureCollection of bus positions, for GIS tools
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getFleetGeoJson = createHandler({
+  schema: schemas.getFleetGeoJson,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+}, async (event) => {
+  try {
+    const { bbox } = event.queryStringParameters;
+
+    const positions = await fleetService.getFleetPositions({ bbox });
+
+    logger.info('Exporting fleet positions', { buses: positions.length, bbox });
+
+    return rawResponse(
+      JSON.stringify(pointsToFeatureCollection(positions)),
+      MEDIA_TYPES.GEOJSON,
+    );
+  } catch (error) {
+    logger.error('Error exporting fleet positions:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
@@ -0,0 +1,37 @@
+const { DynamoDB } = require('aws-sdk');
+const logger = require('../utils/logger');
+const { withLogContext } = require('../utils/handler');
+const { processInOrder } = require('../utils/stream');
+const geofenceService = require('../services/geofenceService');
+
+/**
+ * Evaluate stop and corridor geofences for new fixes from the Locations table stream
+ * @param {Object} event - DynamoDB stream event
+ * @returns {Object} Partial batch response listing the records Lambda should retry
+ */
+exports.processGeofences = withLogContext(async (event) => {
+  // A bus's fixes must be evaluated in time order, since each one moves its geofence state on.
+  // Fixes written together, such as a batch upload, can reach the stream in any order.
+  const records = (event.Records || [])
+    .filter((record) => record.eventName === 'INSERT' && record.dynamodb?.NewImage)
+    .map((record) => ({ ...record, fix: DynamoDB.Converter.unmarshall(record.dynamodb.NewImage) }))
+    .sort((a, b) => a.fix.timestamp.localeCompare(b.fix.timestamp));
+
+  logger.info('Geofence processing triggered', { recordCount: records.length });
+
+  const batchItemFailures = await processInOrder(records, async ({ fix }) => {
+    try {
+      logger.setContext({ busId: fix.BusID, routeId: fix.route_id || null });
+      const events = await geofenceService.processFix(fix);
+
+      if (events.length > 0) {
+        logger.info(`Geofence events for bus ${fix.BusID}:`, events.map((item) => item.type));
+      }
+    } catch (recordError) {
+      logger.error('Error processing geofences for record:', recordError);
+      throw recordError;
+    }
+  });
+
+  return { batchItemFailures };
+});
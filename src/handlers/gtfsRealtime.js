@@ -0,0 +1,65 @@
+const { errorResponse, rawResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const gtfsRealtimeService = require('../services/gtfsRealtimeService');
+const { createHandler } = require('../utils/handler');
+const schemas = require('../schemas/gtfsRealtime');
+const { HTTP_STATUS, GTFS, RATE_LIMIT } = require('../config/constants');
+
+/**
+ * Send a feed as protobuf, or as JSON when debugging with ?format=json
+ * @param {Object} message - FeedMessage
+ * @param {string} format - protobuf or json
+ * @returns {Object} HTTP response
+ */
+const respondWithFeed = (message, format) => {
+  if (format === 'json') {
+    return rawResponse(
+      JSON.stringify(gtfsRealtimeService.feedToJson(message)),
+      'application/json',
+    );
+  }
+
+  return rawResponse(gtfsRealtimeService.encodeFeed(message), GTFS.REALTIME_CONTENT_TYPE);
+};
+
+/**
+ * Get the GTFS-Realtime VehiclePositions feed
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getVehiclePositions = createHandler({
+  schema: schemas.getVehiclePositions,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+}, async (event) => {
+  try {
+    const message = await gtfsRealtimeService.buildVehiclePositions();
+
+    logger.info('Built VehiclePositions feed', { entities: message.entity.length });
+
+    return respondWithFeed(message, event.queryStringParameters.format);
+  } catch (error) {
+    logger.error('Error building VehiclePositions feed:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Get the GTFS-Realtime TripUpdates feed
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getTripUpdates = createHandler({
+  schema: schemas.getTripUpdates,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+}, async (event) => {
+  try {
+    const message = await gtfsRealtimeService.buildTripUpdates();
+
+    logger.info('Built TripUpdates feed', { entities: message.entity.length });
+
+    return respondWithFeed(message, event.queryStringParameters.format);
+  } catch (error) {
+    logger.error('Error building TripUpdates feed:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
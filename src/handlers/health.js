@@ -1,33 +1,69 @@
 const { successResponse, errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
-const { MESSAGES, HTTP_STATUS } = require('../config/constants');
+const healthService = require('../services/healthService');
+const { createHandler } = require('../utils/handler');
+const schemas = require('../schemas/health');
+const { MESSAGES, HTTP_STATUS, HEALTH } = require('../config/constants');
 
 /**
- * Health check endpoint
+ * Summarize the probes of one kind of dependency
+ * @param {Object[]} probes - Probe results
+ * @param {string} type - Dependency type
+ * @returns {string} 'ok' when every probe of the type passed, otherwise 'error'
+ */
+const summarize = (probes, type) => (probes
+  .filter((probe) => probe.type === type)
+  .every((probe) => probe.status === healthService.PROBE_OK)
+  ? healthService.PROBE_OK
+  : healthService.PROBE_ERROR);
+
+/**
+ * Health check endpoint. Probes every DynamoDB table and Redis; responds 503 when a
+ * critical dependency is down so load balancers take the stage out of rotation.
  * @param {Object} event - Lambda event object
  * @returns {Object} HTTP response
  */
-exports.ping = async () => {
+exports.ping = createHandler({
+  schema: schemas.ping,
+}, async (event) => {
   try {
+    const { verbose } = event.queryStringParameters;
+
     logger.info('Health check requested');
 
+    const { status, probes } = await healthService.checkHealth();
+
     const healthData = {
       service: 'bus-tracking-system',
-      status: 'healthy',
+      status,
       timestamp: new Date().toISOString(),
       version: process.env.npm_package_version || '1.0.0',
       environment: process.env.NODE_ENV || 'development',
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       checks: {
-        database: 'ok', // TODO: Add actual database health check
-        cache: 'ok', // TODO: Add actual cache health check
-        api: 'ok',
+        database: summarize(probes, 'dynamodb'),
+        cache: summarize(probes, 'redis'),
+        api: healthService.PROBE_OK,
       },
+      ...(verbose && { dependencies: probes }),
     };
 
+    if (status === HEALTH.STATUS.UNHEALTHY) {
+      logger.error('Health check found a critical dependency down', {
+        failed: probes.filter((probe) => probe.status !== healthService.PROBE_OK),
+      });
+      return errorResponse(
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        MESSAGES.HEALTH_CHECK_FAILED,
+        healthData,
+      );
+    }
+
     return successResponse({
-      message: MESSAGES.HEALTH_CHECK_OK,
+      message: status === HEALTH.STATUS.HEALTHY
+        ? MESSAGES.HEALTH_CHECK_OK
+        : MESSAGES.HEALTH_CHECK_DEGRADED,
       data: healthData,
     });
   } catch (error) {
@@ -36,4 +72,4 @@ exports.ping = async () => {
       error: error.message,
     });
   }
-};
+});
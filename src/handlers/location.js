@@ -1,84 +1,278 @@
 const { successResponse, errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
-const { MESSAGES, HTTP_STATUS } = require('../config/constants');
+const locationService = require('../services/locationService');
+const { AppError } = require('../utils/errors');
+const { decodeCursor } = require('../utils/pagination');
+const { createHandler } = require('../utils/handler');
+const { getHeader } = require('../utils/http');
+const { pointsToFeatureCollection } = require('../utils/geojson');
+const { toDetails } = require('../utils/validation');
+const { ROLES } = require('../utils/auth');
+const schemas = require('../schemas/location');
+const {
+  MESSAGES, HTTP_STATUS, MEDIA_TYPES, RATE_LIMIT, IDEMPOTENCY,
+} = require('../config/constants');
+
+// Location lists can also be fetched as GeoJSON points, keeping the paging fields alongside
+const geoJsonSerializers = {
+  [MEDIA_TYPES.GEOJSON]: (items, { from, to, nextCursor }) => ({
+    ...pointsToFeatureCollection(items),
+    from,
+    to,
+    nextCursor,
+  }),
+};
 
 /**
- * Update bus location
+ * Update bus location. Retries carrying the same Idempotency-Key header or seq get the
+ * original result back instead of storing the fix again.
  * @param {Object} event - Lambda event object
  * @returns {Object} HTTP response
  */
-exports.updateLocation = async (event) => {
+exports.updateLocation = createHandler({
+  schema: schemas.updateLocation,
+  rateLimit: RATE_LIMIT.LOCATION_WRITE,
+  roles: [ROLES.DRIVER, ROLES.OPERATOR],
+  bindDriverToBus: true,
+}, async (event) => {
   try {
-    const { busId } = event.pathParameters || {};
-
-    if (!busId) {
-      return errorResponse(HTTP_STATUS.BAD_REQUEST, 'Bus ID is required');
-    }
-
-    // Parse request body
-    let body;
-    try {
-      body = JSON.parse(event.body || '{}');
-    } catch (parseError) {
-      logger.error('Error parsing request body:', parseError);
-      return errorResponse(HTTP_STATUS.BAD_REQUEST, 'Invalid JSON in request body');
-    }
-
+    const { busId } = event.pathParameters;
     const {
-      latitude, longitude, timestamp, speed, heading,
-    } = body;
+      latitude, longitude, timestamp, speed, heading, seq,
+    } = event.body;
+    const idempotencyKey = getHeader(event.headers, IDEMPOTENCY.HEADER);
 
-    // Basic validation
-    if (!latitude || !longitude) {
-      return errorResponse(HTTP_STATUS.BAD_REQUEST, 'Latitude and longitude are required');
+    if (idempotencyKey !== undefined && !IDEMPOTENCY.KEY_PATTERN.test(idempotencyKey)) {
+      return errorResponse(HTTP_STATUS.BAD_REQUEST, MESSAGES.VALIDATION_FAILED, [{
+        field: `headers.${IDEMPOTENCY.HEADER}`,
+        message: MESSAGES.INVALID_IDEMPOTENCY_KEY,
+        type: 'string.pattern.base',
+      }]);
     }
 
-    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
-      return errorResponse(HTTP_STATUS.BAD_REQUEST, 'Latitude and longitude must be numbers');
-    }
+    logger.info(`Updating location for bus ${busId}:`, {
+      latitude, longitude, timestamp, seq,
+    });
 
-    if (latitude < -90 || latitude > 90) {
-      return errorResponse(HTTP_STATUS.BAD_REQUEST, 'Latitude must be between -90 and 90');
-    }
+    const record = await locationService.updateLocation({
+      busId, latitude, longitude, timestamp, speed, heading, seq,
+    }, { idempotencyKey });
 
-    if (longitude < -180 || longitude > 180) {
-      return errorResponse(HTTP_STATUS.BAD_REQUEST, 'Longitude must be between -180 and 180');
+    if (!record) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.BUS_NOT_FOUND);
     }
 
-    logger.info(`Updating location for bus ${busId}:`, { latitude, longitude, timestamp });
-
-    // TODO: Implement location update logic
-    // const locationData = {
-    //     BusID: busId,
-    //     latitude,
-    //     longitude,
-    //     timestamp: timestamp || new Date().toISOString(),
-    //     speed: speed || 0,
-    //     heading: heading || 0,
-    //     ttl: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours TTL
-    // };
-    //
-    // await locationService.updateLocation(locationData);
-    // await cacheService.updateLocationCache(busId, locationData);
-
     const responseData = {
       busId,
+      routeId: record.route_id || null,
       location: {
-        latitude,
-        longitude,
-        timestamp: timestamp || new Date().toISOString(),
-        speed: speed || 0,
-        heading: heading || 0,
+        latitude: record.latitude,
+        longitude: record.longitude,
+        timestamp: record.timestamp,
+        speed: record.speed,
+        heading: record.heading,
       },
-      updated: true,
+      flags: record.quality_flags || [],
+      ...(record.seq !== undefined && { seq: record.seq }),
+      updated: !record.replayed,
+      replayed: Boolean(record.replayed),
     };
 
     return successResponse({
-      message: MESSAGES.LOCATION_UPDATED,
+      message: record.replayed ? MESSAGES.LOCATION_REPLAYED : MESSAGES.LOCATION_UPDATED,
       data: responseData,
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
     logger.error('Error updating location:', error);
     return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
   }
+});
+
+/**
+ * Store a batch of fixes buffered while a bus was offline
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response with the outcome of each fix
+ */
+exports.batchUpdateLocations = createHandler({
+  schema: schemas.batchUpdateLocations,
+  rateLimit: RATE_LIMIT.LOCATION_BATCH,
+  roles: [ROLES.DRIVER, ROLES.OPERATOR],
+  bindDriverToBus: true,
+}, async (event) => {
+  try {
+    const { busId } = event.pathParameters;
+    const invalid = [];
+    const valid = [];
+
+    event.body.fixes.forEach((fix, index) => {
+      const { value, error } = schemas.batchFix.validate(fix, {
+        convert: false,
+        abortEarly: false,
+        stripUnknown: true,
+      });
+
+      if (error) {
+        invalid.push({
+          index,
+          timestamp: fix.timestamp,
+          status: locationService.FIX_STATUS.INVALID,
+          message: MESSAGES.VALIDATION_FAILED,
+          details: toDetails(error, `body.fixes.${index}`),
+        });
+      } else {
+        valid.push({ ...value, index });
+      }
+    });
+
+    logger.info(`Ingesting ${event.body.fixes.length} buffered fixes for bus ${busId}`, {
+      invalid: invalid.length,
+    });
+
+    const batch = await locationService.ingestBatch(busId, valid);
+
+    if (!batch) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.BUS_NOT_FOUND);
+    }
+
+    const results = [...batch.results, ...invalid].sort((a, b) => a.index - b.index);
+    const summary = Object.fromEntries(
+      Object.values(locationService.FIX_STATUS).map((status) => [
+        status,
+        results.filter((result) => result.status === status).length,
+      ]),
+    );
+
+    return successResponse({
+      message: MESSAGES.LOCATION_BATCH_PROCESSED,
+      data: {
+        busId,
+        routeId: batch.routeId,
+        latestUpdated: batch.latestUpdated,
+        summary,
+        results,
+      },
+    });
+  } catch (error) {
+    logger.error('Error ingesting location batch:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Get buses near a point
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getNearbyBuses = createHandler({
+  schema: schemas.getNearbyBuses,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+  serializers: geoJsonSerializers,
+}, async (event) => {
+  try {
+    const { lat: latitude, lon: longitude, radius } = event.queryStringParameters;
+
+    logger.info('Searching for nearby buses', { latitude, longitude, radius });
+
+    const buses = await locationService.findNearbyBuses({
+      latitude,
+      longitude,
+      radius,
+    });
+
+    return successResponse({
+      message: MESSAGES.NEARBY_BUSES_FETCHED,
+      data: buses,
+      count: buses.length,
+    });
+  } catch (error) {
+    logger.error('Error searching for nearby buses:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Run a history query from validated query parameters
+ * @param {Function} query - locationService history function bound to a bus or route
+ * @param {Object} queryStringParameters - Validated query parameters
+ * @returns {Object} HTTP response
+ */
+const respondWithHistory = async (query, queryStringParameters) => {
+  const {
+    from, to, limit, cursor, simplify,
+  } = queryStringParameters;
+
+  let startKey;
+  if (cursor) {
+    startKey = decodeCursor(cursor);
+    if (!startKey) {
+      return errorResponse(HTTP_STATUS.BAD_REQUEST, MESSAGES.INVALID_CURSOR);
+    }
+  }
+
+  const page = await query({
+    from, to, limit, startKey, simplify,
+  });
+
+  return successResponse({
+    message: MESSAGES.LOCATION_HISTORY_FETCHED,
+    data: page.items,
+    count: page.items.length,
+    from: page.from,
+    to: page.to,
+    nextCursor: page.nextCursor,
+  });
 };
+
+/**
+ * Get a bus's location history
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getBusLocations = createHandler({
+  schema: schemas.getBusLocations,
+  roles: [ROLES.OPERATOR],
+  serializers: geoJsonSerializers,
+}, async (event) => {
+  try {
+    const { busId } = event.pathParameters;
+
+    logger.info(`Fetching location history for bus ${busId}`, event.queryStringParameters);
+
+    return await respondWithHistory(
+      (options) => locationService.getBusHistory(busId, options),
+      event.queryStringParameters,
+    );
+  } catch (error) {
+    logger.error('Error fetching bus location history:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Get the location history of every bus on a route
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getRouteLocations = createHandler({
+  schema: schemas.getRouteLocations,
+  roles: [ROLES.OPERATOR],
+  serializers: geoJsonSerializers,
+}, async (event) => {
+  try {
+    const { routeId } = event.pathParameters;
+
+    logger.info(`Fetching location history for route ${routeId}`, event.queryStringParameters);
+
+    return await respondWithHistory(
+      (options) => locationService.getRouteHistory(routeId, options),
+      event.queryStringParameters,
+    );
+  } catch (error) {
+    logger.error('Error fetching route location history:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
@@ -0,0 +1,77 @@
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const routeService = require('../services/routeService');
+const performanceService = require('../services/performanceService');
+const { createHandler, withLogContext } = require('../utils/handler');
+const { ROLES } = require('../utils/auth');
+const schemas = require('../schemas/routes');
+const { MESSAGES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Get headways, schedule deviation and flagged buses for a route
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.getRoutePerformance = createHandler({
+  schema: schemas.getRoutePerformance,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { routeId } = event.pathParameters;
+
+    logger.info(`Fetching performance for route: ${routeId}`);
+
+    const report = await performanceService.getRoutePerformance(routeId);
+
+    if (!report) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.ROUTE_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.PERFORMANCE_FETCHED,
+      data: report,
+    });
+  } catch (error) {
+    logger.error('Error fetching route performance:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Refresh the performance report of every active route and log bunched and overdue buses.
+ * Runs on a schedule; a failing route is logged and does not stop the others.
+ * @returns {Object} Number of routes checked and failed, and the buses flagged
+ */
+exports.monitorPerformance = withLogContext(async () => {
+  const routes = (await routeService.listAllRoutes()).filter((route) => route.active !== false);
+
+  const reports = await Promise.all(routes.map(async (route) => {
+    try {
+      return await performanceService.refreshRoutePerformance(route);
+    } catch (routeError) {
+      logger.error(`Error monitoring route ${route.RouteID}:`, routeError);
+      return null;
+    }
+  }));
+
+  const flagged = reports.filter((report) => report
+    && (report.bunchedBuses.length > 0 || report.overdueBuses.length > 0
+      || report.overdueStops.length > 0));
+
+  flagged.forEach(({
+    routeId, bunchedBuses, overdueBuses, overdueStops,
+  }) => {
+    logger.warn(`Route ${routeId} is off schedule`, { bunchedBuses, overdueBuses, overdueStops });
+  });
+
+  const summary = {
+    routes: routes.length,
+    failed: reports.filter((report) => !report).length,
+    bunchedBuses: flagged.flatMap((report) => report.bunchedBuses),
+    overdueBuses: flagged.flatMap((report) => report.overdueBuses),
+  };
+
+  logger.info('Route performance refreshed', summary);
+
+  return summary;
+});
@@ -1,88 +1,200 @@
-const { successResponse, errorResponse } = require('../utils/response');
+const { successResponse, errorResponse, rawResponse } = require('../utils/response');
 const logger = require('../utils/logger');
-const { MESSAGES, HTTP_STATUS } = require('../config/constants');
+const routeService = require('../services/routeService');
+const alertService = require('../services/alertService');
+const { AppError } = require('../utils/errors');
+const { decodeCursor } = require('../utils/pagination');
+const { createHandler } = require('../utils/handler');
+const { routesToFeatureCollection, routeToFeatureCollection } = require('../utils/geojson');
+const { ROLES } = require('../utils/auth');
+const schemas = require('../schemas/routes');
+const {
+  MESSAGES, HTTP_STATUS, MEDIA_TYPES, RATE_LIMIT,
+} = require('../config/constants');
+
+// API Gateway path parameters span whole segments, so /routes/{routeId}.geojson reaches
+// getRoute with the extension still on the route ID
+const GEOJSON_EXTENSION = '.geojson';
 
 /**
- * Get all routes
+ * Get all routes, each with its active alerts, as JSON or as GeoJSON lines
  * @param {Object} event - Lambda event object
  * @returns {Object} HTTP response
  */
-exports.getRoutes = async () => {
+exports.getRoutes = createHandler({
+  schema: schemas.getRoutes,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+  etag: true,
+  serializers: {
+    [MEDIA_TYPES.GEOJSON]: (routes, { nextCursor }) => ({
+      ...routesToFeatureCollection(routes),
+      nextCursor,
+    }),
+  },
+}, async (event) => {
   try {
+    const { limit, cursor } = event.queryStringParameters;
+
+    let startKey;
+    if (cursor) {
+      startKey = decodeCursor(cursor);
+      if (!startKey) {
+        return errorResponse(HTTP_STATUS.BAD_REQUEST, MESSAGES.INVALID_CURSOR);
+      }
+    }
+
     logger.info('Fetching all routes');
 
-    // TODO: Implement route fetching logic
-    // const routes = await routeService.getAllRoutes();
-
-    const mockRoutes = [{
-      RouteID: 'route-001',
-      name: 'Downtown Express',
-      description: 'Express service to downtown area',
-      stops: ['Stop A', 'Stop B', 'Stop C'],
-      schedule: '06:00-22:00',
-    },
-    {
-      RouteID: 'route-002',
-      name: 'Airport Shuttle',
-      description: 'Direct service to airport',
-      stops: ['Central Station', 'Airport Terminal'],
-      schedule: '05:00-23:30',
-    },
-    ];
+    const page = await routeService.getAllRoutes({
+      limit,
+      cursor,
+      startKey,
+    });
+
+    const routes = await alertService.attachAlerts(page.items);
 
     return successResponse({
       message: MESSAGES.ROUTES_FETCHED,
-      data: mockRoutes,
-      count: mockRoutes.length,
+      data: routes,
+      count: page.items.length,
+      nextCursor: page.nextCursor,
     });
   } catch (error) {
     logger.error('Error fetching routes:', error);
     return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
   }
-};
+});
 
 /**
- * Get route by ID
+ * Get route by ID with its active alerts, or as a GeoJSON line and stops when the ID ends
+ * in .geojson
  * @param {Object} event - Lambda event object
  * @returns {Object} HTTP response
  */
-exports.getRoute = async (event) => {
+exports.getRoute = createHandler({
+  schema: schemas.getRoute,
+  rateLimit: RATE_LIMIT.PUBLIC_READ,
+  etag: true,
+}, async (event) => {
   try {
-    const { routeId } = event.pathParameters || {};
+    const { routeId: requested } = event.pathParameters;
+    const asGeoJson = requested.endsWith(GEOJSON_EXTENSION);
+    const routeId = asGeoJson ? requested.slice(0, -GEOJSON_EXTENSION.length) : requested;
+
+    logger.info(`Fetching route: ${routeId}`, { format: asGeoJson ? 'geojson' : 'json' });
+
+    const route = await routeService.getRoute(routeId);
 
-    if (!routeId) {
-      return errorResponse(HTTP_STATUS.BAD_REQUEST, 'Route ID is required');
+    if (!route) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.ROUTE_NOT_FOUND);
     }
 
-    logger.info(`Fetching route: ${routeId}`);
-
-    // TODO: Implement single route fetching logic
-    // const route = await routeService.getRoute(routeId);
-
-    // Mock data for now
-    const mockRoute = {
-      RouteID: routeId,
-      name: 'Downtown Express',
-      description: 'Express service to downtown area',
-      stops: [
-        { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
-        { id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851] },
-        { id: 'stop-003', name: 'Shopping Center', coordinates: [40.7505, -73.9934] },
-      ],
-      schedule: {
-        weekdays: '06:00-22:00',
-        weekends: '08:00-20:00',
-      },
-      frequency: '15 minutes',
-      active: true,
-    };
+    if (asGeoJson) {
+      return rawResponse(JSON.stringify(routeToFeatureCollection(route)), MEDIA_TYPES.GEOJSON);
+    }
+
+    const [withAlerts] = await alertService.attachAlerts([route]);
 
     return successResponse({
-      message: 'Route fetched successfully',
-      data: mockRoute,
+      message: MESSAGES.ROUTE_FETCHED,
+      data: withAlerts,
     });
   } catch (error) {
     logger.error('Error fetching route:', error);
     return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
   }
-};
+});
+
+/**
+ * Create a route
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.createRoute = createHandler({
+  schema: schemas.createRoute,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { routeId } = event.pathParameters;
+
+    logger.info(`Creating route: ${routeId}`);
+
+    const route = await routeService.createRoute(routeId, event.body);
+
+    return successResponse({
+      message: MESSAGES.ROUTE_CREATED,
+      data: route,
+    }, HTTP_STATUS.CREATED);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error creating route:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Replace a route's stops, schedule and frequency
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.updateRoute = createHandler({
+  schema: schemas.updateRoute,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { routeId } = event.pathParameters;
+
+    logger.info(`Updating route: ${routeId}`);
+
+    const route = await routeService.updateRoute(routeId, event.body);
+
+    if (!route) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.ROUTE_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.ROUTE_UPDATED,
+      data: route,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error updating route:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Delete a route
+ * @param {Object} event - Lambda event object
+ * @returns {Object} HTTP response
+ */
+exports.deleteRoute = createHandler({
+  schema: schemas.deleteRoute,
+  roles: [ROLES.OPERATOR],
+}, async (event) => {
+  try {
+    const { routeId } = event.pathParameters;
+
+    logger.info(`Deleting route: ${routeId}`);
+
+    const deleted = await routeService.deleteRoute(routeId);
+
+    if (!deleted) {
+      return errorResponse(HTTP_STATUS.NOT_FOUND, MESSAGES.ROUTE_NOT_FOUND);
+    }
+
+    return successResponse({
+      message: MESSAGES.ROUTE_DELETED,
+      data: { routeId },
+    });
+  } catch (error) {
+    logger.error('Error deleting route:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
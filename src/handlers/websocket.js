@@ -0,0 +1,149 @@
+const { DynamoDB } = require('aws-sdk');
+const { successResponse, errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const connectionService = require('../services/connectionService');
+const pushService = require('../services/pushService');
+const locationService = require('../services/locationService');
+const { AppError } = require('../utils/errors');
+const { createHandler, withLogContext } = require('../utils/handler');
+const { processInOrder } = require('../utils/stream');
+const schemas = require('../schemas/websocket');
+const { MESSAGES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Register a new WebSocket connection
+ * @param {Object} event - API Gateway WebSocket $connect event
+ * @returns {Object} Response; a non-2xx status rejects the connection
+ */
+exports.connect = withLogContext(async (event) => {
+  try {
+    const { connectionId } = event.requestContext;
+
+    logger.info(`WebSocket connected: ${connectionId}`);
+
+    await connectionService.registerConnection(connectionId);
+
+    return successResponse({ message: MESSAGES.CONNECTED });
+  } catch (error) {
+    logger.error('Error registering WebSocket connection:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Forget a closed WebSocket connection and its subscriptions
+ * @param {Object} event - API Gateway WebSocket $disconnect event
+ * @returns {Object} Response
+ */
+exports.disconnect = withLogContext(async (event) => {
+  try {
+    const { connectionId } = event.requestContext;
+
+    const removed = await connectionService.removeConnection(connectionId);
+    logger.info(`WebSocket disconnected: ${connectionId}`, { removed });
+
+    return successResponse({ message: MESSAGES.DISCONNECTED });
+  } catch (error) {
+    logger.error('Error removing WebSocket connection:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Subscribe the calling connection to a route or a single bus
+ * @param {Object} event - API Gateway WebSocket event for the subscribe action
+ * @returns {Object} Response sent back to the client
+ */
+exports.subscribe = createHandler({
+  schema: schemas.subscribe,
+}, async (event) => {
+  try {
+    const { connectionId } = event.requestContext;
+    const { routeId, busId } = event.body;
+
+    const topic = await connectionService.subscribe(connectionId, { routeId, busId });
+    logger.info(`Connection ${connectionId} subscribed to ${topic}`);
+
+    return successResponse({
+      message: MESSAGES.SUBSCRIBED,
+      data: { topic },
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return errorResponse(error.statusCode, error.message, error.details);
+    }
+
+    logger.error('Error subscribing WebSocket connection:', error);
+    return errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Internal server error');
+  }
+});
+
+/**
+ * Push a newly stored fix to the connections following its bus or route.
+ * Only the bus's latest fix is pushed: older ones, such as history backfilled by a batch
+ * upload, would send live maps back to stale positions.
+ * @param {Object} record - DynamoDB stream record from the Locations table
+ * @returns {Object|null} Delivery counts, or null when the record is not a new latest fix
+ */
+const pushRecord = async (record) => {
+  if (record.eventName !== 'INSERT' || !record.dynamodb?.NewImage) {
+    return null;
+  }
+
+  const fix = DynamoDB.Converter.unmarshall(record.dynamodb.NewImage);
+  logger.setContext({ busId: fix.BusID, routeId: fix.route_id || null });
+
+  const latest = await locationService.getLatestLocation(fix.BusID);
+  if (latest && fix.timestamp < latest.timestamp) {
+    logger.debug('Skipping push of a fix older than the latest location', {
+      timestamp: fix.timestamp,
+      latest: latest.timestamp,
+    });
+    return null;
+  }
+
+  const topics = [connectionService.topicFor({ busId: fix.BusID })];
+  if (fix.route_id) {
+    topics.push(connectionService.topicFor({ routeId: fix.route_id }));
+  }
+
+  return pushService.publish(topics, {
+    type: 'location',
+    data: {
+      busId: fix.BusID,
+      routeId: fix.route_id || null,
+      timestamp: fix.timestamp,
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      speed: fix.speed,
+      heading: fix.heading,
+    },
+  });
+};
+
+/**
+ * Fan new fixes out to WebSocket subscribers from the Locations table stream
+ * @param {Object} event - DynamoDB stream event
+ * @returns {Object} Partial batch response listing the records Lambda should retry
+ */
+exports.pushLocations = withLogContext(async (event) => {
+  const records = event.Records || [];
+
+  logger.info('Location push triggered', { recordCount: records.length });
+
+  // Fixes are pushed in stream order so subscribers see each bus move forward
+  const batchItemFailures = await processInOrder(records, async (record) => {
+    try {
+      const counts = await pushRecord(record);
+
+      if (counts) {
+        logger.debug('Location pushed to subscribers', counts);
+      }
+    } catch (recordError) {
+      logger.error('Error pushing location record:', recordError);
+      throw recordError;
+    }
+  });
+
+  return { batchItemFailures };
+});
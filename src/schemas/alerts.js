@@ -0,0 +1,69 @@
+/**
+ * Request schemas for service alert endpoints
+ */
+
+const Joi = require('joi');
+const { routeId, timestamp } = require('./common');
+const { ALERT_SCOPES, ALERT_SEVERITY } = require('../config/constants');
+
+const stopId = Joi.string().trim().min(1).max(64);
+
+// BCP 47 language tags such as "en", "es" or "zh-Hant"
+const language = Joi.string().pattern(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/);
+
+const createAlert = {
+  body: Joi.object({
+    scope: Joi.string().valid(...Object.values(ALERT_SCOPES)).required(),
+    route_id: routeId.when('scope', {
+      is: ALERT_SCOPES.NETWORK,
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+    stop_id: stopId.when('scope', {
+      is: ALERT_SCOPES.STOP,
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    severity: Joi.string().valid(...Object.values(ALERT_SEVERITY)).required(),
+    activeFrom: timestamp,
+    activeUntil: timestamp
+      .custom((value, helpers) => {
+        const { activeFrom } = helpers.state.ancestors[0];
+        const until = Date.parse(value);
+        const from = Math.max(activeFrom ? Date.parse(activeFrom) : 0, Date.now());
+        return until > from ? value : helpers.error('any.invalid');
+      })
+      .messages({ 'any.invalid': 'activeUntil must be after activeFrom and in the future' }),
+    // Keys are language tags; a malformed tag fails validation instead of being stripped
+    messages: Joi.object()
+      .pattern(language, Joi.string().trim().min(1).max(1000))
+      .unknown(false)
+      .min(1)
+      .required()
+      .messages({
+        'object.min': 'An alert needs a message in at least one language',
+        'object.unknown': '{{#label}} is not a language tag such as "en" or "es"',
+      }),
+  }),
+};
+
+const getAlerts = {
+  queryStringParameters: Joi.object({
+    routeId,
+    stopId: stopId.when('routeId', { is: Joi.exist(), otherwise: Joi.forbidden() }),
+    includeUpcoming: Joi.boolean().default(false),
+  }),
+};
+
+const deleteAlert = {
+  pathParameters: Joi.object({
+    alertId: Joi.string().trim().min(1).max(64)
+      .required(),
+  }),
+};
+
+module.exports = {
+  createAlert,
+  getAlerts,
+  deleteAlert,
+};
@@ -0,0 +1,67 @@
+/**
+ * Request schemas for fleet management endpoints
+ */
+
+const Joi = require('joi');
+const { pagination, busId, routeId } = require('./common');
+const { BUS_STATUS } = require('../config/constants');
+
+const busPath = Joi.object({
+  busId: busId.required(),
+});
+
+const busStatus = Joi.string().valid(...Object.values(BUS_STATUS));
+
+const busAttributes = {
+  vehicle_number: Joi.string().trim().max(32).required(),
+  capacity: Joi.number().integer().min(1).max(200)
+    .required(),
+  type: Joi.string().trim().max(32).required(),
+  route_id: routeId,
+  driver: Joi.object({
+    id: Joi.string().required(),
+    name: Joi.string().required(),
+    license: Joi.string().required(),
+  }),
+};
+
+const getBuses = {
+  queryStringParameters: pagination,
+};
+
+const getBus = {
+  pathParameters: busPath,
+};
+
+const createBus = {
+  body: Joi.object({
+    BusID: busId,
+    ...busAttributes,
+    status: busStatus,
+  }),
+};
+
+const updateBus = {
+  pathParameters: busPath,
+  body: Joi.object(busAttributes),
+};
+
+const deleteBus = {
+  pathParameters: busPath,
+};
+
+const updateBusStatus = {
+  pathParameters: busPath,
+  body: Joi.object({
+    status: busStatus.required(),
+  }),
+};
+
+module.exports = {
+  getBuses,
+  getBus,
+  createBus,
+  updateBus,
+  deleteBus,
+  updateBusStatus,
+};
@@ -0,0 +1,45 @@
+/**
+ * Schema building blocks shared across endpoints
+ */
+
+const Joi = require('joi');
+const { PAGINATION } = require('../config/constants');
+
+const latitude = Joi.number().min(-90).max(90).messages({
+  'number.base': 'Latitude must be a number',
+  'number.min': 'Latitude must be between -90 and 90',
+  'number.max': 'Latitude must be between -90 and 90',
+  'any.required': 'Latitude is required',
+});
+
+const longitude = Joi.number().min(-180).max(180).messages({
+  'number.base': 'Longitude must be a number',
+  'number.min': 'Longitude must be between -180 and 180',
+  'number.max': 'Longitude must be between -180 and 180',
+  'any.required': 'Longitude is required',
+});
+
+const timestamp = Joi.string().isoDate().messages({
+  'string.isoDate': 'Timestamp must be a valid ISO 8601 date',
+});
+
+const busId = Joi.string().trim().min(1).max(64)
+  .messages({ 'any.required': 'Bus ID is required' });
+
+const routeId = Joi.string().trim().min(1).max(64)
+  .messages({ 'any.required': 'Route ID is required' });
+
+const pagination = Joi.object({
+  limit: Joi.number().integer().min(1).max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+  cursor: Joi.string(),
+});
+
+module.exports = {
+  pagination,
+  latitude,
+  longitude,
+  timestamp,
+  busId,
+  routeId,
+};
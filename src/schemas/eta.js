@@ -0,0 +1,25 @@
+/**
+ * Request schemas for arrival prediction endpoints
+ */
+
+const Joi = require('joi');
+const { busId, routeId } = require('./common');
+
+const getBusEta = {
+  pathParameters: Joi.object({
+    busId: busId.required(),
+  }),
+};
+
+const getStopArrivals = {
+  pathParameters: Joi.object({
+    routeId: routeId.required(),
+    stopId: Joi.string().trim().min(1).max(64)
+      .required(),
+  }),
+};
+
+module.exports = {
+  getBusEta,
+  getStopArrivals,
+};
@@ -0,0 +1,36 @@
+/**
+ * Request schemas for fleet endpoints
+ */
+
+const Joi = require('joi');
+
+// GeoJSON bbox order: west, south, east, north
+const bbox = Joi.string()
+  .custom((value, helpers) => {
+    const parts = value.split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+    if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+      return helpers.error('any.invalid');
+    }
+
+    const [minLon, minLat, maxLon, maxLat] = parts;
+    const inRange = [minLon, maxLon].every((lon) => lon >= -180 && lon <= 180)
+      && [minLat, maxLat].every((lat) => lat >= -90 && lat <= 90);
+    if (!inRange || minLon > maxLon || minLat > maxLat) {
+      return helpers.error('any.invalid');
+    }
+
+    return parts;
+  })
+  .messages({
+    'any.invalid': '{{#label}} must be "minLon,minLat,maxLon,maxLat" with min values not above max',
+  });
+
+const getFleetGeoJson = {
+  queryStringParameters: Joi.object({
+    bbox,
+  }),
+};
+
+module.exports = {
+  getFleetGeoJson,
+};
@@ -0,0 +1,22 @@
+/**
+ * Request schemas for GTFS-Realtime feed endpoints
+ */
+
+const Joi = require('joi');
+
+const feedQuery = Joi.object({
+  format: Joi.string().valid('protobuf', 'json').default('protobuf'),
+});
+
+const getVehiclePositions = {
+  queryStringParameters: feedQuery,
+};
+
+const getTripUpdates = {
+  queryStringParameters: feedQuery,
+};
+
+module.exports = {
+  getVehiclePositions,
+  getTripUpdates,
+};
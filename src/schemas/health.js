@@ -0,0 +1,15 @@
+/**
+ * Request schemas for the health check
+ */
+
+const Joi = require('joi');
+
+const ping = {
+  queryStringParameters: Joi.object({
+    verbose: Joi.boolean().default(false),
+  }),
+};
+
+module.exports = {
+  ping,
+};
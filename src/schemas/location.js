@@ -0,0 +1,85 @@
+/**
+ * Request schemas for location endpoints
+ */
+
+const Joi = require('joi');
+const {
+  pagination, latitude, longitude, timestamp, busId, routeId,
+} = require('./common');
+const { NEARBY, HISTORY, LOCATION } = require('../config/constants');
+
+const historyQuery = pagination.keys({
+  from: timestamp,
+  to: timestamp,
+  simplify: Joi.number().min(0).max(HISTORY.MAX_SIMPLIFY_TOLERANCE_METERS),
+})
+  .custom((value, helpers) => (
+    value.from && value.to && value.from >= value.to ? helpers.error('history.range') : value
+  ))
+  .messages({ 'history.range': '"from" must be earlier than "to"' });
+
+const fix = Joi.object({
+  latitude: latitude.required(),
+  longitude: longitude.required(),
+  timestamp,
+  speed: Joi.number().min(0),
+  heading: Joi.number().min(0).max(360),
+});
+
+const updateLocation = {
+  pathParameters: Joi.object({
+    busId: busId.required(),
+  }),
+  // seq increases with every update a device sends; retries reuse it
+  body: fix.keys({
+    seq: Joi.number().integer().min(0),
+  }),
+};
+
+// Buffered fixes were recorded earlier, so each one must say when
+const batchFix = fix.keys({
+  timestamp: timestamp.required(),
+});
+
+// Fixes are checked one by one against batchFix so a bad fix does not sink the whole batch
+const batchUpdateLocations = {
+  pathParameters: Joi.object({
+    busId: busId.required(),
+  }),
+  body: Joi.object({
+    fixes: Joi.array().items(Joi.object().unknown()).min(1).max(LOCATION.MAX_BATCH_SIZE)
+      .required(),
+  }),
+};
+
+const getNearbyBuses = {
+  queryStringParameters: Joi.object({
+    lat: latitude.required(),
+    lon: longitude.required(),
+    radius: Joi.number().positive().max(NEARBY.MAX_RADIUS_METERS)
+      .default(NEARBY.DEFAULT_RADIUS_METERS),
+  }),
+};
+
+const getBusLocations = {
+  pathParameters: Joi.object({
+    busId: busId.required(),
+  }),
+  queryStringParameters: historyQuery,
+};
+
+const getRouteLocations = {
+  pathParameters: Joi.object({
+    routeId: routeId.required(),
+  }),
+  queryStringParameters: historyQuery,
+};
+
+module.exports = {
+  updateLocation,
+  batchFix,
+  batchUpdateLocations,
+  getNearbyBuses,
+  getBusLocations,
+  getRouteLocations,
+};
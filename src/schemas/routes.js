@@ -0,0 +1,92 @@
+/**
+ * Request schemas for route endpoints
+ */
+
+const Joi = require('joi');
+const {
+  pagination, routeId, latitude, longitude,
+} = require('./common');
+const { parseTimeWindow, parseFrequencyMinutes } = require('../utils/schedule');
+
+const routePath = Joi.object({
+  routeId: routeId.required(),
+});
+
+const timeWindow = Joi.string()
+  .custom((value, helpers) => {
+    const window = parseTimeWindow(value);
+    if (!window || window.start === window.end) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({ 'any.invalid': '{{#label}} must be a service window such as "06:00-22:00"' });
+
+const stop = Joi.object({
+  id: Joi.string().trim().min(1).max(64)
+    .required(),
+  name: Joi.string().trim().min(1).max(128)
+    .required(),
+  coordinates: Joi.array().ordered(latitude.required(), longitude.required()).length(2)
+    .required(),
+  radius: Joi.number().min(5).max(500),
+});
+
+const routeBody = Joi.object({
+  name: Joi.string().trim().min(1).max(128)
+    .required(),
+  description: Joi.string().allow('').max(512),
+  stops: Joi.array().items(stop).min(2).unique('id')
+    .required()
+    .messages({
+      'array.min': 'A route needs at least two stops',
+      'array.unique': 'Stop ids must be unique within a route',
+    }),
+  schedule: Joi.object({
+    weekdays: timeWindow.required(),
+    weekends: timeWindow,
+  }).required(),
+  frequency: Joi.string()
+    .custom((value, helpers) => {
+      const minutes = parseFrequencyMinutes(value);
+      return minutes > 0 && minutes <= 24 * 60 ? value : helpers.error('any.invalid');
+    })
+    .required()
+    .messages({ 'any.invalid': 'Frequency must look like "15 minutes" or "1 hour"' }),
+  active: Joi.boolean().default(true),
+});
+
+const getRoutes = {
+  queryStringParameters: pagination,
+};
+
+const getRoute = {
+  pathParameters: routePath,
+};
+
+const createRoute = {
+  pathParameters: routePath,
+  body: routeBody,
+};
+
+const updateRoute = {
+  pathParameters: routePath,
+  body: routeBody,
+};
+
+const deleteRoute = {
+  pathParameters: routePath,
+};
+
+const getRoutePerformance = {
+  pathParameters: routePath,
+};
+
+module.exports = {
+  getRoutes,
+  getRoute,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+  getRoutePerformance,
+};
@@ -0,0 +1,23 @@
+/**
+ * Message schemas for the WebSocket API
+ */
+
+const Joi = require('joi');
+const { busId, routeId } = require('./common');
+
+const subscribe = {
+  body: Joi.object({
+    action: Joi.string().valid('subscribe').required(),
+    routeId,
+    busId,
+  })
+    .xor('routeId', 'busId')
+    .messages({
+      'object.missing': 'Subscribe to either a routeId or a busId',
+      'object.xor': 'Subscribe to either a routeId or a busId, not both',
+    }),
+};
+
+module.exports = {
+  subscribe,
+};
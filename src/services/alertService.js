@@ -0,0 +1,201 @@
+/**
+ * Service alerts and disruption notices backed by the Alerts table
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDocumentClient } = require('./dynamodb');
+const cacheService = require('./cacheService');
+const routeService = require('./routeService');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const {
+  TABLES, REDIS, ALERT_SCOPES, ALERT_SEVERITY, MESSAGES, HTTP_STATUS,
+} = require('../config/constants');
+
+// Most severe first when alerts are listed
+const SEVERITY_ORDER = [ALERT_SEVERITY.SEVERE, ALERT_SEVERITY.WARNING, ALERT_SEVERITY.INFO];
+
+const isConditionalCheckFailure = (error) => error.code === 'ConditionalCheckFailedException';
+
+const isExpired = (alert, now) => Boolean(alert.activeUntil) && alert.activeUntil <= now;
+
+const hasStarted = (alert, now) => alert.activeFrom <= now;
+
+/**
+ * Check whether an alert concerns a route, or a stop on it
+ * @param {Object} alert - Alerts table item
+ * @param {string} routeId - Route ID
+ * @param {string} [stopId] - Stop ID; alerts for other stops of the route are left out
+ * @returns {boolean} True for network alerts and alerts scoped to the route or stop
+ */
+const appliesTo = (alert, routeId, stopId) => {
+  if (alert.scope === ALERT_SCOPES.NETWORK) {
+    return true;
+  }
+  if (alert.route_id !== routeId) {
+    return false;
+  }
+  return alert.scope === ALERT_SCOPES.ROUTE || !stopId || alert.stop_id === stopId;
+};
+
+const bySeverity = (a, b) => SEVERITY_ORDER.indexOf(a.severity)
+  - SEVERITY_ORDER.indexOf(b.severity) || a.activeFrom.localeCompare(b.activeFrom);
+
+/**
+ * Read every alert straight from the table, following scan pages
+ * @param {Object} [startKey] - ExclusiveStartKey of the next page
+ * @returns {Object[]} Alert items
+ */
+const scanAlerts = async (startKey) => {
+  const result = await getDocumentClient().scan({
+    TableName: TABLES.ALERTS,
+    ...(startKey && { ExclusiveStartKey: startKey }),
+  }).promise();
+  const items = result.Items || [];
+
+  if (!result.LastEvaluatedKey) {
+    return items;
+  }
+
+  return [...items, ...await scanAlerts(result.LastEvaluatedKey)];
+};
+
+/**
+ * Get alerts that have not expired, soonest to start first within each severity.
+ * DynamoDB TTL removes expired alerts only eventually, so they are also filtered here,
+ * after the cache, so a cached list never serves an alert past its window.
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.routeId] - Only network alerts and alerts for this route
+ * @param {string} [filter.stopId] - Of the route's stop alerts, only those for this stop
+ * @param {boolean} [filter.includeUpcoming] - Include alerts whose window has not started
+ * @param {Date} [now] - Current time
+ * @returns {Object[]} Alert items
+ */
+const getAlerts = async ({ routeId, stopId, includeUpcoming = false } = {}, now = new Date()) => {
+  const time = now.toISOString();
+  const alerts = await cacheService.readThrough(
+    cacheService.keys.alerts(),
+    REDIS.TTL.ALERT_CACHE,
+    () => scanAlerts(),
+  );
+
+  return alerts
+    .filter((alert) => !isExpired(alert, time))
+    .filter((alert) => includeUpcoming || hasStarted(alert, time))
+    .filter((alert) => !routeId || appliesTo(alert, routeId, stopId))
+    .sort(bySeverity);
+};
+
+/**
+ * Add the active alerts that concern each route to the route
+ * @param {Object[]} routes - Route items
+ * @param {Date} [now] - Current time
+ * @returns {Object[]} Routes with an alerts array
+ */
+const attachAlerts = async (routes, now = new Date()) => {
+  const active = await getAlerts({}, now);
+
+  return routes.map((route) => ({
+    ...route,
+    alerts: active.filter((alert) => appliesTo(alert, route.RouteID)),
+  }));
+};
+
+/**
+ * Ensure the route, and the stop for stop alerts, that an alert is scoped to exists
+ * @param {Object} data - Alert attributes
+ * @throws {AppError} When the route or stop does not exist
+ */
+const assertScopeExists = async ({ scope, route_id: routeId, stop_id: stopId }) => {
+  if (scope === ALERT_SCOPES.NETWORK) {
+    return;
+  }
+
+  const route = await routeService.getRoute(routeId);
+  if (!route) {
+    throw new AppError(HTTP_STATUS.UNPROCESSABLE_ENTITY, MESSAGES.ROUTE_NOT_FOUND, {
+      route_id: routeId,
+    });
+  }
+
+  if (scope === ALERT_SCOPES.STOP && !(route.stops || []).some((stop) => stop.id === stopId)) {
+    throw new AppError(HTTP_STATUS.UNPROCESSABLE_ENTITY, MESSAGES.STOP_NOT_FOUND, {
+      route_id: routeId,
+      stop_id: stopId,
+    });
+  }
+};
+
+/**
+ * Drop the cached alert list after a write so the change shows up immediately
+ */
+const invalidateCachedAlerts = async () => {
+  try {
+    await cacheService.invalidateAlerts();
+  } catch (cacheError) {
+    logger.warn('Failed to invalidate cached alerts:', cacheError.message);
+  }
+};
+
+/**
+ * Publish an alert. Alerts with an end time expire from the table through DynamoDB TTL.
+ * @param {Object} data - Validated alert attributes
+ * @returns {Object} Created alert
+ * @throws {AppError} When the route or stop the alert is scoped to does not exist
+ */
+const createAlert = async (data) => {
+  await assertScopeExists(data);
+
+  const now = new Date().toISOString();
+  const activeUntil = data.activeUntil && new Date(data.activeUntil);
+  const alert = {
+    ...data,
+    AlertID: `alert-${uuidv4()}`,
+    activeFrom: data.activeFrom ? new Date(data.activeFrom).toISOString() : now,
+    ...(activeUntil && {
+      activeUntil: activeUntil.toISOString(),
+      ttl: Math.ceil(activeUntil.getTime() / 1000),
+    }),
+    createdAt: now,
+  };
+
+  await getDocumentClient().put({
+    TableName: TABLES.ALERTS,
+    Item: alert,
+  }).promise();
+
+  await invalidateCachedAlerts();
+
+  return alert;
+};
+
+/**
+ * Withdraw an alert
+ * @param {string} alertId - Alert ID
+ * @returns {boolean} False if the alert did not exist
+ */
+const deleteAlert = async (alertId) => {
+  try {
+    await getDocumentClient().delete({
+      TableName: TABLES.ALERTS,
+      Key: { AlertID: alertId },
+      ConditionExpression: 'attribute_exists(AlertID)',
+    }).promise();
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return false;
+    }
+    throw error;
+  }
+
+  await invalidateCachedAlerts();
+
+  return true;
+};
+
+module.exports = {
+  getAlerts,
+  attachAlerts,
+  createAlert,
+  deleteAlert,
+};
@@ -0,0 +1,278 @@
+/**
+ * Fleet management backed by the Buses table
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDocumentClient } = require('./dynamodb');
+const routeService = require('./routeService');
+const { encodeCursor } = require('../utils/pagination');
+const { AppError } = require('../utils/errors');
+const {
+  TABLES, BUS_STATUS, MESSAGES, HTTP_STATUS,
+} = require('../config/constants');
+
+const isConditionalCheckFailure = (error) => error.code === 'ConditionalCheckFailedException';
+
+/**
+ * Ensure a route referenced by a bus exists
+ * @param {string} [routeId] - Route ID, skipped when not set
+ * @throws {AppError} When the route does not exist
+ */
+const assertRouteExists = async (routeId) => {
+  if (routeId && !(await routeService.getRoute(routeId))) {
+    throw new AppError(HTTP_STATUS.UNPROCESSABLE_ENTITY, MESSAGES.ROUTE_NOT_FOUND, {
+      route_id: routeId,
+    });
+  }
+};
+
+/**
+ * Get a page of buses
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Page size
+ * @param {Object} [options.startKey] - Decoded cursor (ExclusiveStartKey)
+ * @returns {Object} Page with items and nextCursor
+ */
+const listBuses = async ({ limit, startKey }) => {
+  const result = await getDocumentClient().scan({
+    TableName: TABLES.BUSES,
+    Limit: limit,
+    ...(startKey && { ExclusiveStartKey: startKey }),
+  }).promise();
+
+  return {
+    items: result.Items || [],
+    nextCursor: encodeCursor(result.LastEvaluatedKey),
+  };
+};
+
+/**
+ * Read every active bus, following scan pages
+ * @param {Object} [startKey] - ExclusiveStartKey of the next page
+ * @returns {Object[]} Active bus items
+ */
+const listActiveBuses = async (startKey) => {
+  const result = await getDocumentClient().scan({
+    TableName: TABLES.BUSES,
+    FilterExpression: '#status = :active',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':active': BUS_STATUS.ACTIVE },
+    ...(startKey && { ExclusiveStartKey: startKey }),
+  }).promise();
+  const items = result.Items || [];
+
+  if (!result.LastEvaluatedKey) {
+    return items;
+  }
+
+  return [...items, ...await listActiveBuses(result.LastEvaluatedKey)];
+};
+
+/**
+ * Look up a bus in the Buses table
+ * @param {string} busId - Bus ID
+ * @returns {Object|null} Bus item or null if it does not exist
+ */
+const getBus = async (busId) => {
+  const result = await getDocumentClient().get({
+    TableName: TABLES.BUSES,
+    Key: { BusID: busId },
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Register a new bus
+ * @param {Object} data - Bus attributes; BusID is generated when omitted
+ * @returns {Object} Created bus
+ * @throws {AppError} When the route does not exist or the BusID is taken
+ */
+const createBus = async (data) => {
+  await assertRouteExists(data.route_id);
+
+  const now = new Date().toISOString();
+  const bus = {
+    status: BUS_STATUS.ACTIVE,
+    ...data,
+    BusID: data.BusID || `bus-${uuidv4()}`,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await getDocumentClient().put({
+      TableName: TABLES.BUSES,
+      Item: bus,
+      ConditionExpression: 'attribute_not_exists(BusID)',
+    }).promise();
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      throw new AppError(HTTP_STATUS.CONFLICT, MESSAGES.BUS_ALREADY_EXISTS, { BusID: bus.BusID });
+    }
+    throw error;
+  }
+
+  return bus;
+};
+
+// Attributes set through PUT /buses/{busId}. Everything else on the item, such as its status,
+// sequence number and geofence state, is maintained elsewhere and left alone.
+const EDITABLE_ATTRIBUTES = ['vehicle_number', 'capacity', 'type', 'route_id', 'driver'];
+
+/**
+ * Replace a bus's editable attributes; those not given are removed
+ * @param {string} busId - Bus ID
+ * @param {Object} data - New bus attributes
+ * @returns {Object|null} Updated bus, or null if it does not exist
+ * @throws {AppError} When the route does not exist
+ */
+const updateBus = async (busId, data) => {
+  await assertRouteExists(data.route_id);
+
+  const given = EDITABLE_ATTRIBUTES.filter((name) => data[name] !== undefined);
+  const omitted = EDITABLE_ATTRIBUTES.filter((name) => data[name] === undefined);
+  const assignments = [...given.map((name) => `#${name} = :${name}`), 'updatedAt = :updatedAt'];
+  const removals = omitted.length > 0 ? ` REMOVE ${omitted.map((name) => `#${name}`).join(', ')}` : '';
+
+  try {
+    const result = await getDocumentClient().update({
+      TableName: TABLES.BUSES,
+      Key: { BusID: busId },
+      UpdateExpression: `SET ${assignments.join(', ')}${removals}`,
+      ConditionExpression: 'attribute_exists(BusID)',
+      ExpressionAttributeNames: Object.fromEntries(
+        EDITABLE_ATTRIBUTES.map((name) => [`#${name}`, name]),
+      ),
+      ExpressionAttributeValues: {
+        ...Object.fromEntries(given.map((name) => [`:${name}`, data[name]])),
+        ':updatedAt': new Date().toISOString(),
+      },
+      ReturnValues: 'ALL_NEW',
+    }).promise();
+
+    return result.Attributes;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change a bus's lifecycle status
+ * @param {string} busId - Bus ID
+ * @param {string} status - One of BUS_STATUS
+ * @returns {Object|null} Updated bus, or null if it does not exist
+ */
+const updateBusStatus = async (busId, status) => {
+  try {
+    const result = await getDocumentClient().update({
+      TableName: TABLES.BUSES,
+      Key: { BusID: busId },
+      UpdateExpression: 'SET #status = :status, updatedAt = :updatedAt',
+      ConditionExpression: 'attribute_exists(BusID)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': status,
+        ':updatedAt': new Date().toISOString(),
+      },
+      ReturnValues: 'ALL_NEW',
+    }).promise();
+
+    return result.Attributes;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record the sequence number of the latest update from a bus's device. The write is
+ * conditional, so only a number higher than every one seen before is accepted.
+ * @param {string} busId - Bus ID
+ * @param {number} seq - Device sequence number
+ * @returns {Object} advanced, and the previous sequence number (null for the first)
+ */
+const advanceSequence = async (busId, seq) => {
+  try {
+    const result = await getDocumentClient().update({
+      TableName: TABLES.BUSES,
+      Key: { BusID: busId },
+      UpdateExpression: 'SET last_seq = :seq',
+      ConditionExpression: 'attribute_exists(BusID) AND '
+        + '(attribute_not_exists(last_seq) OR last_seq < :seq)',
+      ExpressionAttributeValues: { ':seq': seq },
+      ReturnValues: 'UPDATED_OLD',
+    }).promise();
+
+    return { advanced: true, previousSeq: result.Attributes?.last_seq ?? null };
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return { advanced: false, previousSeq: null };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Undo advanceSequence for an update that was not stored, unless a later update moved on
+ * @param {string} busId - Bus ID
+ * @param {number} seq - Sequence number that was recorded
+ * @param {number|null} previousSeq - Sequence number to restore
+ */
+const rewindSequence = async (busId, seq, previousSeq) => {
+  try {
+    await getDocumentClient().update({
+      TableName: TABLES.BUSES,
+      Key: { BusID: busId },
+      UpdateExpression: previousSeq === null ? 'REMOVE last_seq' : 'SET last_seq = :previous',
+      ConditionExpression: 'last_seq = :seq',
+      ExpressionAttributeValues: {
+        ':seq': seq,
+        ...(previousSeq !== null && { ':previous': previousSeq }),
+      },
+    }).promise();
+  } catch (error) {
+    if (!isConditionalCheckFailure(error)) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Delete a bus
+ * @param {string} busId - Bus ID
+ * @returns {boolean} False if the bus did not exist
+ */
+const deleteBus = async (busId) => {
+  try {
+    await getDocumentClient().delete({
+      TableName: TABLES.BUSES,
+      Key: { BusID: busId },
+      ConditionExpression: 'attribute_exists(BusID)',
+    }).promise();
+
+    return true;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  listBuses,
+  listActiveBuses,
+  getBus,
+  createBus,
+  updateBus,
+  updateBusStatus,
+  deleteBus,
+  advanceSequence,
+  rewindSequence,
+};
@@ -0,0 +1,211 @@
+/**
+ * Redis cache operations
+ */
+
+const { getRedisClient } = require('./redis');
+const logger = require('../utils/logger');
+const { REDIS, LOCATION, NEARBY } = require('../config/constants');
+
+/**
+ * Cache key builders
+ */
+const keys = {
+  latestLocation: (busId) => `location:latest:${busId}`,
+  routeBuses: (routeId) => `route:${routeId}:buses`,
+  route: (routeId) => `route:${routeId}`,
+  routeList: (cursor, limit) => `routes:list:${cursor || 'first'}:${limit}`,
+  routeListIndex: () => 'routes:list:index',
+  geohashBuses: (cell) => `geohash:${cell}:buses`,
+  alerts: () => 'alerts:all',
+  routePerformance: (routeId) => `route:${routeId}:performance`,
+};
+
+/**
+ * Read a JSON value through the cache, loading and caching it on a miss.
+ * Redis errors are logged and treated as a miss so reads never depend on the cache.
+ * @param {string} key - Cache key
+ * @param {number} ttl - Time to live in seconds
+ * @param {Function} loader - Async function returning the value; null/undefined is not cached
+ * @param {string} [indexKey] - Set that tracks the key so a family of keys can be invalidated
+ * @returns {*} Cached or freshly loaded value
+ */
+const readThrough = async (key, ttl, loader, indexKey) => {
+  try {
+    const cached = await getRedisClient().get(key);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  } catch (cacheError) {
+    logger.warn(`Cache read failed for ${key}:`, cacheError.message);
+  }
+
+  const value = await loader();
+
+  if (value !== null && value !== undefined) {
+    try {
+      const pipeline = getRedisClient().multi().set(key, JSON.stringify(value), 'EX', ttl);
+      if (indexKey) {
+        pipeline.sadd(indexKey, key).expire(indexKey, ttl);
+      }
+      await pipeline.exec();
+    } catch (cacheError) {
+      logger.warn(`Cache write failed for ${key}:`, cacheError.message);
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Store a JSON value, replacing any cached copy
+ * @param {string} key - Cache key
+ * @param {number} ttl - Time to live in seconds
+ * @param {*} value - Value to cache
+ */
+const set = async (key, ttl, value) => {
+  await getRedisClient().set(key, JSON.stringify(value), 'EX', ttl);
+};
+
+/**
+ * Store the latest location fix for a bus, move it to its route's active-bus set
+ * and between geohash cells at every indexed precision
+ * @param {string} busId - Bus ID
+ * @param {Object} locationData - Location record
+ * @param {Object} [previous] - The bus's previous latest location record
+ */
+const updateLocationCache = async (busId, locationData, previous) => {
+  const previousGeohash = previous?.geohash;
+  const pipeline = getRedisClient().multi()
+    .set(keys.latestLocation(busId), JSON.stringify(locationData), 'EX', REDIS.TTL.LOCATION_CACHE);
+
+  // Locations rows are never modified, so a route change is only visible here
+  if (previous?.route_id && previous.route_id !== locationData.route_id) {
+    pipeline.srem(keys.routeBuses(previous.route_id), busId);
+  }
+
+  if (locationData.route_id) {
+    pipeline
+      .sadd(keys.routeBuses(locationData.route_id), busId)
+      .expire(keys.routeBuses(locationData.route_id), REDIS.TTL.ROUTE_CACHE);
+  }
+
+  if (locationData.geohash) {
+    for (let precision = LOCATION.GEOHASH_MIN_PRECISION;
+      precision <= LOCATION.GEOHASH_PRECISION;
+      precision += 1) {
+      const cell = locationData.geohash.slice(0, precision);
+      const previousCell = previousGeohash?.slice(0, precision);
+
+      if (previousCell && previousCell !== cell) {
+        pipeline.srem(keys.geohashBuses(previousCell), busId);
+      }
+
+      pipeline
+        .sadd(keys.geohashBuses(cell), busId)
+        .expire(keys.geohashBuses(cell), NEARBY.STALE_AFTER_SECONDS);
+    }
+  }
+
+  await pipeline.exec();
+};
+
+/**
+ * Get the IDs of buses indexed in any of the given geohash cells
+ * @param {string[]} cells - Geohash cells
+ * @returns {string[]} Bus IDs
+ */
+const getBusesInCells = async (cells) => getRedisClient().sunion(
+  ...cells.map((cell) => keys.geohashBuses(cell)),
+);
+
+/**
+ * Get the IDs of buses whose latest fix was on a route
+ * @param {string} routeId - Route ID
+ * @returns {string[]} Bus IDs
+ */
+const getBusesOnRoute = async (routeId) => getRedisClient().smembers(keys.routeBuses(routeId));
+
+/**
+ * Get the cached latest location for a bus
+ * @param {string} busId - Bus ID
+ * @returns {Object|null} Location record or null on cache miss
+ */
+const getLatestLocation = async (busId) => {
+  const cached = await getRedisClient().get(keys.latestLocation(busId));
+  return cached ? JSON.parse(cached) : null;
+};
+
+/**
+ * Invalidate cache entries affected by a change to a Locations row.
+ * The write path already refreshes the cache, so only entries the change made stale are dropped.
+ * @param {string} eventName - INSERT, MODIFY or REMOVE
+ * @param {Object|undefined} oldImage - Row before the change
+ * @param {Object|undefined} newImage - Row after the change
+ * @returns {string[]} Keys that were invalidated
+ */
+const invalidateLocation = async (eventName, oldImage, newImage) => {
+  const record = newImage || oldImage;
+  const redis = getRedisClient();
+  const invalidated = [];
+
+  const cached = await getLatestLocation(record.BusID);
+  const cachedIsThisFix = cached && cached.timestamp === record.timestamp;
+  const cachedIsOlder = cached && cached.timestamp < record.timestamp;
+
+  // An INSERT of the cached fix is the normal write path; anything else leaves the entry stale
+  if (cachedIsOlder || (cachedIsThisFix && eventName !== 'INSERT')) {
+    await redis.del(keys.latestLocation(record.BusID));
+    invalidated.push(keys.latestLocation(record.BusID));
+  }
+
+  // A bus moving to another route leaves its old route's set on the write path; a cached fix
+  // older than this one means that cache update failed, so its route is checked here too
+  const movedFromRoute = cachedIsOlder && cached.route_id !== record.route_id && cached.route_id;
+  const removedFromRoute = eventName === 'REMOVE' && cachedIsThisFix && oldImage.route_id;
+  const leftRoute = movedFromRoute || removedFromRoute;
+
+  if (leftRoute) {
+    await redis.srem(keys.routeBuses(leftRoute), record.BusID);
+    invalidated.push(keys.routeBuses(leftRoute));
+  }
+
+  return invalidated;
+};
+
+/**
+ * Invalidate the cached detail for a route and every cached route list page
+ * @param {string} routeId - Route ID
+ * @returns {string[]} Keys that were invalidated
+ */
+const invalidateRoute = async (routeId) => {
+  const redis = getRedisClient();
+  const listKeys = await redis.smembers(keys.routeListIndex());
+  const invalidated = [keys.route(routeId), ...listKeys, keys.routeListIndex()];
+
+  await redis.del(...invalidated);
+
+  return invalidated;
+};
+
+/**
+ * Invalidate the cached alert list after an alert is created or deleted
+ * @returns {string[]} Keys that were invalidated
+ */
+const invalidateAlerts = async () => {
+  await getRedisClient().del(keys.alerts());
+
+  return [keys.alerts()];
+};
+
+module.exports = {
+  keys,
+  readThrough,
+  set,
+  updateLocationCache,
+  getLatestLocation,
+  getBusesInCells,
+  getBusesOnRoute,
+  invalidateLocation,
+  invalidateRoute,
+  invalidateAlerts,
+};
@@ -0,0 +1,142 @@
+/**
+ * WebSocket connections and their subscriptions
+ */
+
+const { getDocumentClient } = require('./dynamodb');
+const { AppError } = require('../utils/errors');
+const {
+  TABLES, WEBSOCKET, HTTP_STATUS, MESSAGES,
+} = require('../config/constants');
+
+// A connection is one row for itself plus one row per topic, all under its connectionId
+const CONNECTION_TOPIC = '$connection';
+
+/**
+ * Build the topic a subscription target maps to
+ * @param {Object} target - Either routeId or busId
+ * @returns {string} Topic, e.g. route:route-001 or bus:bus-001
+ */
+const topicFor = ({ routeId, busId }) => (routeId ? `route:${routeId}` : `bus:${busId}`);
+
+/**
+ * Epoch seconds at which a connection's rows expire, in case $disconnect never arrives
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} DynamoDB TTL value
+ */
+const expiresAt = (now) => Math.floor(now / 1000) + WEBSOCKET.CONNECTION_TTL_HOURS * 60 * 60;
+
+/**
+ * Query every page of a key condition
+ * @param {Object} params - Query parameters
+ * @returns {Object[]} All matching items
+ */
+const queryAll = async (params) => {
+  const result = await getDocumentClient().query(params).promise();
+  const items = result.Items || [];
+
+  if (!result.LastEvaluatedKey) {
+    return items;
+  }
+
+  return [...items, ...await queryAll({ ...params, ExclusiveStartKey: result.LastEvaluatedKey })];
+};
+
+/**
+ * Record a new connection
+ * @param {string} connectionId - API Gateway connection ID
+ * @param {number} now - Current time in milliseconds
+ */
+const registerConnection = async (connectionId, now = Date.now()) => {
+  await getDocumentClient().put({
+    TableName: TABLES.CONNECTIONS,
+    Item: {
+      connectionId,
+      topic: CONNECTION_TOPIC,
+      connectedAt: new Date(now).toISOString(),
+      ttl: expiresAt(now),
+    },
+  }).promise();
+};
+
+/**
+ * Subscribe a connection to a route or a single bus
+ * @param {string} connectionId - API Gateway connection ID
+ * @param {Object} target - Either routeId or busId
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} Topic the connection now follows
+ * @throws {AppError} When the connection already follows MAX_SUBSCRIPTIONS topics
+ */
+const subscribe = async (connectionId, target, now = Date.now()) => {
+  const topic = topicFor(target);
+  const rows = await queryAll({
+    TableName: TABLES.CONNECTIONS,
+    KeyConditionExpression: 'connectionId = :id',
+    ExpressionAttributeValues: { ':id': connectionId },
+    ProjectionExpression: 'topic',
+  });
+  const topics = rows.map((row) => row.topic).filter((name) => name !== CONNECTION_TOPIC);
+
+  if (!topics.includes(topic) && topics.length >= WEBSOCKET.MAX_SUBSCRIPTIONS) {
+    throw new AppError(HTTP_STATUS.UNPROCESSABLE_ENTITY, MESSAGES.TOO_MANY_SUBSCRIPTIONS, {
+      maxSubscriptions: WEBSOCKET.MAX_SUBSCRIPTIONS,
+    });
+  }
+
+  await getDocumentClient().put({
+    TableName: TABLES.CONNECTIONS,
+    Item: {
+      connectionId,
+      topic,
+      subscribedAt: new Date(now).toISOString(),
+      ttl: expiresAt(now),
+    },
+  }).promise();
+
+  return topic;
+};
+
+/**
+ * Delete a connection and all of its subscriptions
+ * @param {string} connectionId - API Gateway connection ID
+ * @returns {number} Rows deleted
+ */
+const removeConnection = async (connectionId) => {
+  const rows = await queryAll({
+    TableName: TABLES.CONNECTIONS,
+    KeyConditionExpression: 'connectionId = :id',
+    ExpressionAttributeValues: { ':id': connectionId },
+    ProjectionExpression: 'topic',
+  });
+
+  await Promise.all(rows.map(({ topic }) => getDocumentClient().delete({
+    TableName: TABLES.CONNECTIONS,
+    Key: { connectionId, topic },
+  }).promise()));
+
+  return rows.length;
+};
+
+/**
+ * Find the connections following any of the given topics
+ * @param {string[]} topics - Topics to look up
+ * @returns {string[]} Unique connection IDs
+ */
+const getSubscribers = async (topics) => {
+  const rows = await Promise.all(topics.map((topic) => queryAll({
+    TableName: TABLES.CONNECTIONS,
+    IndexName: WEBSOCKET.TOPIC_INDEX,
+    KeyConditionExpression: 'topic = :topic',
+    ExpressionAttributeValues: { ':topic': topic },
+    ProjectionExpression: 'connectionId',
+  })));
+
+  return [...new Set(rows.flat().map((row) => row.connectionId))];
+};
+
+module.exports = {
+  topicFor,
+  registerConnection,
+  subscribe,
+  removeConnection,
+  getSubscribers,
+};
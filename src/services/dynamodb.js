@@ -0,0 +1,44 @@
+/**
+ * Shared DynamoDB DocumentClient
+ */
+
+const AWS = require('aws-sdk');
+const { DYNAMODB } = require('../config/constants');
+
+let documentClient;
+let dynamoDBClient;
+
+const clientOptions = () => ({
+  region: DYNAMODB.REGION,
+  ...(DYNAMODB.ENDPOINT && { endpoint: DYNAMODB.ENDPOINT }),
+});
+
+/**
+ * Get the DocumentClient, created on first use so it is reused across warm invocations.
+ * Points at DynamoDB Local when DYNAMODB_ENDPOINT is set.
+ * @returns {AWS.DynamoDB.DocumentClient} DocumentClient instance
+ */
+const getDocumentClient = () => {
+  if (!documentClient) {
+    documentClient = new AWS.DynamoDB.DocumentClient(clientOptions());
+  }
+
+  return documentClient;
+};
+
+/**
+ * Get the low-level DynamoDB client for table-level operations such as DescribeTable
+ * @returns {AWS.DynamoDB} DynamoDB client
+ */
+const getDynamoDBClient = () => {
+  if (!dynamoDBClient) {
+    dynamoDBClient = new AWS.DynamoDB(clientOptions());
+  }
+
+  return dynamoDBClient;
+};
+
+module.exports = {
+  getDocumentClient,
+  getDynamoDBClient,
+};
@@ -0,0 +1,274 @@
+/**
+ * Arrival time prediction along a route's ordered stops
+ */
+
+const busService = require('./busService');
+const routeService = require('./routeService');
+const locationService = require('./locationService');
+const fleetService = require('./fleetService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+const { haversineDistance, projectOntoSegment } = require('../utils/geo');
+const { parseFrequencyMinutes } = require('../utils/schedule');
+const { AppError } = require('../utils/errors');
+const {
+  ETA, NEARBY, MESSAGES, HTTP_STATUS,
+} = require('../config/constants');
+
+// Internal page size for one bus's recent fixes; 10 minutes of updates fit easily
+const RECENT_FIXES_LIMIT = 500;
+
+const BASIS = {
+  OBSERVED_SPEED: 'observed_speed',
+  FREQUENCY: 'frequency',
+  UNAVAILABLE: 'unavailable',
+};
+
+/**
+ * Route stops store coordinates as [lat, lon]
+ * @param {Object} stop - Route stop
+ * @returns {Object} Point with latitude and longitude
+ */
+const stopPoint = (stop) => ({ latitude: stop.coordinates[0], longitude: stop.coordinates[1] });
+
+/**
+ * Find the route segment a position is closest to
+ * @param {Object[]} stops - Ordered route stops
+ * @param {Object} position - Point with latitude and longitude
+ * @returns {Object} Segment index, fraction along it and distance off the route in meters
+ */
+const locateOnRoute = (stops, position) => {
+  let best = null;
+
+  for (let i = 0; i < stops.length - 1; i += 1) {
+    const { distance, fraction } = projectOntoSegment(
+      position,
+      stopPoint(stops[i]),
+      stopPoint(stops[i + 1]),
+    );
+
+    if (!best || distance < best.offRouteMeters) {
+      best = { segment: i, fraction, offRouteMeters: distance };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Average the reported speed of recent fixes
+ * @param {Object[]} fixes - Recent fixes
+ * @returns {number} Average speed in km/h (0 without fixes)
+ */
+const averageSpeed = (fixes) => {
+  const speeds = fixes.map((fix) => fix.speed).filter((speed) => typeof speed === 'number');
+  return speeds.length > 0 ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length : 0;
+};
+
+/**
+ * Estimate when a bus reaches each stop still ahead of it.
+ * A moving bus is projected at its recent average speed; a stopped bus is assumed to
+ * reach its next stop within one headway of the route's advertised frequency, and the stops
+ * after it at ETA.CRUISE_SPEED_KMH.
+ * @param {Object} route - Route with ordered stops and frequency
+ * @param {Object} location - Latest fix with latitude, longitude and timestamp
+ * @param {number} speedKmh - Recent average speed
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Estimation basis and per-stop estimates
+ */
+const estimateArrivals = (route, location, speedKmh, now = Date.now()) => {
+  const { stops } = route;
+  const position = locateOnRoute(stops, location);
+  const segmentLength = (i) => haversineDistance(
+    stops[i].coordinates[0],
+    stops[i].coordinates[1],
+    stops[i + 1].coordinates[0],
+    stops[i + 1].coordinates[1],
+  );
+
+  const upcoming = [];
+  let distance = (1 - position.fraction) * segmentLength(position.segment);
+  for (let i = position.segment + 1; i < stops.length; i += 1) {
+    if (i > position.segment + 1) {
+      distance += segmentLength(i - 1);
+    }
+    upcoming.push({ stop: stops[i], distanceMeters: distance });
+  }
+
+  const headwayMinutes = parseFrequencyMinutes(route.frequency);
+  let basis = BASIS.UNAVAILABLE;
+  let secondsTo = null;
+
+  if (speedKmh >= ETA.MIN_MOVING_SPEED_KMH) {
+    basis = BASIS.OBSERVED_SPEED;
+    secondsTo = (distanceMeters) => distanceMeters / (speedKmh / 3.6);
+  } else if (headwayMinutes) {
+    // The wait is spent at the next stop at the latest; from there the bus runs at cruise speed
+    basis = BASIS.FREQUENCY;
+    const nextStopMeters = upcoming[0].distanceMeters;
+    secondsTo = (distanceMeters) => headwayMinutes * 60
+      + (distanceMeters - nextStopMeters) / (ETA.CRUISE_SPEED_KMH / 3.6);
+  }
+
+  const fixTime = Date.parse(location.timestamp);
+
+  return {
+    basis,
+    speedKmh: Math.round(speedKmh * 10) / 10,
+    offRouteMeters: Math.round(position.offRouteMeters),
+    stops: upcoming.map(({ stop, distanceMeters }) => {
+      const arrival = secondsTo ? fixTime + secondsTo(distanceMeters) * 1000 : null;
+
+      return {
+        stopId: stop.id,
+        name: stop.name,
+        distanceMeters: Math.round(distanceMeters),
+        etaSeconds: arrival === null ? null : Math.max(0, Math.round((arrival - now) / 1000)),
+        estimatedArrival: arrival === null ? null : new Date(Math.max(arrival, now)).toISOString(),
+      };
+    }),
+  };
+};
+
+/**
+ * Average a bus's speed over its recent fixes, falling back to the latest reported speed
+ * @param {string} busId - Bus ID
+ * @param {Object} latest - Latest fix
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Speed in km/h
+ */
+const recentSpeed = async (busId, latest, now) => {
+  const recent = await locationService.getBusHistory(busId, {
+    from: new Date(now - ETA.SPEED_WINDOW_MINUTES * 60 * 1000).toISOString(),
+    to: new Date(now).toISOString(),
+    limit: RECENT_FIXES_LIMIT,
+  });
+  return recent.items.length > 0 ? averageSpeed(recent.items) : latest.speed || 0;
+};
+
+const isFresh = (location, now) => Boolean(location)
+  && now - Date.parse(location.timestamp) <= NEARBY.STALE_AFTER_SECONDS * 1000;
+
+/**
+ * Get the latest fix of every bus currently on a route. Buses are found through the route's
+ * active-bus set in Redis, or among the live fleet when the cache is unavailable.
+ * @param {string} routeId - Route ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} Fresh latest fixes on the route
+ */
+const getRouteLocations = async (routeId, now) => {
+  try {
+    const busIds = await cacheService.getBusesOnRoute(routeId);
+    const locations = await Promise.all(busIds.map(locationService.getLatestLocation));
+    return locations.filter((location) => isFresh(location, now) && location.route_id === routeId);
+  } catch (cacheError) {
+    logger.warn(`Failed to read active buses for route ${routeId}:`, cacheError.message);
+  }
+
+  const live = await fleetService.getLiveBuses(now);
+  return live
+    .map(({ location }) => location)
+    .filter((location) => location.route_id === routeId);
+};
+
+/**
+ * Load a route, failing when it is missing
+ * @param {string} routeId - Route ID
+ * @returns {Object} Route
+ * @throws {AppError} When the route does not exist
+ */
+const requireRoute = async (routeId) => {
+  const route = await routeService.getRoute(routeId);
+  if (!route) {
+    throw new AppError(HTTP_STATUS.NOT_FOUND, MESSAGES.ROUTE_NOT_FOUND, { routeId });
+  }
+  return route;
+};
+
+/**
+ * Predict arrival times at a bus's upcoming stops
+ * @param {string} busId - Bus ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Estimates, or null if the bus does not exist
+ * @throws {AppError} When the bus has no recent fix or no route
+ */
+const getBusEta = async (busId, now = Date.now()) => {
+  const bus = await busService.getBus(busId);
+  if (!bus) {
+    return null;
+  }
+
+  const latest = await locationService.getLatestLocation(busId);
+  if (!isFresh(latest, now)) {
+    throw new AppError(HTTP_STATUS.NOT_FOUND, MESSAGES.NO_RECENT_LOCATION, { busId });
+  }
+
+  const routeId = latest.route_id || bus.route_id;
+  if (!routeId) {
+    throw new AppError(HTTP_STATUS.UNPROCESSABLE_ENTITY, MESSAGES.BUS_NOT_ON_ROUTE, { busId });
+  }
+
+  const route = await requireRoute(routeId);
+  const speedKmh = await recentSpeed(busId, latest, now);
+
+  return {
+    busId,
+    routeId,
+    lastSeen: latest.timestamp,
+    ...estimateArrivals(route, latest, speedKmh, now),
+  };
+};
+
+/**
+ * Predict the next arrivals at a stop from the latest position of every bus on the route
+ * @param {string} routeId - Route ID
+ * @param {string} stopId - Stop ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Arrivals at the stop, soonest first
+ * @throws {AppError} When the route or stop does not exist
+ */
+const getStopArrivals = async (routeId, stopId, now = Date.now()) => {
+  const route = await requireRoute(routeId);
+  const stop = route.stops.find((candidate) => candidate.id === stopId);
+  if (!stop) {
+    throw new AppError(HTTP_STATUS.NOT_FOUND, MESSAGES.STOP_NOT_FOUND, { routeId, stopId });
+  }
+
+  const locations = await getRouteLocations(routeId, now);
+  const speeds = await Promise.all(
+    locations.map((latest) => recentSpeed(latest.BusID, latest, now)),
+  );
+
+  const arrivals = locations
+    .map((latest, index) => {
+      const estimate = estimateArrivals(route, latest, speeds[index], now);
+      const atStop = estimate.stops.find((upcoming) => upcoming.stopId === stopId);
+
+      return atStop && {
+        busId: latest.BusID,
+        lastSeen: latest.timestamp,
+        basis: estimate.basis,
+        distanceMeters: atStop.distanceMeters,
+        etaSeconds: atStop.etaSeconds,
+        estimatedArrival: atStop.estimatedArrival,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.etaSeconds ?? Infinity) - (b.etaSeconds ?? Infinity));
+
+  return {
+    routeId,
+    stopId,
+    name: stop.name,
+    frequencyMinutes: parseFrequencyMinutes(route.frequency),
+    arrivals,
+  };
+};
+
+module.exports = {
+  BASIS,
+  locateOnRoute,
+  estimateArrivals,
+  getBusEta,
+  getStopArrivals,
+};
@@ -0,0 +1,64 @@
+/**
+ * Live positions of the active fleet
+ */
+
+const busService = require('./busService');
+const locationService = require('./locationService');
+const { NEARBY } = require('../config/constants');
+
+/**
+ * Pair each active bus with its latest fix, dropping buses not seen recently
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} Buses with a fresh location
+ */
+const getLiveBuses = async (now = Date.now()) => {
+  const buses = await busService.listActiveBuses();
+  const locations = await Promise.all(
+    buses.map((bus) => locationService.getLatestLocation(bus.BusID)),
+  );
+
+  return buses
+    .map((bus, index) => ({ bus, location: locations[index] }))
+    .filter(({ location }) => location
+      && now - Date.parse(location.timestamp) <= NEARBY.STALE_AFTER_SECONDS * 1000);
+};
+
+/**
+ * Check whether a fix lies inside a bounding box
+ * @param {Object} location - Location record
+ * @param {number[]} bbox - [minLongitude, minLatitude, maxLongitude, maxLatitude]
+ * @returns {boolean} True when inside or on the edge
+ */
+const inBoundingBox = ({ latitude, longitude }, [minLon, minLat, maxLon, maxLat]) => (
+  latitude >= minLat && latitude <= maxLat && longitude >= minLon && longitude <= maxLon
+);
+
+/**
+ * Get the current position of every live bus, optionally limited to a bounding box
+ * @param {Object} query - Fleet query
+ * @param {number[]} [query.bbox] - [minLongitude, minLatitude, maxLongitude, maxLatitude]
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} Positions with speed, heading and age in seconds
+ */
+const getFleetPositions = async ({ bbox } = {}, now = Date.now()) => {
+  const live = await getLiveBuses(now);
+
+  return live
+    .filter(({ location }) => !bbox || inBoundingBox(location, bbox))
+    .map(({ bus, location }) => ({
+      busId: bus.BusID,
+      vehicleNumber: bus.vehicle_number || null,
+      routeId: location.route_id || bus.route_id || null,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      speed: location.speed ?? null,
+      heading: location.heading ?? null,
+      timestamp: location.timestamp,
+      ageSeconds: Math.max(0, Math.round((now - Date.parse(location.timestamp)) / 1000)),
+    }));
+};
+
+module.exports = {
+  getLiveBuses,
+  getFleetPositions,
+};
@@ -0,0 +1,182 @@
+/**
+ * Stop and route-corridor geofences turning location fixes into bus events
+ */
+
+const { getDocumentClient } = require('./dynamodb');
+const busService = require('./busService');
+const routeService = require('./routeService');
+const { locateOnRoute } = require('./etaService');
+const logger = require('../utils/logger');
+const { haversineDistance } = require('../utils/geo');
+const {
+  TABLES, GEOFENCE, EVENTS, EVENT_TYPES,
+} = require('../config/constants');
+
+const stopRadius = (stop) => stop.radius || GEOFENCE.STOP_RADIUS_METERS;
+
+const distanceToStop = (fix, stop) => haversineDistance(
+  fix.latitude,
+  fix.longitude,
+  stop.coordinates[0],
+  stop.coordinates[1],
+);
+
+/**
+ * Compare a fix with a bus's geofence state.
+ * A bus arrives inside a stop's radius and only departs beyond EXIT_RADIUS_FACTOR times it,
+ * so GPS noise at the edge of a stop does not produce a stream of arrivals and departures.
+ * @param {Object} route - Route with ordered stops
+ * @param {Object} state - Current state: atStop, nextStop and offRoute
+ * @param {Object} fix - Fix with latitude, longitude and timestamp
+ * @returns {Object} New state and the events the fix triggered
+ */
+const evaluateFix = (route, state, fix) => {
+  const { stops } = route;
+  const events = [];
+  const event = (type, details) => events.push({ type, timestamp: fix.timestamp, ...details });
+
+  let { atStop } = state;
+  const current = atStop && stops.find((stop) => stop.id === atStop);
+
+  const leftStop = atStop && (!current
+    || distanceToStop(fix, current) > stopRadius(current) * GEOFENCE.EXIT_RADIUS_FACTOR);
+
+  if (leftStop) {
+    event(EVENT_TYPES.DEPARTED_STOP, { stopId: atStop });
+    atStop = null;
+  }
+
+  if (!atStop) {
+    const arrivedAt = stops
+      .map((stop) => ({ stop, distance: distanceToStop(fix, stop) }))
+      .filter(({ stop, distance }) => distance <= stopRadius(stop))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    if (arrivedAt) {
+      atStop = arrivedAt.stop.id;
+      event(EVENT_TYPES.ARRIVED_AT_STOP, {
+        stopId: atStop,
+        distanceMeters: Math.round(arrivedAt.distance),
+      });
+    }
+  }
+
+  const position = locateOnRoute(stops, fix);
+  const offRoute = !atStop && position.offRouteMeters > GEOFENCE.CORRIDOR_METERS;
+
+  if (offRoute && !state.offRoute) {
+    event(EVENT_TYPES.OFF_ROUTE, { offRouteMeters: Math.round(position.offRouteMeters) });
+  }
+
+  let { nextStop } = state;
+  if (atStop) {
+    const index = stops.findIndex((stop) => stop.id === atStop);
+    nextStop = stops[index + 1]?.id || null;
+  } else if (!offRoute) {
+    nextStop = stops[position.segment + 1].id;
+  }
+
+  return {
+    state: { atStop, nextStop, offRoute },
+    events,
+  };
+};
+
+/**
+ * Store events for a bus. Keys derive from the fix, so a retried stream record overwrites
+ * rather than duplicates its events.
+ * @param {Object} fix - Locations table item that triggered the events
+ * @param {Object[]} events - Events from evaluateFix
+ */
+const recordEvents = async (fix, events) => {
+  const ttl = Math.floor(Date.now() / 1000) + EVENTS.TTL_DAYS * 24 * 60 * 60;
+
+  await Promise.all(events.map(({ type, timestamp, ...details }) => getDocumentClient().put({
+    TableName: TABLES.EVENTS,
+    Item: {
+      BusID: fix.BusID,
+      eventId: `${timestamp}#${type}`,
+      type,
+      timestamp,
+      route_id: fix.route_id,
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      ...details,
+      ttl,
+    },
+  }).promise()));
+};
+
+/**
+ * Run a newly stored fix through the geofences of its route and persist the outcome:
+ * events go to the Events table and the bus's next_stop, at_stop and off_route are updated,
+ * along with geofence_at, the time of the fix that produced them. Fixes must be processed in
+ * time order; one no newer than geofence_at is skipped, since evaluating it would rewind
+ * the bus's state.
+ * @param {Object} fix - Locations table item
+ * @returns {Object[]} Events recorded for the fix
+ */
+const processFix = async (fix) => {
+  if (!fix.route_id) {
+    return [];
+  }
+
+  const [bus, route] = await Promise.all([
+    busService.getBus(fix.BusID),
+    routeService.getRoute(fix.route_id),
+  ]);
+  if (!bus || !route || !route.stops || route.stops.length < 2) {
+    return [];
+  }
+
+  if (bus.geofence_at && fix.timestamp <= bus.geofence_at) {
+    logger.info(`Skipping geofences for a fix of bus ${fix.BusID} older than its state`, {
+      timestamp: fix.timestamp,
+      geofenceAt: bus.geofence_at,
+    });
+    return [];
+  }
+
+  const previous = {
+    atStop: bus.at_stop || null,
+    nextStop: bus.next_stop || null,
+    offRoute: Boolean(bus.off_route),
+  };
+  const { state, events } = evaluateFix(route, previous, fix);
+
+  if (events.length > 0) {
+    await recordEvents(fix, events);
+  }
+
+  if (state.atStop !== previous.atStop || state.nextStop !== previous.nextStop
+    || state.offRoute !== previous.offRoute) {
+    try {
+      await getDocumentClient().update({
+        TableName: TABLES.BUSES,
+        Key: { BusID: fix.BusID },
+        UpdateExpression: 'SET next_stop = :nextStop, at_stop = :atStop, off_route = :offRoute, '
+          + 'geofence_at = :timestamp',
+        ConditionExpression: 'attribute_exists(BusID) AND '
+          + '(attribute_not_exists(geofence_at) OR geofence_at < :timestamp)',
+        ExpressionAttributeValues: {
+          ':nextStop': state.nextStop,
+          ':atStop': state.atStop,
+          ':offRoute': state.offRoute,
+          ':timestamp': fix.timestamp,
+        },
+      }).promise();
+    } catch (error) {
+      // The bus was deleted, or a newer fix moved its state on, since this one was read
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+
+  return events;
+};
+
+module.exports = {
+  evaluateFix,
+  processFix,
+};
@@ -0,0 +1,165 @@
+/**
+ * GTFS-Realtime VehiclePositions and TripUpdates feeds built from live fleet data
+ */
+
+const { transit_realtime: gtfsRealtime } = require('gtfs-realtime-bindings');
+const fleetService = require('./fleetService');
+const routeService = require('./routeService');
+const etaService = require('./etaService');
+const { exportedTripId } = require('../utils/gtfs');
+const { parseFrequencyMinutes, serviceDayType } = require('../utils/schedule');
+const { GTFS } = require('../config/constants');
+
+const { FeedMessage } = gtfsRealtime;
+
+// Buses run frequency-based trips (exact_times=0 in the exported GTFS), which GTFS-RT marks as
+// UNSCHEDULED on both the trip and each stop time update
+const UNSCHEDULED = 'UNSCHEDULED';
+
+const toSeconds = (time) => Math.floor((typeof time === 'string' ? Date.parse(time) : time) / 1000);
+
+/**
+ * Build the feed header
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} FeedHeader
+ */
+const feedHeader = (now) => ({
+  gtfsRealtimeVersion: '2.0',
+  incrementality: 'FULL_DATASET',
+  timestamp: toSeconds(now),
+});
+
+/**
+ * Find the trip of the exported static feed a route is running, i.e. the frequency-based trip
+ * of the service day type whose window covers the time
+ * @param {Object} route - Route with schedule and frequency
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} GTFS trip_id, or null when the route has no exported trip running
+ */
+const resolveTripId = (route, now) => {
+  const dayType = parseFrequencyMinutes(route.frequency)
+    && serviceDayType(route.schedule, new Date(now), GTFS.AGENCY_TIMEZONE);
+  return dayType ? exportedTripId(route.RouteID, dayType) : null;
+};
+
+/**
+ * Build the trip and vehicle descriptors shared by both feeds
+ * @param {Object} bus - Buses table item
+ * @param {string|null} routeId - Route the bus is running
+ * @param {string} [tripId] - Trip of the static feed, when known
+ * @returns {Object} trip and vehicle descriptors
+ */
+const descriptors = (bus, routeId, tripId) => ({
+  ...(routeId && {
+    trip: { ...(tripId && { tripId }), routeId, scheduleRelationship: UNSCHEDULED },
+  }),
+  vehicle: {
+    id: bus.BusID,
+    ...(bus.vehicle_number && { label: bus.vehicle_number }),
+  },
+});
+
+/**
+ * Build the VehiclePositions feed
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} FeedMessage
+ */
+const buildVehiclePositions = async (now = Date.now()) => {
+  const live = await fleetService.getLiveBuses(now);
+
+  return FeedMessage.fromObject({
+    header: feedHeader(now),
+    entity: live.map(({ bus, location }) => ({
+      id: `vehicle-${bus.BusID}`,
+      vehicle: {
+        ...descriptors(bus, location.route_id || bus.route_id),
+        position: {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          bearing: location.heading || 0,
+          // GTFS-RT speeds are meters per second; fixes carry km/h
+          speed: (location.speed || 0) / 3.6,
+        },
+        timestamp: toSeconds(location.timestamp),
+      },
+    })),
+  });
+};
+
+/**
+ * Build the TripUpdates feed from the arrival predictions of every live bus running one of
+ * the trips of the exported static feed.
+ * Feeds are polled often, so predictions reuse the fixes loaded for the fleet and each bus's
+ * last reported speed, and every route is loaded once however many buses run on it. A stopped
+ * bus is predicted from its route's frequency, as in etaService.
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} FeedMessage
+ */
+const buildTripUpdates = async (now = Date.now()) => {
+  const live = (await fleetService.getLiveBuses(now))
+    .map(({ bus, location }) => ({ bus, location, routeId: location.route_id || bus.route_id }))
+    .filter(({ routeId }) => routeId);
+
+  const routeIds = [...new Set(live.map(({ routeId }) => routeId))];
+  const routes = new Map(await Promise.all(
+    routeIds.map(async (routeId) => [routeId, await routeService.getRoute(routeId)]),
+  ));
+
+  const updates = live.map(({ bus, location, routeId }) => {
+    // Buses on a route that no longer exists, or outside its exported trips, have no
+    // predictions, since consumers could not match them to the static feed
+    const route = routes.get(routeId);
+    const tripId = route && resolveTripId(route, now);
+    if (!tripId) {
+      return null;
+    }
+
+    const estimate = etaService.estimateArrivals(route, location, location.speed || 0, now);
+    const stopTimeUpdate = estimate.stops
+      .filter((stop) => stop.estimatedArrival)
+      .map((stop) => ({
+        stopId: stop.stopId,
+        arrival: { time: toSeconds(stop.estimatedArrival) },
+        scheduleRelationship: UNSCHEDULED,
+      }));
+
+    if (stopTimeUpdate.length === 0) {
+      return null;
+    }
+
+    return {
+      id: `trip-update-${bus.BusID}`,
+      tripUpdate: {
+        ...descriptors(bus, routeId, tripId),
+        stopTimeUpdate,
+        timestamp: toSeconds(location.timestamp),
+      },
+    };
+  });
+
+  return FeedMessage.fromObject({
+    header: feedHeader(now),
+    entity: updates.filter(Boolean),
+  });
+};
+
+/**
+ * Serialize a feed as protocol buffers
+ * @param {Object} message - FeedMessage
+ * @returns {Buffer} Encoded feed
+ */
+const encodeFeed = (message) => Buffer.from(FeedMessage.encode(message).finish());
+
+/**
+ * Convert a feed to plain JSON for debugging
+ * @param {Object} message - FeedMessage
+ * @returns {Object} Feed with enum names and numeric timestamps
+ */
+const feedToJson = (message) => FeedMessage.toObject(message, { enums: String, longs: Number });
+
+module.exports = {
+  buildVehiclePositions,
+  buildTripUpdates,
+  encodeFeed,
+  feedToJson,
+};
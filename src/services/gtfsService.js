@@ -0,0 +1,78 @@
+/**
+ * GTFS static feed import into and export from the Routes table
+ */
+
+const routeService = require('./routeService');
+const logger = require('../utils/logger');
+const {
+  readFeed, writeFeed, feedToRoutes, routesToFeed,
+} = require('../utils/gtfs');
+const { createRoute: routeSchema } = require('../schemas/routes');
+
+const IMPORT_STATUS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  VALID: 'valid',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Import the routes of a GTFS zip, creating new routes and replacing existing ones.
+ * Every converted route is validated like a POST /routes/{routeId} body first.
+ * @param {Buffer} buffer - GTFS zip archive
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Convert and validate without writing
+ * @returns {Object[]} Outcome per route in routes.txt
+ * @throws {Error} When the archive lacks a required GTFS file
+ */
+const importFeed = async (buffer, { dryRun = false } = {}) => {
+  const { routes, skipped } = feedToRoutes(readFeed(buffer));
+
+  const outcomes = await Promise.all(routes.map(async ({ RouteID: routeId, ...data }) => {
+    const { value, error } = routeSchema.body.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return {
+        routeId,
+        status: IMPORT_STATUS.SKIPPED,
+        reason: error.details.map((detail) => detail.message).join('; '),
+      };
+    }
+
+    if (dryRun) {
+      return { routeId, status: IMPORT_STATUS.VALID };
+    }
+
+    if (await routeService.updateRoute(routeId, value)) {
+      return { routeId, status: IMPORT_STATUS.UPDATED };
+    }
+
+    await routeService.createRoute(routeId, value);
+    return { routeId, status: IMPORT_STATUS.CREATED };
+  }));
+
+  skipped.forEach(({ routeId, reason }) => logger.warn(`Skipped GTFS route ${routeId}: ${reason}`));
+
+  return [
+    ...outcomes,
+    ...skipped.map((route) => ({ ...route, status: IMPORT_STATUS.SKIPPED })),
+  ];
+};
+
+/**
+ * Export every route as a GTFS zip
+ * @param {Object} options - Options passed to routesToFeed, e.g. the calendar start date
+ * @returns {Buffer} GTFS zip archive
+ */
+const exportFeed = async (options) => writeFeed(
+  routesToFeed(await routeService.listAllRoutes(), options),
+);
+
+module.exports = {
+  IMPORT_STATUS,
+  importFeed,
+  exportFeed,
+};
@@ -0,0 +1,103 @@
+/**
+ * Dependency probes behind the health check
+ */
+
+const { getDynamoDBClient } = require('./dynamodb');
+const { getRedisClient } = require('./redis');
+const { TABLES, HEALTH } = require('../config/constants');
+
+const PROBE_OK = 'ok';
+const PROBE_ERROR = 'error';
+
+// DescribeTable statuses in which a table still serves reads and writes
+const USABLE_TABLE_STATUSES = ['ACTIVE', 'UPDATING'];
+
+/**
+ * Run a check bounded by HEALTH.PROBE_TIMEOUT_MS and time it
+ * @param {Object} dependency - Dependency name, type and whether it is critical
+ * @param {Function} check - Async function that throws when the dependency is unusable
+ * @returns {Object} Probe result with status, latencyMs and, on failure, error
+ */
+const probe = async (dependency, check) => {
+  const started = Date.now();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${HEALTH.PROBE_TIMEOUT_MS} ms`)),
+      HEALTH.PROBE_TIMEOUT_MS,
+    );
+  });
+
+  try {
+    await Promise.race([check(), timeout]);
+    return { ...dependency, status: PROBE_OK, latencyMs: Date.now() - started };
+  } catch (error) {
+    return {
+      ...dependency, status: PROBE_ERROR, latencyMs: Date.now() - started, error: error.message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Probe a table with DescribeTable
+ * @param {string} key - Key of the table in TABLES
+ * @returns {Object} Probe result
+ */
+const probeTable = (key) => probe({
+  name: `dynamodb:${key.toLowerCase()}`,
+  type: 'dynamodb',
+  table: TABLES[key],
+  critical: HEALTH.CRITICAL_TABLES.includes(key),
+}, async () => {
+  if (!TABLES[key]) {
+    throw new Error('Table name is not configured');
+  }
+
+  const { Table } = await getDynamoDBClient().describeTable({ TableName: TABLES[key] }).promise();
+  if (!USABLE_TABLE_STATUSES.includes(Table.TableStatus)) {
+    throw new Error(`Table is ${Table.TableStatus}`);
+  }
+});
+
+/**
+ * Probe Redis with a PING. Reads fall back to DynamoDB without the cache, so it is not critical.
+ * @returns {Object} Probe result
+ */
+const probeRedis = () => probe({
+  name: 'redis',
+  type: 'redis',
+  critical: false,
+}, async () => {
+  await getRedisClient().ping();
+});
+
+/**
+ * Probe every table and Redis in parallel and derive the overall status:
+ * unhealthy when a critical dependency is down, degraded when any other one is.
+ * @returns {Object} Overall status and the result of each probe
+ */
+const checkHealth = async () => {
+  const probes = await Promise.all([
+    ...Object.keys(TABLES).map(probeTable),
+    probeRedis(),
+  ]);
+
+  const failed = probes.filter((result) => result.status !== PROBE_OK);
+  let status = HEALTH.STATUS.HEALTHY;
+  if (failed.some((result) => result.critical)) {
+    status = HEALTH.STATUS.UNHEALTHY;
+  } else if (failed.length > 0) {
+    status = HEALTH.STATUS.DEGRADED;
+  }
+
+  return { status, probes };
+};
+
+module.exports = {
+  PROBE_OK,
+  PROBE_ERROR,
+  checkHealth,
+};
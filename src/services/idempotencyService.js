@@ -0,0 +1,137 @@
+/**
+ * Request keys that let retried writes be answered with their original result
+ */
+
+const { getDocumentClient } = require('./dynamodb');
+const { TABLES, IDEMPOTENCY } = require('../config/constants');
+
+const isConditionalCheckFailure = (error) => error.code === 'ConditionalCheckFailedException';
+
+/**
+ * Build the request keys a location write can be recognised by: the client's
+ * Idempotency-Key and the device sequence number, each scoped to the bus
+ * @param {string} busId - Bus ID
+ * @param {Object} identifiers - Request identifiers
+ * @param {string} [identifiers.idempotencyKey] - Idempotency-Key header
+ * @param {number} [identifiers.seq] - Device sequence number
+ * @returns {string[]} Request keys, the Idempotency-Key first
+ */
+const locationRequestKeys = (busId, { idempotencyKey, seq }) => [
+  ...(idempotencyKey ? [`${busId}#key#${idempotencyKey}`] : []),
+  ...(seq !== undefined ? [`${busId}#seq#${seq}`] : []),
+];
+
+/**
+ * Look up a request key
+ * @param {string} requestKey - Request key
+ * @returns {Object|null} Idempotency item with status and, once completed, result
+ */
+const getRequest = async (requestKey) => {
+  const result = await getDocumentClient().get({
+    TableName: TABLES.IDEMPOTENCY,
+    Key: { RequestKey: requestKey },
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Release keys claimed for a request that did not complete, so a retry can run it
+ * @param {string[]} requestKeys - Request keys
+ */
+const release = async (requestKeys) => {
+  await Promise.all(requestKeys.map((requestKey) => getDocumentClient().delete({
+    TableName: TABLES.IDEMPOTENCY,
+    Key: { RequestKey: requestKey },
+    ConditionExpression: '#status = :pending',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':pending': IDEMPOTENCY.STATUS.PENDING },
+  }).promise().catch((error) => {
+    if (!isConditionalCheckFailure(error)) {
+      throw error;
+    }
+  })));
+};
+
+/**
+ * Claim request keys for a request about to run, one at a time and in order.
+ * A key is claimed with a conditional write, so of two concurrent attempts only one runs;
+ * a claim left pending by an invocation that died is taken over once it is old enough.
+ * @param {string[]} requestKeys - Request keys
+ * @param {string} busId - Bus the request is for
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} null when every key was claimed, otherwise the item already
+ *   holding a key (pending or completed); keys claimed before it are released
+ */
+const claim = async (requestKeys, busId, now = Date.now()) => {
+  const claimKeys = async (index) => {
+    if (index === requestKeys.length) {
+      return null;
+    }
+
+    try {
+      await getDocumentClient().put({
+        TableName: TABLES.IDEMPOTENCY,
+        Item: {
+          RequestKey: requestKeys[index],
+          BusID: busId,
+          status: IDEMPOTENCY.STATUS.PENDING,
+          createdAt: new Date(now).toISOString(),
+          ttl: Math.floor(now / 1000) + IDEMPOTENCY.TTL_HOURS * 60 * 60,
+        },
+        ConditionExpression: 'attribute_not_exists(RequestKey) '
+          + 'OR (#status = :pending AND createdAt < :abandonedBefore)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':pending': IDEMPOTENCY.STATUS.PENDING,
+          ':abandonedBefore': new Date(now - IDEMPOTENCY.PENDING_TIMEOUT_SECONDS * 1000)
+            .toISOString(),
+        },
+      }).promise();
+    } catch (error) {
+      if (!isConditionalCheckFailure(error)) {
+        throw error;
+      }
+      // Held by an earlier request; if it finished since, the get returns its result
+      return (await getRequest(requestKeys[index]))
+        || { RequestKey: requestKeys[index], status: IDEMPOTENCY.STATUS.PENDING };
+    }
+
+    const existing = await claimKeys(index + 1);
+    if (existing) {
+      await release([requestKeys[index]]);
+    }
+    return existing;
+  };
+
+  return claimKeys(0);
+};
+
+/**
+ * Store the result of a request under its keys so retries get it back
+ * @param {string[]} requestKeys - Request keys
+ * @param {string} busId - Bus the request is for
+ * @param {Object} result - Result to replay
+ * @param {number} now - Current time in milliseconds
+ */
+const complete = async (requestKeys, busId, result, now = Date.now()) => {
+  await Promise.all(requestKeys.map((requestKey) => getDocumentClient().put({
+    TableName: TABLES.IDEMPOTENCY,
+    Item: {
+      RequestKey: requestKey,
+      BusID: busId,
+      status: IDEMPOTENCY.STATUS.COMPLETED,
+      result,
+      createdAt: new Date(now).toISOString(),
+      ttl: Math.floor(now / 1000) + IDEMPOTENCY.TTL_HOURS * 60 * 60,
+    },
+  }).promise()));
+};
+
+module.exports = {
+  locationRequestKeys,
+  getRequest,
+  claim,
+  complete,
+  release,
+};
@@ -0,0 +1,533 @@
+/**
+ * Location persistence for bus position updates
+ */
+
+const { getDocumentClient } = require('./dynamodb');
+const cacheService = require('./cacheService');
+const busService = require('./busService');
+const idempotencyService = require('./idempotencyService');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { checkPlausibility } = require('../utils/plausibility');
+const {
+  haversineDistance, encodeGeohash, geohashPrecisionForRadius, geohashSearchCells, simplifyTrack,
+} = require('../utils/geo');
+const { encodeCursor } = require('../utils/pagination');
+const {
+  TABLES, LOCATION, NEARBY, HISTORY, BATCH_WRITE, MESSAGES, HTTP_STATUS, IDEMPOTENCY, EVENTS,
+  EVENT_TYPES,
+} = require('../config/constants');
+
+const ROUTE_TIMESTAMP_INDEX = 'RouteID-timestamp-index';
+
+const FIX_STATUS = {
+  STORED: 'stored',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+};
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Build the Locations table item for an accepted fix
+ * @param {Object} bus - Bus the fix belongs to
+ * @param {Object} fix - Fix with ISO timestamp, latitude, longitude, speed and heading
+ * @param {string[]} flags - Quality flags from the plausibility check
+ * @returns {Object} Locations table item
+ */
+const toRecord = (bus, fix, flags) => ({
+  BusID: bus.BusID,
+  timestamp: fix.timestamp,
+  // route_id is the GSI hash key, so it is omitted rather than stored empty
+  ...(bus.route_id && { route_id: bus.route_id }),
+  latitude: fix.latitude,
+  longitude: fix.longitude,
+  geohash: encodeGeohash(fix.latitude, fix.longitude, LOCATION.GEOHASH_PRECISION),
+  speed: fix.speed || 0,
+  heading: fix.heading || 0,
+  ...(flags.length > 0 && { quality_flags: flags }),
+  ttl: Math.floor(Date.now() / 1000) + (LOCATION.RECORD_TTL_HOURS * 60 * 60),
+});
+
+/**
+ * Send one BatchWriteItem request, retrying unprocessed items with exponential backoff
+ * @param {string} tableName - Table to write to
+ * @param {Object[]} requests - Put requests, at most BATCH_WRITE.MAX_ITEMS
+ * @param {number} attempt - Attempt number, starting at 1
+ * @returns {Object[]} Put requests still unprocessed after the last attempt
+ */
+const writeBatch = async (tableName, requests, attempt = 1) => {
+  const result = await getDocumentClient().batchWrite({
+    RequestItems: { [tableName]: requests },
+  }).promise();
+  const unprocessed = result.UnprocessedItems?.[tableName] || [];
+
+  if (unprocessed.length === 0 || attempt >= BATCH_WRITE.MAX_ATTEMPTS) {
+    return unprocessed;
+  }
+
+  await sleep(BATCH_WRITE.BASE_DELAY_MS * 2 ** (attempt - 1));
+  return writeBatch(tableName, unprocessed, attempt + 1);
+};
+
+/**
+ * Put items in chunks of BATCH_WRITE.MAX_ITEMS
+ * @param {string} tableName - Table to write to
+ * @param {Object[]} items - Items to put
+ * @returns {Object[]} Items that could not be written
+ */
+const putAll = async (tableName, items) => {
+  const chunks = [];
+  for (let offset = 0; offset < items.length; offset += BATCH_WRITE.MAX_ITEMS) {
+    chunks.push(items.slice(offset, offset + BATCH_WRITE.MAX_ITEMS));
+  }
+
+  const unwritten = await Promise.all(chunks.map(async (chunk) => {
+    const requests = chunk.map((Item) => ({ PutRequest: { Item } }));
+    try {
+      return await writeBatch(tableName, requests);
+    } catch (error) {
+      logger.error(`Batch write to ${tableName} failed:`, error.message);
+      return requests;
+    }
+  }));
+
+  return unwritten.flat().map((request) => request.PutRequest.Item);
+};
+
+/**
+ * Shape a stored location row for API responses
+ * @param {Object} item - Locations table item
+ * @returns {Object} Location fix
+ */
+const toFix = (item) => ({
+  busId: item.BusID,
+  routeId: item.route_id || null,
+  timestamp: item.timestamp,
+  latitude: item.latitude,
+  longitude: item.longitude,
+  speed: item.speed,
+  heading: item.heading,
+});
+
+/**
+ * Query a page of fixes in a time window, oldest first, optionally simplifying each bus's track
+ * @param {Object} keyCondition - Query parameters selecting the partition (and index)
+ * @param {Object} options - History options
+ * @returns {Object} Page with items and nextCursor
+ */
+const queryHistory = async (keyCondition, {
+  from, to, limit, startKey, simplify,
+}) => {
+  const end = to || new Date().toISOString();
+  const start = from
+    || new Date(Date.parse(end) - HISTORY.DEFAULT_WINDOW_MINUTES * 60 * 1000).toISOString();
+
+  const result = await getDocumentClient().query({
+    TableName: TABLES.LOCATIONS,
+    ...keyCondition,
+    KeyConditionExpression: `${keyCondition.KeyConditionExpression} AND #ts BETWEEN :from AND :to`,
+    ExpressionAttributeNames: { '#ts': 'timestamp' },
+    ExpressionAttributeValues: {
+      ...keyCondition.ExpressionAttributeValues,
+      ':from': start,
+      ':to': end,
+    },
+    ScanIndexForward: true,
+    Limit: limit,
+    ...(startKey && { ExclusiveStartKey: startKey }),
+  }).promise();
+
+  let items = (result.Items || []).map(toFix);
+
+  if (simplify) {
+    // A route page interleaves several buses; each bus's track is simplified on its own
+    const tracks = new Map();
+    items.forEach((fix) => tracks.set(fix.busId, [...(tracks.get(fix.busId) || []), fix]));
+    const kept = new Set([...tracks.values()].flatMap((track) => simplifyTrack(track, simplify)));
+    items = items.filter((fix) => kept.has(fix));
+  }
+
+  return {
+    from: start,
+    to: end,
+    items,
+    nextCursor: encodeCursor(result.LastEvaluatedKey),
+  };
+};
+
+/**
+ * Get the latest stored fix for a bus, from the cache when possible
+ * @param {string} busId - Bus ID
+ * @returns {Object|null} Latest location record or null if the bus has none
+ */
+const getLatestLocation = async (busId) => {
+  try {
+    const cached = await cacheService.getLatestLocation(busId);
+    if (cached) {
+      return cached;
+    }
+  } catch (cacheError) {
+    logger.warn(`Failed to read location cache for bus ${busId}:`, cacheError.message);
+  }
+
+  const result = await getDocumentClient().query({
+    TableName: TABLES.LOCATIONS,
+    KeyConditionExpression: 'BusID = :busId',
+    ExpressionAttributeValues: { ':busId': busId },
+    ScanIndexForward: false,
+    Limit: 1,
+  }).promise();
+
+  return result.Items?.[0] || null;
+};
+
+/**
+ * Record that a device skipped sequence numbers, i.e. that uploads were lost on the way
+ * @param {Object} record - Locations table item stored after the gap
+ * @param {number} previousSeq - Last sequence number received before the gap
+ * @param {number} seq - Sequence number of the stored fix
+ */
+const recordSequenceGap = async (record, previousSeq, seq) => {
+  await getDocumentClient().put({
+    TableName: TABLES.EVENTS,
+    Item: {
+      BusID: record.BusID,
+      eventId: `${record.timestamp}#${EVENT_TYPES.SEQUENCE_GAP}`,
+      type: EVENT_TYPES.SEQUENCE_GAP,
+      timestamp: record.timestamp,
+      ...(record.route_id && { route_id: record.route_id }),
+      previousSeq,
+      seq,
+      missed: seq - previousSeq - 1,
+      ttl: Math.floor(Date.now() / 1000) + EVENTS.TTL_DAYS * 24 * 60 * 60,
+    },
+  }).promise();
+};
+
+/**
+ * Give back the sequence number of an update that was not stored, so a retry with the same
+ * number is accepted rather than turned away as stale. Failures are retried with backoff and
+ * logged as errors once the attempts run out.
+ * @param {string} busId - Bus ID
+ * @param {number} seq - Sequence number that was recorded
+ * @param {number|null} previousSeq - Sequence number to restore
+ * @param {number} attempt - Attempt number, starting at 1
+ */
+const rewindSequence = async (busId, seq, previousSeq, attempt = 1) => {
+  try {
+    await busService.rewindSequence(busId, seq, previousSeq);
+  } catch (rewindError) {
+    if (attempt >= LOCATION.SEQUENCE_REWIND_ATTEMPTS) {
+      logger.error(`Failed to rewind sequence of bus ${busId}; retries of seq ${seq} will be `
+        + 'rejected as stale:', rewindError);
+      return;
+    }
+
+    await sleep(LOCATION.SEQUENCE_REWIND_DELAY_MS * 2 ** (attempt - 1));
+    await rewindSequence(busId, seq, previousSeq, attempt + 1);
+  }
+};
+
+/**
+ * Check a fix, store it and mirror it into the latest-location cache. With a sequence
+ * number, the bus's last_seq is advanced first and only a newer number is accepted; it is
+ * rewound if anything after that fails, so the fix can be retried with the same number.
+ * @param {Object} bus - Bus the fix belongs to
+ * @param {Object} locationData - Fix with latitude, longitude, timestamp, speed, heading, seq
+ * @returns {Object} Stored location record
+ * @throws {AppError} When the fix is implausible or its sequence number is not newer
+ */
+const storeFix = async (bus, locationData) => {
+  const {
+    busId, latitude, longitude, timestamp, speed, heading, seq,
+  } = locationData;
+
+  const fix = {
+    timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+    latitude,
+    longitude,
+    speed: speed || 0,
+  };
+
+  // A stale sequence number is reported as such, even when its fix is also out of order
+  const sequence = seq === undefined ? null : await busService.advanceSequence(busId, seq);
+  if (sequence && !sequence.advanced) {
+    throw new AppError(HTTP_STATUS.CONFLICT, MESSAGES.LOCATION_SEQ_STALE, {
+      seq,
+      lastSeq: bus.last_seq ?? null,
+    });
+  }
+
+  let previous;
+  let record;
+  try {
+    previous = await getLatestLocation(busId);
+
+    let assessment;
+    try {
+      assessment = checkPlausibility(previous, fix);
+    } catch (rejection) {
+      logger.warn(`Rejected location fix for bus ${busId}: ${rejection.message}`, rejection.details);
+      throw rejection;
+    }
+
+    record = {
+      ...toRecord(bus, { ...fix, heading }, assessment.flags),
+      ...(seq !== undefined && { seq }),
+    };
+
+    await getDocumentClient().put({
+      TableName: TABLES.LOCATIONS,
+      Item: record,
+    }).promise();
+  } catch (error) {
+    if (sequence) {
+      await rewindSequence(busId, seq, sequence.previousSeq);
+    }
+    throw error;
+  }
+
+  if (sequence && sequence.previousSeq !== null && seq > sequence.previousSeq + 1) {
+    logger.warn(`Bus ${busId} skipped sequence numbers`, { previousSeq: sequence.previousSeq, seq });
+    try {
+      await recordSequenceGap(record, sequence.previousSeq, seq);
+    } catch (eventError) {
+      logger.warn(`Failed to record sequence gap for bus ${busId}:`, eventError.message);
+    }
+  }
+
+  // DynamoDB is the source of truth; a cache outage must not fail the update
+  try {
+    await cacheService.updateLocationCache(busId, record, previous);
+  } catch (cacheError) {
+    logger.warn(`Failed to update location cache for bus ${busId}:`, cacheError.message);
+  }
+
+  return record;
+};
+
+/**
+ * Persist a location fix and mirror it into the latest-location cache.
+ * An update carrying an Idempotency-Key or a device sequence number runs once: a retry with
+ * the same key or number, even with a regenerated timestamp, gets the original record back.
+ * @param {Object} locationData - Fix with busId, latitude, longitude, timestamp, speed, heading
+ *   and, optionally, the device's seq
+ * @param {Object} options - Request identifiers
+ * @param {string} [options.idempotencyKey] - Idempotency-Key header
+ * @returns {Object|null} Stored location record, marked `replayed` when it is the result of an
+ *   earlier request, or null if the bus does not exist
+ * @throws {AppError} When the fix is out of order, in the future or implies an implausible
+ *   speed, its sequence number is not newer, or the original request is still running
+ */
+const updateLocation = async (locationData, { idempotencyKey } = {}) => {
+  const { busId, seq } = locationData;
+
+  const bus = await busService.getBus(busId);
+  if (!bus) {
+    return null;
+  }
+
+  const requestKeys = idempotencyService.locationRequestKeys(busId, { idempotencyKey, seq });
+  const existing = await idempotencyService.claim(requestKeys, busId);
+
+  if (existing?.status === IDEMPOTENCY.STATUS.COMPLETED) {
+    logger.info(`Replaying location update for bus ${busId}`, { idempotencyKey, seq });
+    return { ...existing.result, replayed: true };
+  }
+  if (existing) {
+    throw new AppError(HTTP_STATUS.CONFLICT, MESSAGES.REQUEST_IN_PROGRESS);
+  }
+
+  const release = () => idempotencyService.release(requestKeys).catch((releaseError) => {
+    logger.warn(`Failed to release request keys for bus ${busId}:`, releaseError.message);
+  });
+
+  let record;
+  try {
+    record = await storeFix(bus, locationData);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  try {
+    await idempotencyService.complete(requestKeys, busId, record);
+  } catch (idempotencyError) {
+    // Retries then run again, and are stopped by the sequence check when there is one
+    logger.warn(`Failed to store result of location update for bus ${busId}:`, idempotencyError);
+    await release();
+  }
+
+  return record;
+};
+
+/**
+ * Store a batch of buffered fixes for one bus.
+ * Fixes are checked in time order, each against the fix recorded just before it; fixes older
+ * than the bus's latest stored fix are backfilled into history without touching the cache.
+ * @param {string} busId - Bus ID
+ * @param {Object[]} fixes - Validated fixes, each with its request index
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Route ID, per-fix results and whether the latest location moved,
+ *   or null if the bus does not exist
+ */
+const ingestBatch = async (busId, fixes, now = Date.now()) => {
+  const bus = await busService.getBus(busId);
+  if (!bus) {
+    return null;
+  }
+
+  const latest = await getLatestLocation(busId);
+  const seen = new Set(latest ? [latest.timestamp] : []);
+  const results = new Map();
+  const records = [];
+  let previous = null;
+
+  // Array#sort is stable, so the first of several fixes sharing a timestamp wins
+  const ordered = fixes
+    .map((fix) => ({ ...fix, timestamp: new Date(fix.timestamp).toISOString() }))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  ordered.forEach((fix) => {
+    if (seen.has(fix.timestamp)) {
+      results.set(fix.index, {
+        status: FIX_STATUS.DUPLICATE,
+        message: MESSAGES.LOCATION_DUPLICATE,
+      });
+      return;
+    }
+    seen.add(fix.timestamp);
+
+    const reference = latest && latest.timestamp < fix.timestamp
+      && (!previous || previous.timestamp < latest.timestamp) ? latest : previous;
+
+    try {
+      const { flags } = checkPlausibility(reference, { ...fix, speed: fix.speed || 0 }, now);
+      const record = toRecord(bus, fix, flags);
+      records.push(record);
+      results.set(fix.index, { status: FIX_STATUS.STORED, flags });
+      previous = record;
+    } catch (rejection) {
+      if (!(rejection instanceof AppError)) {
+        throw rejection;
+      }
+      logger.warn(`Rejected buffered fix for bus ${busId}: ${rejection.message}`, rejection.details);
+      results.set(fix.index, {
+        status: FIX_STATUS.REJECTED,
+        message: rejection.message,
+        details: rejection.details,
+      });
+    }
+  });
+
+  const unwritten = new Set(
+    (await putAll(TABLES.LOCATIONS, records)).map((item) => item.timestamp),
+  );
+  const written = records.filter((record) => !unwritten.has(record.timestamp));
+  ordered
+    .filter((fix) => results.get(fix.index).status === FIX_STATUS.STORED)
+    .filter((fix) => unwritten.has(fix.timestamp))
+    .forEach((fix) => results.set(fix.index, {
+      status: FIX_STATUS.FAILED,
+      message: MESSAGES.LOCATION_WRITE_FAILED,
+    }));
+
+  const newest = written[written.length - 1];
+  const latestUpdated = Boolean(newest) && (!latest || newest.timestamp > latest.timestamp);
+
+  if (latestUpdated) {
+    try {
+      await cacheService.updateLocationCache(busId, newest, latest);
+    } catch (cacheError) {
+      logger.warn(`Failed to update location cache for bus ${busId}:`, cacheError.message);
+    }
+  }
+
+  return {
+    routeId: bus.route_id || null,
+    latestUpdated,
+    results: fixes.map((fix) => ({
+      index: fix.index,
+      timestamp: fix.timestamp,
+      ...results.get(fix.index),
+    })),
+  };
+};
+
+/**
+ * Find buses near a point using the geohash cell index
+ * @param {Object} query - Search centre and radius
+ * @param {number} query.latitude - Latitude of the centre
+ * @param {number} query.longitude - Longitude of the centre
+ * @param {number} query.radius - Search radius in meters
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} Buses within the radius, nearest first
+ */
+const findNearbyBuses = async ({ latitude, longitude, radius }, now = Date.now()) => {
+  const precision = geohashPrecisionForRadius(
+    latitude,
+    longitude,
+    radius,
+    LOCATION.GEOHASH_MIN_PRECISION,
+    LOCATION.GEOHASH_PRECISION,
+  );
+  const busIds = await cacheService.getBusesInCells(
+    geohashSearchCells(latitude, longitude, precision),
+  );
+  const locations = await Promise.all(busIds.map(getLatestLocation));
+
+  return locations
+    .filter(Boolean)
+    .map((location) => ({
+      busId: location.BusID,
+      routeId: location.route_id || null,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      speed: location.speed,
+      heading: location.heading,
+      timestamp: location.timestamp,
+      distanceMeters: Math.round(
+        haversineDistance(latitude, longitude, location.latitude, location.longitude),
+      ),
+      lastSeenSeconds: Math.max(0, Math.round((now - Date.parse(location.timestamp)) / 1000)),
+    }))
+    .filter((bus) => bus.distanceMeters <= radius
+      && bus.lastSeenSeconds <= NEARBY.STALE_AFTER_SECONDS)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+};
+
+/**
+ * Get a bus's fixes in a time window
+ * @param {string} busId - Bus ID
+ * @param {Object} options - from, to, limit, startKey and simplify tolerance in meters
+ * @returns {Object} Page with items and nextCursor
+ */
+const getBusHistory = async (busId, options) => queryHistory({
+  KeyConditionExpression: 'BusID = :id',
+  ExpressionAttributeValues: { ':id': busId },
+}, options);
+
+/**
+ * Get every fix recorded on a route in a time window, via the RouteID-timestamp GSI
+ * @param {string} routeId - Route ID
+ * @param {Object} options - from, to, limit, startKey and simplify tolerance in meters
+ * @returns {Object} Page with items and nextCursor
+ */
+const getRouteHistory = async (routeId, options) => queryHistory({
+  IndexName: ROUTE_TIMESTAMP_INDEX,
+  KeyConditionExpression: 'route_id = :id',
+  ExpressionAttributeValues: { ':id': routeId },
+}, options);
+
+module.exports = {
+  getLatestLocation,
+  FIX_STATUS,
+  updateLocation,
+  ingestBatch,
+  findNearbyBuses,
+  getBusHistory,
+  getRouteHistory,
+};
@@ -0,0 +1,215 @@
+/**
+ * Schedule adherence: headways between consecutive buses at each stop, measured from
+ * geofence arrival events and compared with the route's advertised frequency
+ */
+
+const { getDocumentClient } = require('./dynamodb');
+const cacheService = require('./cacheService');
+const routeService = require('./routeService');
+const { parseFrequencyMinutes, isInService } = require('../utils/schedule');
+const {
+  TABLES, REDIS, GTFS, ADHERENCE, HEADWAY_STATUS, EVENT_TYPES,
+} = require('../config/constants');
+
+const EVENTS_ROUTE_INDEX = 'RouteID-timestamp-index';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const minutesBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / 60000;
+
+/**
+ * Query every page of results
+ * @param {Object} params - DocumentClient query parameters
+ * @returns {Object[]} All matching items
+ */
+const queryAll = async (params) => {
+  const result = await getDocumentClient().query(params).promise();
+  const items = result.Items || [];
+
+  if (!result.LastEvaluatedKey) {
+    return items;
+  }
+
+  return [...items, ...await queryAll({ ...params, ExclusiveStartKey: result.LastEvaluatedKey })];
+};
+
+/**
+ * Get the stop arrivals recorded on a route within a time range
+ * @param {string} routeId - Route ID
+ * @param {string} from - ISO start of the range
+ * @param {string} to - ISO end of the range
+ * @returns {Object[]} ARRIVED_AT_STOP events in time order
+ */
+const getArrivals = async (routeId, from, to) => queryAll({
+  TableName: TABLES.EVENTS,
+  IndexName: EVENTS_ROUTE_INDEX,
+  KeyConditionExpression: 'route_id = :routeId AND #ts BETWEEN :from AND :to',
+  FilterExpression: '#type = :arrived',
+  ExpressionAttributeNames: { '#ts': 'timestamp', '#type': 'type' },
+  ExpressionAttributeValues: {
+    ':routeId': routeId,
+    ':from': from,
+    ':to': to,
+    ':arrived': EVENT_TYPES.ARRIVED_AT_STOP,
+  },
+});
+
+/**
+ * Classify a headway against the scheduled one
+ * @param {number} headway - Observed minutes since the previous bus
+ * @param {number|null} scheduled - Scheduled minutes between buses, null when unknown
+ * @returns {string} HEADWAY_STATUS value
+ */
+const classifyHeadway = (headway, scheduled) => {
+  if (scheduled === null) {
+    return HEADWAY_STATUS.UNKNOWN;
+  }
+
+  const deviation = headway - scheduled;
+
+  if (headway < scheduled * ADHERENCE.BUNCHING_RATIO) {
+    return HEADWAY_STATUS.BUNCHED;
+  }
+  if (deviation > ADHERENCE.LATE_THRESHOLD_MINUTES) {
+    return HEADWAY_STATUS.LATE;
+  }
+  if (deviation < -ADHERENCE.LATE_THRESHOLD_MINUTES) {
+    return HEADWAY_STATUS.EARLY;
+  }
+  return HEADWAY_STATUS.ON_TIME;
+};
+
+/**
+ * Measure headways at each stop and flag bunched and overdue buses.
+ * A bus's headway at a stop is the time since the previous bus arrived there; its deviation is
+ * that headway minus the scheduled one, so late buses deviate positively and early ones
+ * negatively. Each bus is judged on its most recent arrival. A stop is overdue when, during
+ * service hours, no bus has arrived for longer than the scheduled headway plus the threshold.
+ * Without a usable frequency, headways are still measured but neither judged nor flagged.
+ * @param {Object} route - Route with ordered stops, schedule and frequency
+ * @param {Object[]} arrivals - ARRIVED_AT_STOP events in time order
+ * @param {Date} now - Current time
+ * @returns {Object} Per-stop headways, per-bus status and the flagged buses and stops
+ */
+const analyzeHeadways = (route, arrivals, now) => {
+  const scheduled = parseFrequencyMinutes(route.frequency);
+  const inService = isInService(route.schedule, now, GTFS.AGENCY_TIMEZONE);
+  const latestByBus = new Map();
+
+  const stops = route.stops.map((stop) => {
+    const atStop = arrivals.filter((arrival) => arrival.stopId === stop.id);
+
+    const headways = atStop.slice(1).map((arrival, index) => {
+      const previous = atStop[index];
+      const headway = minutesBetween(previous.timestamp, arrival.timestamp);
+      const observation = {
+        busId: arrival.BusID,
+        previousBusId: previous.BusID,
+        arrivedAt: arrival.timestamp,
+        headwayMinutes: round(headway),
+        deviationMinutes: scheduled === null ? null : round(headway - scheduled),
+        status: classifyHeadway(headway, scheduled),
+      };
+
+      const latest = latestByBus.get(arrival.BusID);
+      if (!latest || latest.arrivedAt < arrival.timestamp) {
+        latestByBus.set(arrival.BusID, { ...observation, stopId: stop.id });
+      }
+
+      return observation;
+    });
+
+    const lastArrival = atStop[atStop.length - 1];
+    const minutesSinceLastArrival = lastArrival
+      ? round(minutesBetween(lastArrival.timestamp, now.toISOString()))
+      : null;
+    const averageHeadway = headways.length > 0
+      ? headways.reduce((sum, { headwayMinutes }) => sum + headwayMinutes, 0) / headways.length
+      : null;
+
+    return {
+      stopId: stop.id,
+      name: stop.name,
+      arrivals: atStop.length,
+      averageHeadwayMinutes: averageHeadway === null ? null : round(averageHeadway),
+      lastArrivalAt: lastArrival ? lastArrival.timestamp : null,
+      minutesSinceLastArrival,
+      overdue: inService && scheduled !== null && minutesSinceLastArrival !== null
+        && minutesSinceLastArrival > scheduled + ADHERENCE.LATE_THRESHOLD_MINUTES,
+      headways,
+    };
+  });
+
+  const buses = [...latestByBus.values()].sort((a, b) => a.busId.localeCompare(b.busId));
+  const withStatus = (status) => buses
+    .filter((bus) => bus.status === status)
+    .map((bus) => bus.busId);
+
+  return {
+    scheduledHeadwayMinutes: scheduled,
+    inService,
+    stops,
+    buses,
+    bunchedBuses: withStatus(HEADWAY_STATUS.BUNCHED),
+    overdueBuses: withStatus(HEADWAY_STATUS.LATE),
+    overdueStops: stops.filter((stop) => stop.overdue).map((stop) => stop.stopId),
+  };
+};
+
+/**
+ * Build a performance report for a route over the last ADHERENCE.WINDOW_MINUTES
+ * @param {Object} route - Route item
+ * @param {Date} [now] - Current time
+ * @returns {Object} Performance report
+ */
+const buildReport = async (route, now = new Date()) => {
+  const to = now.toISOString();
+  const from = new Date(now.getTime() - ADHERENCE.WINDOW_MINUTES * 60000).toISOString();
+  const arrivals = await getArrivals(route.RouteID, from, to);
+
+  return {
+    routeId: route.RouteID,
+    generatedAt: to,
+    from,
+    to,
+    ...analyzeHeadways(route, arrivals, now),
+  };
+};
+
+/**
+ * Get a route's performance report, served from the copy the monitor refreshes
+ * @param {string} routeId - Route ID
+ * @returns {Object|null} Performance report, or null if the route does not exist
+ */
+const getRoutePerformance = async (routeId) => cacheService.readThrough(
+  cacheService.keys.routePerformance(routeId),
+  REDIS.TTL.PERFORMANCE_CACHE,
+  async () => {
+    const route = await routeService.getRoute(routeId);
+    return route ? buildReport(route) : null;
+  },
+);
+
+/**
+ * Recompute and cache a route's performance report
+ * @param {Object} route - Route item
+ * @param {Date} [now] - Current time
+ * @returns {Object} Performance report
+ */
+const refreshRoutePerformance = async (route, now = new Date()) => {
+  const report = await buildReport(route, now);
+
+  await cacheService.set(
+    cacheService.keys.routePerformance(route.RouteID),
+    REDIS.TTL.PERFORMANCE_CACHE,
+    report,
+  );
+
+  return report;
+};
+
+module.exports = {
+  analyzeHeadways,
+  getRoutePerformance,
+  refreshRoutePerformance,
+};
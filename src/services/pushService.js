@@ -0,0 +1,68 @@
+/**
+ * Push messages to WebSocket subscribers through the API Gateway management API
+ */
+
+const AWS = require('aws-sdk');
+const connectionService = require('./connectionService');
+const logger = require('../utils/logger');
+const { WEBSOCKET, DYNAMODB } = require('../config/constants');
+
+// API Gateway answers 410 for connections that closed without a $disconnect
+const GONE = 410;
+
+/**
+ * Create a management API client for the WebSocket endpoint
+ * @returns {AWS.ApiGatewayManagementApi} Client
+ */
+const getManagementClient = () => new AWS.ApiGatewayManagementApi({
+  apiVersion: '2018-11-29',
+  region: DYNAMODB.REGION,
+  endpoint: WEBSOCKET.ENDPOINT,
+});
+
+/**
+ * Send a message to every connection following any of the topics, dropping stale connections
+ * @param {string[]} topics - Topics the message belongs to
+ * @param {Object} message - JSON-serializable message
+ * @returns {Object} Counts of sent, removed (stale) and failed deliveries
+ */
+const publish = async (topics, message) => {
+  const connectionIds = await connectionService.getSubscribers(topics);
+  const counts = { sent: 0, removed: 0, failed: 0 };
+
+  if (connectionIds.length === 0) {
+    return counts;
+  }
+
+  const client = getManagementClient();
+  const data = JSON.stringify(message);
+
+  await Promise.all(connectionIds.map(async (connectionId) => {
+    try {
+      await client.postToConnection({ ConnectionId: connectionId, Data: data }).promise();
+      counts.sent += 1;
+    } catch (error) {
+      if (error.statusCode === GONE) {
+        try {
+          await connectionService.removeConnection(connectionId);
+          counts.removed += 1;
+        } catch (removeError) {
+          // Left for the next push to remove; failing here would resend to everyone else
+          logger.warn(`Failed to remove stale connection ${connectionId}:`, removeError.message);
+          counts.failed += 1;
+        }
+        return;
+      }
+
+      // One unreachable client must not hold up delivery to the others
+      logger.warn(`Failed to push to connection ${connectionId}:`, error.message);
+      counts.failed += 1;
+    }
+  }));
+
+  return counts;
+};
+
+module.exports = {
+  publish,
+};
@@ -0,0 +1,58 @@
+/**
+ * Sliding-window request counting in Redis
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('./redis');
+
+const windowKey = (key) => `ratelimit:${key}`;
+
+/**
+ * Count a request against a budget. Each window is a sorted set of request times, so the
+ * limit applies to any WINDOW_SECONDS span rather than to fixed clock windows. Rejected
+ * requests are not counted, so a throttled client is let back in once old requests expire.
+ * @param {string} key - Client and endpoint the budget applies to
+ * @param {Object} budget - Budget from RATE_LIMIT
+ * @param {number} budget.LIMIT - Requests allowed in the window
+ * @param {number} budget.WINDOW_SECONDS - Window length
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} allowed, limit, remaining and resetSeconds (until a request is freed)
+ */
+const consume = async (key, { LIMIT: limit, WINDOW_SECONDS: windowSeconds }, now = Date.now()) => {
+  const redis = getRedisClient();
+  const redisKey = windowKey(key);
+  const windowMs = windowSeconds * 1000;
+  const member = `${now}:${uuidv4()}`;
+
+  const results = await redis.multi()
+    .zremrangebyscore(redisKey, 0, now - windowMs)
+    .zadd(redisKey, now, member)
+    .zcard(redisKey)
+    .zrange(redisKey, 0, 0, 'WITHSCORES')
+    .pexpire(redisKey, windowMs)
+    .exec();
+
+  const failed = results.find(([error]) => error);
+  if (failed) {
+    throw failed[0];
+  }
+
+  const count = results[2][1];
+  const [, oldest] = results[3][1];
+  const allowed = count <= limit;
+
+  if (!allowed) {
+    await redis.zrem(redisKey, member);
+  }
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, limit - count),
+    resetSeconds: Math.max(1, Math.ceil((Number(oldest) + windowMs - now) / 1000)),
+  };
+};
+
+module.exports = {
+  consume,
+};
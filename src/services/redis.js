@@ -0,0 +1,41 @@
+/**
+ * Shared Redis client
+ */
+
+const Redis = require('ioredis');
+const { REDIS } = require('../config/constants');
+
+let redisClient;
+
+/**
+ * Get the Redis client, created on first use so the connection survives warm invocations
+ * @returns {Redis} ioredis client
+ */
+const getRedisClient = () => {
+  if (!redisClient) {
+    redisClient = new Redis({
+      host: REDIS.HOST,
+      port: REDIS.PORT,
+      connectTimeout: REDIS.CONNECT_TIMEOUT_MS,
+      maxRetriesPerRequest: 1,
+    });
+  }
+
+  return redisClient;
+};
+
+/**
+ * Close the Redis connection (used by scripts and tests)
+ */
+const closeRedisClient = async () => {
+  if (redisClient) {
+    const client = redisClient;
+    redisClient = null;
+    await client.quit();
+  }
+};
+
+module.exports = {
+  getRedisClient,
+  closeRedisClient,
+};
@@ -0,0 +1,209 @@
+/**
+ * Route catalogue backed by the Routes table with Redis read-through caching
+ */
+
+const { getDocumentClient } = require('./dynamodb');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+const { encodeCursor } = require('../utils/pagination');
+const { AppError } = require('../utils/errors');
+const {
+  TABLES, REDIS, MESSAGES, HTTP_STATUS,
+} = require('../config/constants');
+
+const isConditionalCheckFailure = (error) => error.code === 'ConditionalCheckFailedException';
+
+/**
+ * Read a route straight from the table, bypassing the cache
+ * @param {string} routeId - Route ID
+ * @returns {Object|null} Route item or null if it does not exist
+ */
+const fetchRoute = async (routeId) => {
+  const result = await getDocumentClient().get({
+    TableName: TABLES.ROUTES,
+    Key: { RouteID: routeId },
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Drop cached copies of a route after a write. The Routes stream does the same
+ * asynchronously; doing it inline gives callers read-after-write consistency.
+ * @param {string} routeId - Route ID
+ */
+const invalidateCachedRoute = async (routeId) => {
+  try {
+    await cacheService.invalidateRoute(routeId);
+  } catch (cacheError) {
+    logger.warn(`Failed to invalidate cache for route ${routeId}:`, cacheError.message);
+  }
+};
+
+/**
+ * Get a page of routes
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {Object} [options.startKey] - Decoded cursor (ExclusiveStartKey)
+ * @returns {Object} Page with items and nextCursor
+ */
+const getAllRoutes = async ({ limit, cursor, startKey }) => cacheService.readThrough(
+  cacheService.keys.routeList(cursor, limit),
+  REDIS.TTL.ROUTE_CACHE,
+  async () => {
+    const result = await getDocumentClient().scan({
+      TableName: TABLES.ROUTES,
+      Limit: limit,
+      ...(startKey && { ExclusiveStartKey: startKey }),
+    }).promise();
+
+    return {
+      items: result.Items || [],
+      nextCursor: encodeCursor(result.LastEvaluatedKey),
+    };
+  },
+  cacheService.keys.routeListIndex(),
+);
+
+/**
+ * Read every route straight from the table, following scan pages
+ * @param {Object} [startKey] - ExclusiveStartKey of the next page
+ * @returns {Object[]} All route items
+ */
+const listAllRoutes = async (startKey) => {
+  const result = await getDocumentClient().scan({
+    TableName: TABLES.ROUTES,
+    ...(startKey && { ExclusiveStartKey: startKey }),
+  }).promise();
+  const items = result.Items || [];
+
+  if (!result.LastEvaluatedKey) {
+    return items;
+  }
+
+  return [...items, ...await listAllRoutes(result.LastEvaluatedKey)];
+};
+
+/**
+ * Get a single route
+ * @param {string} routeId - Route ID
+ * @returns {Object|null} Route item or null if it does not exist
+ */
+const getRoute = async (routeId) => cacheService.readThrough(
+  cacheService.keys.route(routeId),
+  REDIS.TTL.ROUTE_CACHE,
+  () => fetchRoute(routeId),
+);
+
+/**
+ * Create a route at version 1
+ * @param {string} routeId - Route ID
+ * @param {Object} data - Route attributes
+ * @returns {Object} Created route
+ * @throws {AppError} When the route already exists
+ */
+const createRoute = async (routeId, data) => {
+  const now = new Date().toISOString();
+  const route = {
+    ...data,
+    RouteID: routeId,
+    version: 1,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await getDocumentClient().put({
+      TableName: TABLES.ROUTES,
+      Item: route,
+      ConditionExpression: 'attribute_not_exists(RouteID)',
+    }).promise();
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      throw new AppError(HTTP_STATUS.CONFLICT, MESSAGES.ROUTE_ALREADY_EXISTS, { RouteID: routeId });
+    }
+    throw error;
+  }
+
+  await invalidateCachedRoute(routeId);
+
+  return route;
+};
+
+/**
+ * Replace a route's attributes and bump its version
+ * @param {string} routeId - Route ID
+ * @param {Object} data - New route attributes
+ * @returns {Object|null} Updated route, or null if it does not exist
+ * @throws {AppError} When the route was changed concurrently
+ */
+const updateRoute = async (routeId, data) => {
+  const existing = await fetchRoute(routeId);
+  if (!existing) {
+    return null;
+  }
+
+  const currentVersion = existing.version || 0;
+  const route = {
+    ...data,
+    RouteID: routeId,
+    version: currentVersion + 1,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+
+  try {
+    await getDocumentClient().put({
+      TableName: TABLES.ROUTES,
+      Item: route,
+      // Seeded routes predate versioning and have no version attribute
+      ConditionExpression: currentVersion
+        ? 'version = :currentVersion'
+        : 'attribute_exists(RouteID) AND attribute_not_exists(version)',
+      ...(currentVersion && { ExpressionAttributeValues: { ':currentVersion': currentVersion } }),
+    }).promise();
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      throw new AppError(HTTP_STATUS.CONFLICT, MESSAGES.ROUTE_MODIFIED, { RouteID: routeId });
+    }
+    throw error;
+  }
+
+  await invalidateCachedRoute(routeId);
+
+  return route;
+};
+
+/**
+ * Delete a route
+ * @param {string} routeId - Route ID
+ * @returns {boolean} False if the route did not exist
+ */
+const deleteRoute = async (routeId) => {
+  try {
+    await getDocumentClient().delete({
+      TableName: TABLES.ROUTES,
+      Key: { RouteID: routeId },
+      ConditionExpression: 'attribute_exists(RouteID)',
+    }).promise();
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return false;
+    }
+    throw error;
+  }
+
+  await invalidateCachedRoute(routeId);
+
+  return true;
+};
+
+module.exports = {
+  getAllRoutes,
+  listAllRoutes,
+  getRoute,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+};
@@ -0,0 +1,137 @@
+/**
+ * Token verification and role-based authorization
+ */
+
+const jwt = require('jsonwebtoken');
+const { errorResponse } = require('./response');
+const { AppError } = require('./errors');
+const { AUTH, HTTP_STATUS, MESSAGES } = require('../config/constants');
+
+const { ROLES } = AUTH;
+
+// Anonymous callers are treated as public clients
+const ANONYMOUS = Object.freeze({ sub: null, role: ROLES.PUBLIC, busId: null });
+
+/**
+ * Issue a signed token (used by the operator tooling, the simulator and tests)
+ * @param {Object} claims - Token claims
+ * @param {string} claims.sub - Subject (driver, operator or client ID)
+ * @param {string} claims.role - One of AUTH.ROLES
+ * @param {string} [claims.busId] - Bus a driver token is bound to
+ * @param {Object} options - jsonwebtoken sign options, e.g. expiresIn
+ * @returns {string} Signed JWT
+ */
+const signToken = ({ sub, role, busId }, options = { expiresIn: '12h' }) => jwt.sign(
+  { role, ...(busId && { bus_id: busId }) },
+  AUTH.JWT_SECRET,
+  {
+    algorithm: AUTH.ALGORITHM,
+    issuer: AUTH.JWT_ISSUER,
+    subject: sub,
+    ...options,
+  },
+);
+
+/**
+ * Verify a token and extract the caller's principal
+ * @param {string} token - Signed JWT
+ * @returns {Object} Principal with sub, role and busId
+ * @throws {AppError} When the token is invalid, expired or carries an unknown role
+ */
+const verifyToken = (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, AUTH.JWT_SECRET, {
+      algorithms: [AUTH.ALGORITHM],
+      issuer: AUTH.JWT_ISSUER,
+    });
+  } catch (error) {
+    throw new AppError(HTTP_STATUS.UNAUTHORIZED, MESSAGES.INVALID_TOKEN);
+  }
+
+  if (!Object.values(ROLES).includes(claims.role)
+    || (claims.role === ROLES.DRIVER && !claims.bus_id)) {
+    throw new AppError(HTTP_STATUS.UNAUTHORIZED, MESSAGES.INVALID_TOKEN);
+  }
+
+  return {
+    sub: claims.sub,
+    role: claims.role,
+    busId: claims.bus_id || null,
+  };
+};
+
+/**
+ * Extract the bearer token from an API Gateway event or authorizer input
+ * @param {Object} event - Lambda event object
+ * @returns {string|null} Token or null if absent
+ */
+const getBearerToken = (event) => {
+  const headers = event.headers || {};
+  const header = event.authorizationToken
+    || headers.Authorization
+    || headers.authorization;
+  const match = /^Bearer (.+)$/i.exec(header || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Resolve the caller, preferring the context set by the Lambda authorizer and
+ * falling back to verifying the header (routes without an authorizer, serverless-offline)
+ * @param {Object} event - Lambda event object
+ * @returns {Object} Principal with sub, role and busId
+ * @throws {AppError} When a token is present but invalid
+ */
+const getPrincipal = (event) => {
+  const authorizer = event.requestContext?.authorizer;
+  if (authorizer?.role) {
+    return {
+      sub: authorizer.principalId || null,
+      role: authorizer.role,
+      busId: authorizer.busId || null,
+    };
+  }
+
+  const token = getBearerToken(event);
+  return token ? verifyToken(token) : ANONYMOUS;
+};
+
+/**
+ * Wrap a handler so only the given roles may call it.
+ * With `bindDriverToBus`, driver tokens are only accepted for the bus in the path.
+ * @param {string[]} roles - Allowed roles
+ * @param {Function} handler - Lambda handler
+ * @param {Object} options - Guard options
+ * @param {boolean} options.bindDriverToBus - Enforce the driver token's bus binding
+ * @returns {Function} Wrapped Lambda handler
+ */
+const withAuth = (roles, handler, { bindDriverToBus = false } = {}) => async (event, context) => {
+  let principal;
+  try {
+    principal = getPrincipal(event);
+  } catch (error) {
+    return errorResponse(error.statusCode, error.message);
+  }
+
+  if (!roles.includes(principal.role)) {
+    return principal === ANONYMOUS
+      ? errorResponse(HTTP_STATUS.UNAUTHORIZED, MESSAGES.AUTHENTICATION_REQUIRED)
+      : errorResponse(HTTP_STATUS.FORBIDDEN, MESSAGES.FORBIDDEN);
+  }
+
+  if (bindDriverToBus && principal.role === ROLES.DRIVER
+    && principal.busId !== event.pathParameters?.busId) {
+    return errorResponse(HTTP_STATUS.FORBIDDEN, MESSAGES.DRIVER_BUS_MISMATCH);
+  }
+
+  return handler({ ...event, principal }, context);
+};
+
+module.exports = {
+  ROLES,
+  signToken,
+  verifyToken,
+  getBearerToken,
+  getPrincipal,
+  withAuth,
+};
@@ -0,0 +1,85 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for GTFS text files
+ */
+
+/**
+ * Parse CSV text into one object per row, keyed by the header row
+ * @param {string} text - CSV text, optionally starting with a UTF-8 BOM
+ * @returns {Object[]} Rows; missing trailing fields are empty strings
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter((row) => row.some((value) => value !== ''));
+  const columns = header.map((name) => name.trim());
+
+  return rows.map((row) => Object.fromEntries(
+    columns.map((column, index) => [column, (row[index] || '').trim()]),
+  ));
+};
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const formatField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows as CSV with a header row
+ * @param {string[]} columns - Column names, in output order
+ * @param {Object[]} rows - Rows keyed by column name
+ * @returns {string} CSV text with CRLF line endings
+ */
+const formatCsv = (columns, rows) => [
+  columns.join(','),
+  ...rows.map((row) => columns.map((column) => formatField(row[column])).join(',')),
+].join('\r\n').concat('\r\n');
+
+module.exports = {
+  parseCsv,
+  formatCsv,
+};
@@ -0,0 +1,24 @@
+/**
+ * Application error types
+ */
+
+/**
+ * Error carrying an HTTP status, surfaced by handlers as an errorResponse
+ */
+class AppError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   */
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  AppError,
+};
@@ -0,0 +1,184 @@
+/**
+ * Geographic helpers
+ */
+
+const ngeohash = require('ngeohash');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in meters
+ */
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Initial compass bearing of the great-circle path from one point to another
+ * @param {number} lat1 - Latitude of the start
+ * @param {number} lon1 - Longitude of the start
+ * @param {number} lat2 - Latitude of the destination
+ * @param {number} lon2 - Longitude of the destination
+ * @returns {number} Bearing in degrees clockwise from north, 0 to under 360
+ */
+const initialBearing = (lat1, lon1, lat2, lon2) => {
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2))
+    - Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+/**
+ * Encode a point as a geohash
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} precision - Number of geohash characters
+ * @returns {string} Geohash
+ */
+const encodeGeohash = (latitude, longitude, precision) => ngeohash.encode(
+  latitude,
+  longitude,
+  precision,
+);
+
+/**
+ * Pick the finest geohash precision whose cells are at least `radius` across at the point,
+ * so the centre cell plus its eight neighbours always cover the search circle
+ * @param {number} latitude - Latitude of the centre
+ * @param {number} longitude - Longitude of the centre
+ * @param {number} radius - Search radius in meters
+ * @param {number} minPrecision - Coarsest precision allowed
+ * @param {number} maxPrecision - Finest precision allowed
+ * @returns {number} Geohash precision
+ */
+const geohashPrecisionForRadius = (latitude, longitude, radius, minPrecision, maxPrecision) => {
+  for (let precision = maxPrecision; precision > minPrecision; precision -= 1) {
+    const [minLat, minLon, maxLat, maxLon] = ngeohash.decode_bbox(
+      ngeohash.encode(latitude, longitude, precision),
+    );
+    const height = haversineDistance(minLat, minLon, maxLat, minLon);
+    const width = haversineDistance(latitude, minLon, latitude, maxLon);
+
+    if (Math.min(height, width) >= radius) {
+      return precision;
+    }
+  }
+
+  return minPrecision;
+};
+
+/**
+ * Geohash cells to search around a point: the centre cell and its neighbours
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} precision - Geohash precision
+ * @returns {string[]} Geohash cells
+ */
+const geohashSearchCells = (latitude, longitude, precision) => {
+  const centre = ngeohash.encode(latitude, longitude, precision);
+  return [centre, ...ngeohash.neighbors(centre)];
+};
+
+/**
+ * Project a point onto the segment between two others, on a local flat projection
+ * (accurate enough over the few kilometres between consecutive fixes or stops)
+ * @param {Object} point - Point with latitude and longitude
+ * @param {Object} start - Segment start
+ * @param {Object} end - Segment end
+ * @returns {Object} distance from the segment in meters and fraction (0-1) along it
+ */
+const projectOntoSegment = (point, start, end) => {
+  const metersPerDegreeLat = (Math.PI * EARTH_RADIUS_METERS) / 180;
+  const metersPerDegreeLon = metersPerDegreeLat * Math.cos(toRadians(start.latitude));
+  const project = (p) => ({
+    x: (p.longitude - start.longitude) * metersPerDegreeLon,
+    y: (p.latitude - start.latitude) * metersPerDegreeLat,
+  });
+
+  const p = project(point);
+  const e = project(end);
+  const lengthSquared = e.x ** 2 + e.y ** 2;
+  const fraction = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (p.x * e.x + p.y * e.y) / lengthSquared));
+
+  return {
+    distance: Math.hypot(p.x - fraction * e.x, p.y - fraction * e.y),
+    fraction,
+  };
+};
+
+/**
+ * Distance from a point to the segment between two others
+ * @param {Object} point - Point with latitude and longitude
+ * @param {Object} start - Segment start
+ * @param {Object} end - Segment end
+ * @returns {number} Distance in meters
+ */
+const distanceToSegment = (point, start, end) => projectOntoSegment(point, start, end).distance;
+
+/**
+ * Thin a track with the Douglas-Peucker algorithm, keeping the end points
+ * @param {Object[]} points - Ordered points with latitude and longitude
+ * @param {number} toleranceMeters - Maximum deviation of a dropped point from the simplified line
+ * @returns {Object[]} Subset of the input points, in order
+ */
+const simplifyTrack = (points, toleranceMeters) => {
+  if (points.length <= 2 || toleranceMeters <= 0) {
+    return points;
+  }
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Explicit stack instead of recursion so long tracks cannot overflow the call stack
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i += 1) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (maxDistance > toleranceMeters) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  toRadians,
+  haversineDistance,
+  initialBearing,
+  encodeGeohash,
+  geohashPrecisionForRadius,
+  geohashSearchCells,
+  projectOntoSegment,
+  distanceToSegment,
+  simplifyTrack,
+};
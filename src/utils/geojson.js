@@ -0,0 +1,95 @@
+/**
+ * GeoJSON (RFC 7946) representations of API data.
+ * GeoJSON positions are [longitude, latitude]; stops are stored as [latitude, longitude].
+ */
+
+/**
+ * Build a Point geometry
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Object} GeoJSON Point
+ */
+const point = (latitude, longitude) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+/**
+ * Build a Feature
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Object} properties - Feature properties
+ * @param {string} [id] - Feature ID
+ * @returns {Object} GeoJSON Feature
+ */
+const feature = (geometry, properties, id) => ({
+  type: 'Feature',
+  ...(id !== undefined && { id }),
+  geometry,
+  properties,
+});
+
+/**
+ * Build a FeatureCollection
+ * @param {Object[]} features - GeoJSON Features
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+const featureCollection = (features) => ({ type: 'FeatureCollection', features });
+
+/**
+ * Swap a stored [latitude, longitude] pair into a GeoJSON position
+ * @param {number[]} coordinates - [latitude, longitude]
+ * @returns {number[]} [longitude, latitude]
+ */
+const toPosition = ([latitude, longitude]) => [longitude, latitude];
+
+/**
+ * Turn located items, such as bus positions or location fixes, into Point features.
+ * Latitude and longitude move into the geometry; every other field becomes a property.
+ * @param {Object[]} items - Items with latitude and longitude
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+const pointsToFeatureCollection = (items) => featureCollection(items.map(({
+  latitude, longitude, geohash, ...properties
+}) => feature(point(latitude, longitude), properties)));
+
+/**
+ * Turn routes into LineString features following their stops in order
+ * @param {Object[]} routes - Route items
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+const routesToFeatureCollection = (routes) => featureCollection(routes.map(({
+  RouteID, stops = [], ...properties
+}) => feature(
+  { type: 'LineString', coordinates: stops.map((stop) => toPosition(stop.coordinates)) },
+  { ...properties, stops: stops.map(({ coordinates, ...stop }) => stop) },
+  RouteID,
+)));
+
+/**
+ * Turn one route into a LineString through its stops plus a Point for each stop
+ * @param {Object} route - Route item
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+const routeToFeatureCollection = ({
+  RouteID, stops = [], alerts, ...properties
+}) => featureCollection([
+  feature(
+    { type: 'LineString', coordinates: stops.map((stop) => toPosition(stop.coordinates)) },
+    { kind: 'route', routeId: RouteID, ...properties },
+    RouteID,
+  ),
+  ...stops.map(({ id, coordinates, ...stop }, index) => feature(
+    point(...coordinates),
+    {
+      kind: 'stop', routeId: RouteID, stopId: id, sequence: index + 1, ...stop,
+    },
+    `${RouteID}:${id}`,
+  )),
+]);
+
+module.exports = {
+  point,
+  feature,
+  featureCollection,
+  toPosition,
+  pointsToFeatureCollection,
+  routesToFeatureCollection,
+  routeToFeatureCollection,
+};
@@ -0,0 +1,374 @@
+/**
+ * Conversion between GTFS static feeds and Routes table items
+ */
+
+const AdmZip = require('adm-zip');
+const { parseCsv, formatCsv } = require('./csv');
+const { haversineDistance } = require('./geo');
+const { parseTimeWindow, parseFrequencyMinutes } = require('./schedule');
+const { GTFS } = require('../config/constants');
+
+const REQUIRED_FILES = ['routes.txt', 'stops.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const WEEKEND = ['saturday', 'sunday'];
+const WEEK = [...WEEKDAYS, ...WEEKEND];
+const DAY_TYPES = { weekdays: WEEKDAYS, weekends: WEEKEND };
+const MINUTES_PER_DAY = 24 * 60;
+
+const COLUMNS = {
+  'agency.txt': ['agency_id', 'agency_name', 'agency_url', 'agency_timezone'],
+  'stops.txt': ['stop_id', 'stop_name', 'stop_lat', 'stop_lon'],
+  'routes.txt': [
+    'route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type',
+  ],
+  'calendar.txt': ['service_id', ...WEEK, 'start_date', 'end_date'],
+  'trips.txt': ['route_id', 'service_id', 'trip_id'],
+  'stop_times.txt': ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+  'frequencies.txt': ['trip_id', 'start_time', 'end_time', 'headway_secs', 'exact_times'],
+};
+
+/**
+ * Parse a GTFS time, which may run past 24:00:00 for trips continuing after midnight
+ * @param {string} time - Time in H:MM:SS or HH:MM:SS form
+ * @returns {number|null} Seconds after midnight of the service day, or null if blank or malformed
+ */
+const parseGtfsTime = (time) => {
+  const match = /^(\d{1,2}):([0-5]\d):([0-5]\d)$/.exec(time || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, hours, minutes, seconds] = match.map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Format seconds after midnight as a GTFS time
+ * @param {number} totalSeconds - Seconds after midnight, possibly beyond one day
+ * @returns {string} Time in HH:MM:SS form
+ */
+const formatGtfsTime = (totalSeconds) => [
+  Math.floor(totalSeconds / 3600),
+  Math.floor((totalSeconds % 3600) / 60),
+  totalSeconds % 60,
+].map((part) => String(part).padStart(2, '0')).join(':');
+
+/**
+ * Format minutes after midnight as HH:MM, wrapping past midnight
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Clock time
+ */
+const formatClock = (minutes) => {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Format a headway in minutes the way route items store it
+ * @param {number} minutes - Minutes between departures
+ * @returns {string} Frequency such as "15 minutes" or "1 hour"
+ */
+const formatFrequency = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+};
+
+/**
+ * Group rows by one of their columns
+ * @param {Object[]} rows - CSV rows
+ * @param {string} column - Column to group by
+ * @returns {Map<string, Object[]>} Rows per column value, in input order
+ */
+const groupBy = (rows, column) => rows.reduce((groups, row) => {
+  groups.set(row[column], [...(groups.get(row[column]) || []), row]);
+  return groups;
+}, new Map());
+
+/**
+ * Median of a non-empty list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Read the text files of a GTFS zip. Files nested in a single folder are accepted.
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Object} Parsed rows keyed by file name, e.g. files['routes.txt']
+ * @throws {Error} When a required file is missing
+ */
+const readFeed = (buffer) => {
+  const files = {};
+
+  new AdmZip(buffer).getEntries()
+    .filter((entry) => !entry.isDirectory && entry.entryName.endsWith('.txt'))
+    .forEach((entry) => {
+      files[entry.entryName.split('/').pop()] = parseCsv(entry.getData().toString('utf8'));
+    });
+
+  const missing = REQUIRED_FILES.filter((name) => !files[name]);
+  if (missing.length > 0) {
+    throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+  }
+
+  return files;
+};
+
+/**
+ * Build a GTFS zip from file rows
+ * @param {Object} files - Rows keyed by file name
+ * @returns {Buffer} Zip archive
+ */
+const writeFeed = (files) => {
+  const zip = new AdmZip();
+
+  Object.entries(files).forEach(([name, rows]) => {
+    zip.addFile(name, Buffer.from(formatCsv(COLUMNS[name], rows), 'utf8'));
+  });
+
+  return zip.toBuffer();
+};
+
+/**
+ * Convert a parsed GTFS feed into Routes table items.
+ * Each route takes its stops from its longest trip, its service windows from the first
+ * departures of its trips (or their frequencies) and its frequency from the median weekday
+ * headway.
+ * @param {Object} files - Parsed rows keyed by file name
+ * @returns {Object} Route items and the routes that could not be converted, with reasons
+ */
+const feedToRoutes = (files) => {
+  const stops = new Map(files['stops.txt'].map((row) => [row.stop_id, row]));
+  const tripsByRoute = groupBy(files['trips.txt'], 'route_id');
+  const stopTimesByTrip = groupBy(files['stop_times.txt'], 'trip_id');
+  const frequenciesByTrip = groupBy(files['frequencies.txt'] || [], 'trip_id');
+  const services = new Map(files['calendar.txt'].map((row) => [row.service_id, row]));
+
+  const routes = [];
+  const skipped = [];
+
+  files['routes.txt'].forEach((row) => {
+    const routeId = row.route_id;
+    const trips = (tripsByRoute.get(routeId) || []).map((trip) => {
+      const stopTimes = [...(stopTimesByTrip.get(trip.trip_id) || [])]
+        .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+      return {
+        ...trip,
+        stopTimes,
+        firstDeparture: parseGtfsTime(stopTimes[0]?.departure_time || stopTimes[0]?.arrival_time),
+        frequencies: frequenciesByTrip.get(trip.trip_id) || [],
+      };
+    }).filter((trip) => trip.stopTimes.length >= 2);
+
+    if (trips.length === 0) {
+      skipped.push({ routeId, reason: 'Route has no trips with at least two stops' });
+      return;
+    }
+
+    const pattern = trips.reduce((longest, trip) => (
+      trip.stopTimes.length > longest.stopTimes.length ? trip : longest
+    ));
+    const missingStop = pattern.stopTimes.find((stopTime) => !stops.has(stopTime.stop_id));
+    if (missingStop) {
+      skipped.push({ routeId, reason: `Stop ${missingStop.stop_id} is not in stops.txt` });
+      return;
+    }
+
+    const runningOn = (days) => trips.filter((trip) => {
+      const service = services.get(trip.service_id);
+      return service && days.some((day) => service[day] === '1');
+    });
+
+    const schedule = {};
+    Object.entries(DAY_TYPES).forEach(([dayType, days]) => {
+      const running = runningOn(days);
+
+      const windows = running.flatMap((trip) => (trip.frequencies.length > 0
+        ? trip.frequencies.map((frequency) => [
+          parseGtfsTime(frequency.start_time),
+          parseGtfsTime(frequency.end_time),
+        ])
+        : [[trip.firstDeparture, trip.firstDeparture]]))
+        .filter(([start, end]) => start !== null && end !== null);
+
+      if (windows.length === 0) {
+        return;
+      }
+
+      const start = Math.floor(Math.min(...windows.map(([from]) => from)) / 60);
+      // A window needs some width even when the route runs a single trip
+      const end = Math.max(Math.ceil(Math.max(...windows.map(([, to]) => to)) / 60), start + 1);
+
+      schedule[dayType] = end - start >= MINUTES_PER_DAY
+        ? '00:00-23:59'
+        : `${formatClock(start)}-${formatClock(end)}`;
+    });
+
+    if (!schedule.weekdays) {
+      skipped.push({ routeId, reason: 'Route has no weekday service in calendar.txt' });
+      return;
+    }
+
+    // Timetabled headways are gaps between departures in one direction on one service
+    const weekdayTrips = runningOn(WEEKDAYS);
+    const timetabled = groupBy(weekdayTrips.filter((trip) => trip.frequencies.length === 0
+      && trip.firstDeparture !== null
+      && (trip.direction_id || '') === (pattern.direction_id || '')), 'service_id');
+    const headways = [
+      ...weekdayTrips.flatMap((trip) => trip.frequencies)
+        .map((frequency) => Number(frequency.headway_secs)),
+      ...[...timetabled.values()].flatMap((serviceTrips) => {
+        const departures = serviceTrips.map((trip) => trip.firstDeparture).sort((a, b) => a - b);
+        return departures.slice(1).map((departure, index) => departure - departures[index]);
+      }),
+    ].filter((seconds) => seconds > 0);
+
+    if (headways.length === 0) {
+      skipped.push({ routeId, reason: 'Route has a single departure, so no headway' });
+      return;
+    }
+
+    routes.push({
+      RouteID: routeId,
+      name: row.route_long_name || row.route_short_name || routeId,
+      description: row.route_desc || '',
+      stops: pattern.stopTimes.map((stopTime) => {
+        const stop = stops.get(stopTime.stop_id);
+        return {
+          id: stop.stop_id,
+          name: stop.stop_name,
+          coordinates: [Number(stop.stop_lat), Number(stop.stop_lon)],
+        };
+      }),
+      schedule,
+      frequency: formatFrequency(Math.max(1, Math.round(median(headways) / 60))),
+      active: true,
+    });
+  });
+
+  return { routes, skipped };
+};
+
+/**
+ * Name the trip routesToFeed exports for a route on a service day type
+ * @param {string} routeId - Route ID
+ * @param {string} dayType - 'weekdays' or 'weekends'
+ * @returns {string} GTFS trip_id
+ */
+const exportedTripId = (routeId, dayType) => `${routeId}-${dayType}`;
+
+/**
+ * Convert Routes table items into GTFS files. Every route becomes one frequency-based trip
+ * per service day type, with stop times derived from stop spacing at GTFS.EXPORT_SPEED_KMH.
+ * @param {Object[]} routes - Routes table items
+ * @param {Object} options - Feed options
+ * @param {Date} options.from - First day of the calendar
+ * @returns {Object} Rows keyed by file name, ready for writeFeed
+ */
+const routesToFeed = (routes, { from = new Date() } = {}) => {
+  const gtfsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+  const until = new Date(from.getTime() + GTFS.CALENDAR_DAYS * 24 * 60 * 60 * 1000);
+  const metersPerSecond = GTFS.EXPORT_SPEED_KMH / 3.6;
+
+  const stops = new Map();
+  const files = {
+    'agency.txt': [{
+      agency_id: GTFS.AGENCY_ID,
+      agency_name: GTFS.AGENCY_NAME,
+      agency_url: GTFS.AGENCY_URL,
+      agency_timezone: GTFS.AGENCY_TIMEZONE,
+    }],
+    'routes.txt': [],
+    'calendar.txt': Object.entries(DAY_TYPES).map(([dayType, days]) => ({
+      service_id: dayType,
+      ...Object.fromEntries(WEEK.map((day) => [day, days.includes(day) ? 1 : 0])),
+      start_date: gtfsDate(from),
+      end_date: gtfsDate(until),
+    })),
+    'trips.txt': [],
+    'stop_times.txt': [],
+    'frequencies.txt': [],
+  };
+
+  routes.forEach((route) => {
+    files['routes.txt'].push({
+      route_id: route.RouteID,
+      agency_id: GTFS.AGENCY_ID,
+      route_short_name: route.RouteID,
+      route_long_name: route.name,
+      route_desc: route.description || '',
+      route_type: GTFS.ROUTE_TYPE_BUS,
+    });
+
+    route.stops.forEach((stop) => {
+      if (!stops.has(stop.id)) {
+        stops.set(stop.id, {
+          stop_id: stop.id,
+          stop_name: stop.name,
+          stop_lat: stop.coordinates[0],
+          stop_lon: stop.coordinates[1],
+        });
+      }
+    });
+
+    const offsets = route.stops.reduce((elapsed, stop, index) => {
+      if (index === 0) {
+        return [0];
+      }
+      const [lat, lon] = route.stops[index - 1].coordinates;
+      const meters = haversineDistance(lat, lon, stop.coordinates[0], stop.coordinates[1]);
+      return [...elapsed, elapsed[index - 1] + Math.round(meters / metersPerSecond)];
+    }, []);
+
+    const headwayMinutes = parseFrequencyMinutes(route.frequency);
+
+    Object.keys(DAY_TYPES).forEach((dayType) => {
+      const window = route.schedule?.[dayType] && parseTimeWindow(route.schedule[dayType]);
+      if (!window || !headwayMinutes) {
+        return;
+      }
+
+      const tripId = exportedTripId(route.RouteID, dayType);
+      const start = window.start * 60;
+      // Service running past midnight ends on the following GTFS day, e.g. 25:30:00
+      const end = (window.end > window.start ? window.end : window.end + MINUTES_PER_DAY) * 60;
+
+      files['trips.txt'].push({ route_id: route.RouteID, service_id: dayType, trip_id: tripId });
+      route.stops.forEach((stop, index) => files['stop_times.txt'].push({
+        trip_id: tripId,
+        arrival_time: formatGtfsTime(start + offsets[index]),
+        departure_time: formatGtfsTime(start + offsets[index]),
+        stop_id: stop.id,
+        stop_sequence: index + 1,
+      }));
+      files['frequencies.txt'].push({
+        trip_id: tripId,
+        start_time: formatGtfsTime(start),
+        end_time: formatGtfsTime(end),
+        headway_secs: headwayMinutes * 60,
+        exact_times: 0,
+      });
+    });
+  });
+
+  files['stops.txt'] = [...stops.values()];
+
+  return files;
+};
+
+module.exports = {
+  parseGtfsTime,
+  formatGtfsTime,
+  readFeed,
+  writeFeed,
+  feedToRoutes,
+  routesToFeed,
+  exportedTripId,
+};
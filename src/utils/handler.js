@@ -0,0 +1,103 @@
+/**
+ * Composition of the shared handler wrappers
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { withValidation } = require('./validation');
+const { withAuth } = require('./auth');
+const { getHeader, withHttpResponse } = require('./http');
+const { withRateLimit } = require('./rateLimit');
+const logger = require('./logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Client-supplied IDs end up in every log entry, so only plain tokens are accepted
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Pick the correlation ID for an invocation: the caller's X-Request-Id when it is a plain
+ * token, otherwise the Lambda request ID
+ * @param {Object} event - Lambda event object
+ * @param {Object} context - Lambda context
+ * @returns {string} Request ID
+ */
+const getRequestId = (event, context) => {
+  const supplied = getHeader(event.headers, REQUEST_ID_HEADER);
+  if (supplied && REQUEST_ID_PATTERN.test(supplied)) {
+    return supplied;
+  }
+  return context?.awsRequestId || event.requestContext?.requestId || uuidv4();
+};
+
+/**
+ * Wrap a handler so its log entries carry the request ID, function name and the bus and
+ * route being handled, and HTTP responses echo the request ID in X-Request-Id
+ * @param {Function} handler - Lambda handler
+ * @returns {Function} Wrapped Lambda handler
+ */
+const withLogContext = (handler) => async (event = {}, context = {}) => {
+  const requestId = getRequestId(event, context);
+
+  logger.setContext({
+    requestId,
+    functionName: context.functionName,
+    busId: event.pathParameters?.busId,
+    routeId: event.pathParameters?.routeId || event.queryStringParameters?.routeId,
+  });
+
+  try {
+    const response = await handler(event, context);
+
+    if (!response?.statusCode) {
+      return response;
+    }
+
+    return {
+      ...response,
+      headers: {
+        ...response.headers,
+        [REQUEST_ID_HEADER]: requestId,
+      },
+    };
+  } finally {
+    logger.clearContext();
+  }
+};
+
+/**
+ * Build a Lambda handler with the standard guards applied.
+ * Authorization runs before validation so unauthenticated callers learn nothing about the schema.
+ * @param {Object} options - Handler options
+ * @param {Object} [options.schema] - Joi schemas for withValidation
+ * @param {string[]} [options.roles] - Roles allowed to call the handler; open when omitted
+ * @param {boolean} [options.bindDriverToBus] - Only accept driver tokens for the bus in the path
+ * @param {boolean} [options.etag] - Send ETags and answer matching If-None-Match with 304
+ * @param {Object} [options.serializers] - Alternative representations keyed by media type
+ * @param {Object} [options.rateLimit] - RATE_LIMIT budget applied per client before auth
+ * @param {Function} handler - Lambda handler
+ * @returns {Function} Wrapped Lambda handler
+ */
+const createHandler = ({
+  schema, roles, bindDriverToBus, etag, serializers, rateLimit,
+}, handler) => {
+  let wrapped = handler;
+
+  if (schema) {
+    wrapped = withValidation(schema, wrapped);
+  }
+
+  if (roles) {
+    wrapped = withAuth(roles, wrapped, { bindDriverToBus });
+  }
+
+  if (rateLimit) {
+    wrapped = withRateLimit(rateLimit, wrapped);
+  }
+
+  return withLogContext(withHttpResponse({ etag, serializers }, wrapped));
+};
+
+module.exports = {
+  withLogContext,
+  createHandler,
+};
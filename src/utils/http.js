@@ -0,0 +1,248 @@
+/**
+ * HTTP request and response handling: body decoding, CORS, content negotiation, ETags
+ * and compression
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { RESPONSE, MEDIA_TYPES, HTTP_STATUS } = require('../config/constants');
+
+// Text types worth compressing; each is a binary media type on the API (provider.apiGateway
+// in serverless.yml), so gzipped bodies pass through
+const COMPRESSIBLE_TYPES = [MEDIA_TYPES.JSON, MEDIA_TYPES.GEOJSON];
+
+const EXPOSED_HEADERS = [
+  'X-Request-Id',
+  'ETag',
+  'Retry-After',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-RateLimit-Reset',
+].join(',');
+
+/**
+ * Read a header regardless of the case the client or API Gateway used
+ * @param {Object} [headers] - Event headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+const getHeader = (headers, name) => {
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers || {}).find((header) => header.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
+};
+
+/**
+ * Parse an Accept header into media ranges with their quality
+ * @param {string} [accept] - Accept header
+ * @returns {Object[]} Ranges with type and q, in header order
+ */
+const parseAccept = (accept) => (accept || '')
+  .split(',')
+  .map((part) => {
+    const [type, ...params] = part.split(';').map((value) => value.trim().toLowerCase());
+    const q = params.find((param) => param.startsWith('q='));
+    return { type, q: q ? Number(q.slice(2)) : 1 };
+  })
+  .filter(({ type, q }) => type && !Number.isNaN(q));
+
+/**
+ * Pick the available media type the client prefers
+ * @param {string} [accept] - Accept header
+ * @param {string[]} available - Media types the endpoint can produce, preferred first
+ * @returns {string} Chosen media type; the first available one when nothing matches
+ */
+const negotiate = (accept, available) => {
+  const ranges = parseAccept(accept);
+  if (ranges.length === 0) {
+    return available[0];
+  }
+
+  const quality = (mediaType) => Math.max(0, ...ranges
+    .filter(({ type }) => type === mediaType || type === '*/*'
+      || type === `${mediaType.split('/')[0]}/*`)
+    .map(({ q }) => q));
+
+  const best = available.reduce((chosen, mediaType) => (
+    quality(mediaType) > quality(chosen) ? mediaType : chosen
+  ));
+
+  return quality(best) > 0 ? best : available[0];
+};
+
+/**
+ * Check an If-None-Match header against an ETag, using weak comparison
+ * @param {string} [ifNoneMatch] - If-None-Match header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True when the client's copy is current
+ */
+const matchesEtag = (ifNoneMatch, etag) => {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some((tag) => tag.trim() === '*' || opaque(tag) === opaque(etag));
+};
+
+const addVary = (headers, field) => ({
+  ...headers,
+  Vary: headers.Vary ? `${headers.Vary}, ${field}` : field,
+});
+
+/**
+ * Re-serialize a success response as the media type the client asked for
+ * @param {Object} event - Lambda event object
+ * @param {Object} response - Lambda response object
+ * @param {Object} serializers - Functions of (data, payload) keyed by media type
+ * @returns {Object} Lambda response object
+ */
+const applySerializer = (event, response, serializers) => {
+  const mediaType = negotiate(getHeader(event.headers, 'Accept'), [
+    MEDIA_TYPES.JSON,
+    ...Object.keys(serializers),
+  ]);
+  const headers = addVary(response.headers, 'Accept');
+
+  if (mediaType === MEDIA_TYPES.JSON) {
+    return { ...response, headers };
+  }
+
+  return Object.defineProperty({
+    ...response,
+    headers: { ...headers, 'Content-Type': mediaType },
+    body: JSON.stringify(serializers[mediaType](response.payload.data, response.payload)),
+  }, 'payload', { value: response.payload });
+};
+
+/**
+ * Tag a success response with an ETag derived from its data and representation, and turn
+ * it into a 304 when the client already has it
+ * @param {Object} event - Lambda event object
+ * @param {Object} response - Lambda response object
+ * @returns {Object} Lambda response object
+ */
+const applyEtag = (event, response) => {
+  const hash = crypto.createHash('sha1')
+    .update(`${response.headers['Content-Type']}\n${JSON.stringify(response.payload)}`)
+    .digest('base64url');
+  // Weak, because the body may be sent compressed or not
+  const etag = `W/"${hash}"`;
+  const headers = { ...response.headers, ETag: etag, 'Cache-Control': 'no-cache' };
+
+  if (matchesEtag(getHeader(event.headers, 'If-None-Match'), etag)) {
+    return { statusCode: HTTP_STATUS.NOT_MODIFIED, headers, body: '' };
+  }
+
+  return { ...response, headers };
+};
+
+/**
+ * Gzip a large body when the client accepts it
+ * @param {Object} event - Lambda event object
+ * @param {Object} response - Lambda response object
+ * @returns {Object} Lambda response object
+ */
+const applyCompression = (event, response) => {
+  const contentType = response.headers['Content-Type'];
+  if (response.isBase64Encoded || !COMPRESSIBLE_TYPES.includes(contentType)) {
+    return response;
+  }
+
+  const headers = addVary(response.headers, 'Accept-Encoding');
+  const acceptsGzip = /\bgzip\b/i.test(getHeader(event.headers, 'Accept-Encoding') || '');
+  const large = Buffer.byteLength(response.body || '') >= RESPONSE.COMPRESSION_MIN_BYTES;
+
+  if (!acceptsGzip || !large) {
+    return { ...response, headers };
+  }
+
+  return {
+    ...response,
+    headers: { ...headers, 'Content-Encoding': 'gzip' },
+    body: zlib.gzipSync(response.body).toString('base64'),
+    isBase64Encoded: true,
+  };
+};
+
+/**
+ * Allow the request's origin when it is on the stage's allow-list. Credentials are allowed,
+ * so the origin is echoed rather than answered with *.
+ * @param {Object} event - Lambda event object
+ * @param {Object} response - Lambda response object
+ * @returns {Object} Lambda response object
+ */
+const applyCors = (event, response) => {
+  const origin = getHeader(event.headers, 'Origin');
+  const headers = addVary(response.headers, 'Origin');
+
+  if (!origin || !RESPONSE.ALLOWED_ORIGINS.includes(origin)) {
+    return { ...response, headers };
+  }
+
+  return {
+    ...response,
+    headers: {
+      ...headers,
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Headers': RESPONSE.ALLOWED_HEADERS,
+      'Access-Control-Allow-Methods': RESPONSE.ALLOWED_METHODS,
+      'Access-Control-Expose-Headers': EXPOSED_HEADERS,
+    },
+  };
+};
+
+/**
+ * Turn a base64-encoded request body back into text. JSON is a binary media type on the API,
+ * for compressed responses, so API Gateway hands JSON request bodies over base64-encoded.
+ * @param {Object} event - Lambda event object
+ * @returns {Object} Event with a plain body
+ */
+const decodeBody = (event) => {
+  if (!event.isBase64Encoded || typeof event.body !== 'string') {
+    return event;
+  }
+
+  return {
+    ...event,
+    body: Buffer.from(event.body, 'base64').toString('utf8'),
+    isBase64Encoded: false,
+  };
+};
+
+/**
+ * Wrap a handler so it sees request bodies decoded and its responses are negotiated, tagged,
+ * compressed and given CORS headers
+ * @param {Object} options - Response options
+ * @param {boolean} [options.etag] - Tag successful GET responses and honour If-None-Match
+ * @param {Object} [options.serializers] - Alternative representations keyed by media type;
+ *   each is called with the response data and the full payload and returns the body object
+ * @param {Function} handler - Lambda handler
+ * @returns {Function} Wrapped Lambda handler
+ */
+const withHttpResponse = ({ etag, serializers }, handler) => async (event, context) => {
+  let response = await handler(decodeBody(event), context);
+
+  if (!response?.statusCode) {
+    return response;
+  }
+
+  const succeeded = response.statusCode === HTTP_STATUS.OK && response.payload;
+
+  if (succeeded && serializers) {
+    response = applySerializer(event, response, serializers);
+  }
+
+  const isGet = !event.httpMethod || event.httpMethod === 'GET';
+  if (succeeded && etag && isGet) {
+    response = applyEtag(event, response);
+  }
+
+  return applyCors(event, applyCompression(event, response));
+};
+
+module.exports = {
+  getHeader,
+  negotiate,
+  withHttpResponse,
+};
@@ -1,5 +1,7 @@
 /**
- * Simple logging utility for Lambda functions
+ * Structured JSON logging for Lambda functions.
+ * A container runs one invocation at a time, so the per-invocation context (requestId,
+ * function name, busId, routeId) is held at module level and added to every entry.
  */
 
 const LOG_LEVELS = {
@@ -11,8 +13,61 @@ const LOG_LEVELS = {
 
 const currentLogLevel = LOG_LEVELS[process.env.LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
 
+// Values of matching keys are replaced at any depth, e.g. driver.license or headers.Authorization
+const SENSITIVE_KEY_PATTERN = /license|password|secret|token|authorization/i;
+const REDACTED = '[REDACTED]';
+
+let context = {};
+
+/**
+ * Set fields added to every entry until the context is cleared; undefined fields are ignored
+ * @param {Object} fields - Context fields such as requestId, functionName, busId, routeId
+ */
+const setContext = (fields) => {
+  const defined = Object.entries(fields).filter(([, value]) => value !== undefined);
+  context = { ...context, ...Object.fromEntries(defined) };
+};
+
+/**
+ * Drop the context at the end of an invocation
+ */
+const clearContext = () => {
+  context = {};
+};
+
+/**
+ * Get the current context
+ * @returns {Object} Context fields
+ */
+const getContext = () => ({ ...context });
+
+/**
+ * JSON.stringify replacer that serializes errors, which otherwise become {}, and redacts
+ * sensitive fields
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value to serialize
+ */
+const replacer = (key, value) => {
+  if (key && SENSITIVE_KEY_PATTERN.test(key)) {
+    return REDACTED;
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      ...(value.statusCode && { statusCode: value.statusCode }),
+      stack: value.stack,
+    };
+  }
+
+  return value;
+};
+
 /**
- * Create a log entry with timestamp and level
+ * Create a log entry with timestamp, level and the invocation context
  * @param {string} level - Log level
  * @param {string} message - Log message
  * @param {...any} args - Additional arguments
@@ -23,10 +78,11 @@ const log = (level, message, ...args) => {
     timestamp,
     level,
     message,
+    ...context,
     ...(args.length > 0 && { data: args }),
   };
 
-  console.log(JSON.stringify(logEntry));
+  console.log(JSON.stringify(logEntry, replacer));
 };
 
 /**
@@ -70,4 +126,7 @@ module.exports = {
   warn,
   info,
   debug,
+  setContext,
+  clearContext,
+  getContext,
 };
@@ -0,0 +1,35 @@
+/**
+ * Cursor helpers for paginated DynamoDB reads
+ */
+
+/**
+ * Encode a DynamoDB LastEvaluatedKey as an opaque cursor
+ * @param {Object} lastEvaluatedKey - LastEvaluatedKey from a Scan/Query result
+ * @returns {string|null} URL-safe cursor or null when there are no more pages
+ */
+const encodeCursor = (lastEvaluatedKey) => {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into an ExclusiveStartKey
+ * @param {string} cursor - Cursor previously returned by encodeCursor
+ * @returns {Object|null} ExclusiveStartKey or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return key && typeof key === 'object' && !Array.isArray(key) ? key : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
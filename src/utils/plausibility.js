@@ -0,0 +1,85 @@
+/**
+ * Plausibility checks for incoming location fixes
+ */
+
+const { haversineDistance } = require('./geo');
+const { AppError } = require('./errors');
+const { LOCATION, MESSAGES, HTTP_STATUS } = require('../config/constants');
+
+const FLAGS = {
+  REPORTED_SPEED_ABOVE_LIMIT: 'REPORTED_SPEED_ABOVE_LIMIT',
+  AFTER_GAP: 'AFTER_GAP',
+};
+
+/**
+ * Compare a new fix with the bus's previous fix.
+ * Throws for fixes that cannot be stored; returns quality flags for fixes that are kept.
+ * @param {Object|null} previous - Latest stored fix for the bus
+ * @param {Object} fix - Incoming fix with ISO timestamp, latitude, longitude and speed
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Assessment with flags and, when a previous fix exists, the implied movement
+ */
+const checkPlausibility = (previous, fix, now = Date.now()) => {
+  const fixTime = Date.parse(fix.timestamp);
+
+  if (fixTime - now > LOCATION.MAX_FUTURE_SKEW_SECONDS * 1000) {
+    throw new AppError(HTTP_STATUS.UNPROCESSABLE_ENTITY, MESSAGES.LOCATION_IN_FUTURE, {
+      timestamp: fix.timestamp,
+      serverTime: new Date(now).toISOString(),
+    });
+  }
+
+  const flags = [];
+
+  if (fix.speed > LOCATION.MAX_SPEED_KMH) {
+    flags.push(FLAGS.REPORTED_SPEED_ABOVE_LIMIT);
+  }
+
+  if (!previous) {
+    return { flags };
+  }
+
+  const elapsedSeconds = (fixTime - Date.parse(previous.timestamp)) / 1000;
+
+  if (elapsedSeconds <= 0) {
+    throw new AppError(HTTP_STATUS.CONFLICT, MESSAGES.LOCATION_OUT_OF_ORDER, {
+      timestamp: fix.timestamp,
+      latestTimestamp: previous.timestamp,
+    });
+  }
+
+  const distanceMeters = haversineDistance(
+    previous.latitude,
+    previous.longitude,
+    fix.latitude,
+    fix.longitude,
+  );
+  // Two fixes a few meters apart a second apart are GPS noise, not a fast bus
+  const travelledMeters = Math.max(0, distanceMeters - LOCATION.GPS_JITTER_METERS);
+  const impliedSpeedKmh = (travelledMeters / elapsedSeconds) * 3.6;
+
+  if (impliedSpeedKmh > LOCATION.MAX_SPEED_KMH) {
+    throw new AppError(HTTP_STATUS.UNPROCESSABLE_ENTITY, MESSAGES.LOCATION_IMPLAUSIBLE_SPEED, {
+      impliedSpeedKmh: Math.round(impliedSpeedKmh),
+      maxSpeedKmh: LOCATION.MAX_SPEED_KMH,
+      distanceMeters: Math.round(distanceMeters),
+      elapsedSeconds,
+    });
+  }
+
+  if (elapsedSeconds > LOCATION.UPDATE_INTERVAL_SECONDS * LOCATION.GAP_INTERVALS) {
+    flags.push(FLAGS.AFTER_GAP);
+  }
+
+  return {
+    flags,
+    distanceMeters,
+    elapsedSeconds,
+    impliedSpeedKmh,
+  };
+};
+
+module.exports = {
+  FLAGS,
+  checkPlausibility,
+};
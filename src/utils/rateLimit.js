@@ -0,0 +1,101 @@
+/**
+ * Per-client request throttling for HTTP handlers
+ */
+
+const crypto = require('crypto');
+const rateLimitService = require('../services/rateLimitService');
+const { errorResponse, withHeaders } = require('./response');
+const { getPrincipal } = require('./auth');
+const logger = require('./logger');
+const { HTTP_STATUS, MESSAGES } = require('../config/constants');
+
+/**
+ * Identify the caller: its API key, else the subject of its token, else its source IP.
+ * Only a key API Gateway has checked counts; an X-Api-Key header alone could be changed on
+ * every request to dodge the limit.
+ * @param {Object} event - Lambda event object
+ * @returns {string} Client key
+ */
+const getClientKey = (event) => {
+  const apiKey = event.requestContext?.identity?.apiKey;
+  if (apiKey) {
+    // API keys are credentials, so only a digest is stored in Redis
+    return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
+  }
+
+  try {
+    const { sub, role } = getPrincipal(event);
+    if (sub) {
+      return `${role}:${sub}`;
+    }
+  } catch (error) {
+    // An invalid token is rejected by withAuth; until then the caller is known by its IP
+  }
+
+  return `ip:${event.requestContext?.identity?.sourceIp || 'unknown'}`;
+};
+
+/**
+ * Name the endpoint a request is for, so each route has its own budget, and each bus too
+ * when the budget is per bus
+ * @param {Object} event - Lambda event object
+ * @param {Object} context - Lambda context
+ * @param {Object} budget - Budget from RATE_LIMIT
+ * @returns {string} Endpoint key
+ */
+const getEndpointKey = (event, context, budget) => {
+  const endpoint = event.resource
+    ? `${event.httpMethod || 'ANY'} ${event.resource}`
+    : context?.functionName || 'default';
+  const busId = budget.PER_BUS && event.pathParameters?.busId;
+
+  return busId ? `${endpoint}:${busId}` : endpoint;
+};
+
+/**
+ * Wrap a handler so each client may only call it `budget.LIMIT` times per window, for each
+ * bus when `budget.PER_BUS` is set.
+ * Throttled calls get a 429 with Retry-After; every response reports the budget in
+ * X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (seconds). When Redis is
+ * unreachable requests are let through rather than failed.
+ * @param {Object} budget - Budget from RATE_LIMIT
+ * @param {Function} handler - Lambda handler
+ * @returns {Function} Wrapped Lambda handler
+ */
+const withRateLimit = (budget, handler) => async (event, context) => {
+  const client = getClientKey(event);
+
+  let usage;
+  try {
+    const key = `${getEndpointKey(event, context, budget)}:${client}`;
+    usage = await rateLimitService.consume(key, budget);
+  } catch (error) {
+    logger.warn('Rate limiter unavailable, request not counted:', error.message);
+    return handler(event, context);
+  }
+
+  const headers = {
+    'X-RateLimit-Limit': String(usage.limit),
+    'X-RateLimit-Remaining': String(usage.remaining),
+    'X-RateLimit-Reset': String(usage.resetSeconds),
+  };
+
+  if (!usage.allowed) {
+    logger.warn('Request rate limited', { client });
+    return withHeaders(
+      errorResponse(HTTP_STATUS.TOO_MANY_REQUESTS, MESSAGES.RATE_LIMITED, {
+        retryAfterSeconds: usage.resetSeconds,
+      }),
+      { ...headers, 'Retry-After': String(usage.resetSeconds) },
+    );
+  }
+
+  const response = await handler(event, context);
+
+  return response?.statusCode ? withHeaders(response, headers) : response;
+};
+
+module.exports = {
+  getClientKey,
+  withRateLimit,
+};
@@ -1,28 +1,45 @@
 /**
- * Utility functions for creating consistent HTTP responses
+ * Utility functions for creating consistent HTTP responses.
+ * CORS, content negotiation, ETags and compression depend on the request and are applied
+ * afterwards by withHttpResponse in src/utils/http.js.
  */
 
+const { MEDIA_TYPES } = require('../config/constants');
+
+const SECURITY_HEADERS = {
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer',
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+};
+
+/**
+ * Headers every response carries
+ * @param {string} contentType - Content-Type of the body
+ * @returns {Object} Headers
+ */
+const baseHeaders = (contentType) => ({
+  'Content-Type': contentType,
+  ...SECURITY_HEADERS,
+});
+
 /**
  * Create a success response
  * @param {Object} data - Response data
  * @param {number} statusCode - HTTP status code (default: 200)
- * @returns {Object} Lambda response object
+ * @returns {Object} Lambda response object. The data is kept on a non-enumerable `payload`
+ *   property so serializers and ETags can work from it without parsing the body.
  */
-const successResponse = (data, statusCode = 200) => ({
+const successResponse = (data, statusCode = 200) => Object.defineProperty({
   statusCode,
-  headers: {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Credentials': true,
-    'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-  },
+  headers: baseHeaders(MEDIA_TYPES.JSON),
   body: JSON.stringify({
     success: true,
     timestamp: new Date().toISOString(),
     ...data,
   }),
-});
+}, 'payload', { value: data });
 
 /**
  * Create an error response
@@ -33,13 +50,7 @@ const successResponse = (data, statusCode = 200) => ({
  */
 const errorResponse = (statusCode, message, details = null) => ({
   statusCode,
-  headers: {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Credentials': true,
-    'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-  },
+  headers: baseHeaders(MEDIA_TYPES.JSON),
   body: JSON.stringify({
     success: false,
     timestamp: new Date().toISOString(),
@@ -51,7 +62,34 @@ const errorResponse = (statusCode, message, details = null) => ({
   }),
 });
 
+/**
+ * Create a response whose body is not the JSON envelope, such as a protobuf feed
+ * @param {string|Buffer} body - Body text, or binary content to send base64-encoded
+ * @param {string} contentType - Content-Type of the body
+ * @param {number} statusCode - HTTP status code (default: 200)
+ * @returns {Object} Lambda response object
+ */
+const rawResponse = (body, contentType, statusCode = 200) => ({
+  statusCode,
+  headers: baseHeaders(contentType),
+  body: Buffer.isBuffer(body) ? body.toString('base64') : body,
+  isBase64Encoded: Buffer.isBuffer(body),
+});
+
+/**
+ * Add headers to a response, keeping the payload of a success response
+ * @param {Object} response - Lambda response object
+ * @param {Object} headers - Headers to add
+ * @returns {Object} Lambda response object
+ */
+const withHeaders = (response, headers) => Object.defineProperty({
+  ...response,
+  headers: { ...response.headers, ...headers },
+}, 'payload', { value: response.payload });
+
 module.exports = {
   successResponse,
   errorResponse,
+  rawResponse,
+  withHeaders,
 };
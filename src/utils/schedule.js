@@ -0,0 +1,120 @@
+/**
+ * Parsing helpers for route schedule and frequency strings
+ */
+
+const TIME_WINDOW_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+const FREQUENCY_PATTERN = /^(\d+) (minute|minutes|hour|hours)$/;
+
+/**
+ * Parse a service window such as "06:00-22:00"
+ * @param {string} window - Window in HH:MM-HH:MM form
+ * @returns {Object|null} Start and end as minutes after midnight, or null if malformed.
+ *   An end before the start means the window runs past midnight.
+ */
+const parseTimeWindow = (window) => {
+  const match = TIME_WINDOW_PATTERN.exec(window);
+  if (!match) {
+    return null;
+  }
+
+  const [, startHours, startMinutes, endHours, endMinutes] = match.map(Number);
+  return {
+    start: startHours * 60 + startMinutes,
+    end: endHours * 60 + endMinutes,
+  };
+};
+
+/**
+ * Parse a headway such as "15 minutes" or "1 hour"
+ * @param {string} frequency - Frequency string
+ * @returns {number|null} Minutes between departures, or null if malformed
+ */
+const parseFrequencyMinutes = (frequency) => {
+  const match = FREQUENCY_PATTERN.exec(frequency);
+  if (!match) {
+    return null;
+  }
+
+  const value = Number(match[1]);
+  return match[2].startsWith('hour') ? value * 60 : value;
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the local day of week and time of day of an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} day (0 = Sunday) and minutes after local midnight
+ */
+const localTime = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+const dayTypeOf = (day) => (day === 0 || day === 6 ? 'weekends' : 'weekdays');
+
+/**
+ * Get the service window that applies on a day of the week
+ * @param {Object} schedule - Route schedule with weekdays and optional weekends windows
+ * @param {number} day - Day of week, 0 = Sunday
+ * @returns {Object|null} Parsed window, or null when there is no service that day
+ */
+const windowForDay = (schedule, day) => {
+  const window = schedule[dayTypeOf(day)];
+  return window ? parseTimeWindow(window) : null;
+};
+
+/**
+ * Find the service window a route is running in.
+ * A window running past midnight belongs to the day it starts on, so 00:30 on Saturday
+ * is still in the weekdays window of "20:00-01:30".
+ * @param {Object} schedule - Route schedule with weekdays and optional weekends windows
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - IANA time zone the windows are expressed in
+ * @returns {string|null} 'weekdays' or 'weekends', or null outside service
+ */
+const serviceDayType = (schedule, date, timeZone) => {
+  if (!schedule) {
+    return null;
+  }
+
+  const { day, minutes } = localTime(date, timeZone);
+  const yesterdayDay = (day + 6) % 7;
+  const today = windowForDay(schedule, day);
+  const yesterday = windowForDay(schedule, yesterdayDay);
+
+  if (today && minutes >= today.start && (today.end < today.start || minutes < today.end)) {
+    return dayTypeOf(day);
+  }
+  if (yesterday && yesterday.end < yesterday.start && minutes < yesterday.end) {
+    return dayTypeOf(yesterdayDay);
+  }
+  return null;
+};
+
+/**
+ * Check whether a route is within its service window
+ * @param {Object} schedule - Route schedule with weekdays and optional weekends windows
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - IANA time zone the windows are expressed in
+ * @returns {boolean} True while buses are scheduled to run
+ */
+const isInService = (schedule, date, timeZone) => serviceDayType(schedule, date, timeZone) !== null;
+
+module.exports = {
+  parseTimeWindow,
+  parseFrequencyMinutes,
+  serviceDayType,
+  isInService,
+};
@@ -0,0 +1,207 @@
+/**
+ * Virtual buses for the fleet simulator: movement along a route's stops with dwell times,
+ * and the GPS fixes they would report, optionally with noise and dropouts
+ */
+
+const { EARTH_RADIUS_METERS, haversineDistance, initialBearing } = require('./geo');
+const { SIMULATION } = require('../config/constants');
+
+const METERS_PER_DEGREE = (Math.PI * EARTH_RADIUS_METERS) / 180;
+
+const between = (random, min, max) => min + random() * (max - min);
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Stops the bus is travelling between
+ * @param {Object} bus - Virtual bus
+ * @returns {Object[]} Stop left and stop approached, each with latitude and longitude
+ */
+const currentLeg = (bus) => [bus.stops[bus.stopIndex], bus.stops[bus.stopIndex + bus.direction]];
+
+const legLength = ([from, to]) => haversineDistance(
+  from.latitude,
+  from.longitude,
+  to.latitude,
+  to.longitude,
+);
+
+/**
+ * Pick the speed for the next leg around the bus's cruising speed
+ * @param {Object} bus - Virtual bus
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {number} Speed in km/h
+ */
+const legSpeed = (bus, random) => bus.cruiseSpeedKmh
+  * between(random, 1 - SIMULATION.SPEED_JITTER, 1 + SIMULATION.SPEED_JITTER);
+
+/**
+ * Put a bus on a route at a random point, heading a random way
+ * @param {string} busId - Bus ID
+ * @param {Object} route - Route item with at least two stops
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {Object} Virtual bus
+ */
+const createVirtualBus = (busId, route, random = Math.random) => {
+  const stops = route.stops.map(({ coordinates: [latitude, longitude] }) => ({
+    latitude,
+    longitude,
+  }));
+  const direction = random() < 0.5 ? 1 : -1;
+  const legs = stops.length - 1;
+  const stopIndex = Math.floor(random() * legs) + (direction === 1 ? 0 : 1);
+
+  const bus = {
+    busId,
+    routeId: route.RouteID,
+    stops,
+    stopIndex,
+    direction,
+    cruiseSpeedKmh: between(random, SIMULATION.MIN_SPEED_KMH, SIMULATION.MAX_SPEED_KMH),
+    dwellSeconds: 0,
+    dropoutIntervals: 0,
+  };
+
+  return {
+    ...bus,
+    speedKmh: legSpeed(bus, random),
+    traveledMeters: random() * legLength(currentLeg(bus)),
+  };
+};
+
+/**
+ * Stop the bus at the stop it was approaching and start its dwell there, turning it
+ * round with a layover at either end of the route
+ * @param {Object} bus - Virtual bus
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {Object} Virtual bus
+ */
+const arriveAtStop = (bus, random) => {
+  const stopIndex = bus.stopIndex + bus.direction;
+  const atTerminal = stopIndex === 0 || stopIndex === bus.stops.length - 1;
+  const dwellSeconds = between(random, SIMULATION.MIN_DWELL_SECONDS, SIMULATION.MAX_DWELL_SECONDS)
+    + (atTerminal ? SIMULATION.LAYOVER_SECONDS : 0);
+
+  return {
+    ...bus,
+    stopIndex,
+    direction: atTerminal ? -bus.direction : bus.direction,
+    traveledMeters: 0,
+    dwellSeconds,
+    speedKmh: legSpeed(bus, random),
+  };
+};
+
+/**
+ * Move a bus forward in time, dwelling at and leaving stops as it reaches them
+ * @param {Object} bus - Virtual bus
+ * @param {number} seconds - Time elapsed
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {Object} Virtual bus
+ */
+const advanceBus = (bus, seconds, random = Math.random) => {
+  let state = bus;
+  let remaining = seconds;
+
+  while (remaining > 0) {
+    if (state.dwellSeconds > 0) {
+      const waited = Math.min(remaining, state.dwellSeconds);
+      state = { ...state, dwellSeconds: state.dwellSeconds - waited };
+      remaining -= waited;
+    } else {
+      const metersPerSecond = state.speedKmh / 3.6;
+      const secondsToStop = (legLength(currentLeg(state)) - state.traveledMeters) / metersPerSecond;
+
+      if (secondsToStop > remaining) {
+        state = { ...state, traveledMeters: state.traveledMeters + metersPerSecond * remaining };
+        remaining = 0;
+      } else {
+        state = arriveAtStop(state, random);
+        remaining -= Math.max(0, secondsToStop);
+      }
+    }
+  }
+
+  return state;
+};
+
+/**
+ * Where the bus is now
+ * @param {Object} bus - Virtual bus
+ * @returns {Object} latitude, longitude and heading towards the next stop
+ */
+const busPosition = (bus) => {
+  const [from, to] = currentLeg(bus);
+  const length = legLength([from, to]);
+  const fraction = length === 0 ? 0 : Math.min(1, bus.traveledMeters / length);
+
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+    longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+    heading: initialBearing(from.latitude, from.longitude, to.latitude, to.longitude),
+  };
+};
+
+/**
+ * Displace a point by up to a given distance in a random direction
+ * @param {Object} point - Point with latitude and longitude
+ * @param {number} meters - Largest displacement
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {Object} Displaced point
+ */
+const addNoise = (point, meters, random) => {
+  const angle = random() * 2 * Math.PI;
+  // The square root spreads points evenly over the disc instead of bunching them at the centre
+  const distance = meters * Math.sqrt(random());
+
+  return {
+    ...point,
+    latitude: point.latitude + (distance * Math.cos(angle)) / METERS_PER_DEGREE,
+    longitude: point.longitude + (distance * Math.sin(angle))
+      / (METERS_PER_DEGREE * Math.cos((point.latitude * Math.PI) / 180)),
+  };
+};
+
+/**
+ * Produce the fix the bus's GPS would report now. A bus may lose its signal for a few
+ * update intervals at a time, in which case no fix is reported.
+ * @param {Object} bus - Virtual bus
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} options - GPS imperfections
+ * @param {number} [options.noiseMeters] - Largest position error
+ * @param {number} [options.dropoutRate] - Chance per interval that an outage starts
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {Object} The bus, with its outage state updated, and the fix or null
+ */
+const reportFix = (bus, now, { noiseMeters = 0, dropoutRate = 0 } = {}, random = Math.random) => {
+  if (bus.dropoutIntervals > 0) {
+    return { bus: { ...bus, dropoutIntervals: bus.dropoutIntervals - 1 }, fix: null };
+  }
+
+  if (dropoutRate > 0 && random() < dropoutRate) {
+    const intervals = Math.ceil(random() * SIMULATION.MAX_DROPOUT_INTERVALS);
+    return { bus: { ...bus, dropoutIntervals: intervals - 1 }, fix: null };
+  }
+
+  const position = noiseMeters > 0
+    ? addNoise(busPosition(bus), noiseMeters, random)
+    : busPosition(bus);
+
+  return {
+    bus,
+    fix: {
+      latitude: round(position.latitude, 6),
+      longitude: round(position.longitude, 6),
+      speed: bus.dwellSeconds > 0 ? 0 : round(bus.speedKmh, 1),
+      heading: round(position.heading, 1) % 360,
+      timestamp: new Date(now).toISOString(),
+    },
+  };
+};
+
+module.exports = {
+  createVirtualBus,
+  advanceBus,
+  busPosition,
+  reportFix,
+};
@@ -0,0 +1,36 @@
+/**
+ * DynamoDB stream batch processing
+ */
+
+/**
+ * Process stream records one after another, stopping at the first one that fails.
+ * Lambda retries a batch from its lowest failed sequence number, so the failed record and
+ * every record after it are reported instead of being applied now and again, out of order,
+ * on the retry.
+ * @param {Object[]} records - DynamoDB stream records
+ * @param {Function} processRecord - Async function handling one record; throws when it fails
+ * @returns {Object[]} Batch item failures for the partial batch response
+ */
+const processInOrder = async (records, processRecord) => {
+  const failedAt = await records.reduce(async (previous, record, index) => {
+    const failed = await previous;
+    if (failed !== null) {
+      return failed;
+    }
+
+    try {
+      await processRecord(record);
+      return null;
+    } catch (error) {
+      return index;
+    }
+  }, Promise.resolve(null));
+
+  return failedAt === null ? [] : records
+    .slice(failedAt)
+    .map((record) => ({ itemIdentifier: record.dynamodb?.SequenceNumber }));
+};
+
+module.exports = {
+  processInOrder,
+};
@@ -0,0 +1,82 @@
+/**
+ * Declarative request validation for Lambda handlers
+ */
+
+const { errorResponse } = require('./response');
+const { HTTP_STATUS, MESSAGES } = require('../config/constants');
+
+// JSON bodies carry real types; path and query values are strings and need coercion
+const PARTS = {
+  pathParameters: { convert: true },
+  queryStringParameters: { convert: true },
+  body: { convert: false },
+};
+
+/**
+ * Flatten a Joi validation error into the details returned to clients
+ * @param {Object} error - Joi ValidationError
+ * @param {string} prefix - Field prefix naming the part of the request that was validated
+ * @returns {Object[]} Details with field, message and type
+ */
+const toDetails = (error, prefix) => error.details.map((detail) => ({
+  field: [prefix, ...detail.path].join('.'),
+  message: detail.message,
+  type: detail.type,
+}));
+
+/**
+ * Wrap a handler so the event is validated against Joi schemas before it runs.
+ * Validated values replace the raw ones on the event and the body is passed parsed.
+ * @param {Object} schema - Joi schemas keyed by pathParameters, queryStringParameters, body
+ * @param {Function} handler - Lambda handler
+ * @returns {Function} Wrapped Lambda handler
+ */
+const withValidation = (schema, handler) => async (event, context) => {
+  const input = {
+    pathParameters: event.pathParameters || {},
+    queryStringParameters: event.queryStringParameters || {},
+    body: event.body,
+  };
+
+  if (schema.body) {
+    try {
+      input.body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : event.body || {};
+    } catch (parseError) {
+      return errorResponse(HTTP_STATUS.BAD_REQUEST, MESSAGES.INVALID_JSON);
+    }
+  }
+
+  const details = [];
+  const validated = {};
+
+  Object.entries(PARTS).forEach(([part, options]) => {
+    if (!schema[part]) {
+      validated[part] = event[part];
+      return;
+    }
+
+    const { value, error } = schema[part].validate(input[part], {
+      ...options,
+      abortEarly: false,
+      allowUnknown: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      details.push(...toDetails(error, part));
+    }
+
+    validated[part] = value;
+  });
+
+  if (details.length > 0) {
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, MESSAGES.VALIDATION_FAILED, details);
+  }
+
+  return handler({ ...event, ...validated }, context);
+};
+
+module.exports = {
+  toDetails,
+  withValidation,
+};
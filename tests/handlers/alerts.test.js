@@ -0,0 +1,200 @@
+const AWSMock = require('aws-sdk-mock');
+const handlers = require('../../src/handlers/alerts');
+const { asOperator } = require('../helpers/auth');
+const { getRedisClient } = require('../../src/services/redis');
+
+const { getAlerts } = handlers;
+
+// Publishing and withdrawing alerts is operator-only
+const createAlert = (body) => handlers.createAlert(asOperator({ body: JSON.stringify(body) }));
+const deleteAlert = (alertId) => handlers.deleteAlert(asOperator({
+  pathParameters: { alertId },
+}));
+
+const route = {
+  RouteID: 'route-001',
+  stops: [
+    { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+    { id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851] },
+  ],
+};
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600 * 1000).toISOString();
+
+describe('Alerts Handler', () => {
+  let table;
+
+  const ids = (result) => JSON.parse(result.body).data.map((alert) => alert.AlertID);
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+    table = {};
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      callback(null, { Item: params.Key.RouteID === route.RouteID ? route : undefined });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+      table[params.Item.AlertID] = params.Item;
+      callback(null, {});
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+      callback(null, { Items: Object.values(table) });
+    });
+
+    AWSMock.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+      if (!table[params.Key.AlertID]) {
+        callback(Object.assign(new Error('The conditional request failed'), {
+          code: 'ConditionalCheckFailedException',
+        }));
+        return;
+      }
+      delete table[params.Key.AlertID];
+      callback(null, {});
+    });
+  });
+
+  describe('createAlert', () => {
+    it('should store an alert with its window and expire it through TTL', async () => {
+      const activeUntil = hoursFromNow(48);
+
+      const result = await createAlert({
+        scope: 'stop',
+        route_id: 'route-001',
+        stop_id: 'stop-002',
+        severity: 'warning',
+        activeUntil,
+        messages: { en: 'Stop closed', es: 'Parada cerrada' },
+      });
+
+      expect(result.statusCode).toBe(201);
+
+      const { data } = JSON.parse(result.body);
+      expect(data.AlertID).toMatch(/^alert-/);
+      expect(table[data.AlertID]).toMatchObject({
+        scope: 'stop',
+        stop_id: 'stop-002',
+        activeUntil,
+        ttl: Math.ceil(Date.parse(activeUntil) / 1000),
+        messages: { en: 'Stop closed', es: 'Parada cerrada' },
+      });
+      expect(Date.parse(data.activeFrom)).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should only let operators publish alerts', async () => {
+      const result = await handlers.createAlert({
+        body: JSON.stringify({ scope: 'network', severity: 'info', messages: { en: 'Hello' } }),
+      });
+
+      expect(result.statusCode).toBe(401);
+      expect(table).toEqual({});
+    });
+
+    it('should validate scope, languages and the active window', async () => {
+      const result = await createAlert({
+        scope: 'network',
+        route_id: 'route-001',
+        severity: 'urgent',
+        activeUntil: hoursFromNow(-1),
+        messages: { English: 'Delays' },
+      });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.details.map((detail) => detail.field)).toEqual([
+        'body.route_id',
+        'body.severity',
+        'body.activeUntil',
+        'body.messages.English',
+      ]);
+    });
+
+    it('should reject alerts for a stop that is not on the route', async () => {
+      const result = await createAlert({
+        scope: 'stop',
+        route_id: 'route-001',
+        stop_id: 'stop-999',
+        severity: 'info',
+        messages: { en: 'Stop moved' },
+      });
+
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body).error.message).toBe('Stop not found on this route');
+    });
+  });
+
+  describe('getAlerts', () => {
+    beforeEach(() => {
+      const alert = (AlertID, attributes) => ({
+        AlertID,
+        severity: 'info',
+        activeFrom: hoursFromNow(-1),
+        messages: { en: AlertID },
+        ...attributes,
+      });
+
+      [
+        alert('strike', { scope: 'network', severity: 'severe' }),
+        alert('detour', { scope: 'route', route_id: 'route-001', severity: 'warning' }),
+        alert('closed', { scope: 'stop', route_id: 'route-001', stop_id: 'stop-002' }),
+        alert('shelter', { scope: 'stop', route_id: 'route-001', stop_id: 'stop-001' }),
+        alert('airport', { scope: 'route', route_id: 'route-002' }),
+        alert('expired', { scope: 'network', activeUntil: hoursFromNow(-0.5) }),
+        alert('upcoming', { scope: 'network', activeFrom: hoursFromNow(2) }),
+      ].forEach((item) => { table[item.AlertID] = item; });
+    });
+
+    it('should list active alerts, most severe first', async () => {
+      const result = await getAlerts({});
+
+      expect(result.statusCode).toBe(200);
+      expect(ids(result)).toEqual(['strike', 'detour', 'closed', 'shelter', 'airport']);
+    });
+
+    it('should narrow alerts to a route and one of its stops', async () => {
+      const result = await getAlerts({
+        queryStringParameters: { routeId: 'route-001', stopId: 'stop-002' },
+      });
+
+      expect(ids(result)).toEqual(['strike', 'detour', 'closed']);
+    });
+
+    it('should include alerts that have not started on request', async () => {
+      const result = await getAlerts({ queryStringParameters: { includeUpcoming: 'true' } });
+
+      expect(ids(result)).toContain('upcoming');
+      expect(ids(result)).not.toContain('expired');
+    });
+
+    it('should show a new alert despite the cached list', async () => {
+      await getAlerts({});
+
+      const created = await createAlert({
+        scope: 'network', severity: 'severe', messages: { en: 'Storm warning' },
+      });
+      const { AlertID } = JSON.parse(created.body).data;
+
+      expect(ids(await getAlerts({}))).toContain(AlertID);
+    });
+  });
+
+  describe('deleteAlert', () => {
+    it('should withdraw an alert', async () => {
+      table['alert-1'] = {
+        AlertID: 'alert-1', scope: 'network', severity: 'info', activeFrom: hoursFromNow(-1),
+      };
+      await getAlerts({});
+
+      const result = await deleteAlert('alert-1');
+
+      expect(result.statusCode).toBe(200);
+      expect(ids(await getAlerts({}))).toEqual([]);
+    });
+
+    it('should return 404 for an unknown alert', async () => {
+      const result = await deleteAlert('alert-999');
+
+      expect(result.statusCode).toBe(404);
+    });
+  });
+});
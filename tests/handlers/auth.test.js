@@ -0,0 +1,39 @@
+const { authorize } = require('../../src/handlers/auth');
+const { signToken } = require('../../src/utils/auth');
+
+const methodArn = 'arn:aws:execute-api:us-east-1:123456789012:abc123/dev/PUT/buses/bus-001/location';
+
+describe('Auth Handler', () => {
+  describe('authorize', () => {
+    it('should allow a valid token and pass its role and bus binding as context', async () => {
+      const token = signToken({ sub: 'driver-001', role: 'driver', busId: 'bus-001' });
+
+      const result = await authorize({ authorizationToken: `Bearer ${token}`, methodArn });
+
+      expect(result.principalId).toBe('driver-001');
+      expect(result.policyDocument.Statement[0]).toMatchObject({
+        Effect: 'Allow',
+        Resource: 'arn:aws:execute-api:us-east-1:123456789012:abc123/dev/*/*',
+      });
+      expect(result.context).toEqual({ role: 'driver', busId: 'bus-001' });
+    });
+
+    it('should reject a missing token', async () => {
+      await expect(authorize({ methodArn })).rejects.toThrow('Unauthorized');
+    });
+
+    it('should reject an expired token', async () => {
+      const token = signToken({ sub: 'operator-001', role: 'operator' }, { expiresIn: -10 });
+
+      await expect(authorize({ authorizationToken: `Bearer ${token}`, methodArn }))
+        .rejects.toThrow('Unauthorized');
+    });
+
+    it('should reject a driver token that is not bound to a bus', async () => {
+      const token = signToken({ sub: 'driver-001', role: 'driver' });
+
+      await expect(authorize({ authorizationToken: `Bearer ${token}`, methodArn }))
+        .rejects.toThrow('Unauthorized');
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const AWSMock = require('aws-sdk-mock');
+const handlers = require('../../src/handlers/buses');
+const { getRedisClient } = require('../../src/services/redis');
+const { asOperator, asDriver } = require('../helpers/auth');
+const { applyUpdate } = require('../helpers/dynamodb');
+
+// Fleet management is operator-only, so every call below carries an operator token
+const asOperatorCall = (handler) => (event) => handler(asOperator(event));
+const getBuses = asOperatorCall(handlers.getBuses);
+const getBus = asOperatorCall(handlers.getBus);
+const createBus = asOperatorCall(handlers.createBus);
+const updateBus = asOperatorCall(handlers.updateBus);
+const deleteBus = asOperatorCall(handlers.deleteBus);
+const updateBusStatus = asOperatorCall(handlers.updateBusStatus);
+
+const conditionalCheckFailed = () => Object.assign(new Error('The conditional request failed'), {
+  code: 'ConditionalCheckFailedException',
+});
+
+const newBus = {
+  BusID: 'bus-010',
+  vehicle_number: 'BT-110',
+  capacity: 45,
+  type: 'standard',
+  route_id: 'route-001',
+  driver: { id: 'driver-010', name: 'Sam Lee', license: 'CDL-11111' },
+};
+
+describe('Buses Handler', () => {
+  let buses;
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+    buses = {
+      'bus-001': {
+        BusID: 'bus-001',
+        vehicle_number: 'BT-101',
+        capacity: 45,
+        type: 'standard',
+        route_id: 'route-001',
+        status: 'active',
+        createdAt: '2025-10-01T00:00:00.000Z',
+      },
+    };
+    const routes = { 'route-001': { RouteID: 'route-001' } };
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      const table = params.TableName === 'test-routes-table' ? routes : buses;
+      const key = params.Key.BusID || params.Key.RouteID;
+      callback(null, { Item: table[key] });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+      callback(null, { Items: Object.values(buses), Count: Object.keys(buses).length });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+      const exists = Boolean(buses[params.Item.BusID]);
+      if ((params.ConditionExpression === 'attribute_not_exists(BusID)' && exists)
+        || (params.ConditionExpression === 'attribute_exists(BusID)' && !exists)) {
+        callback(conditionalCheckFailed());
+        return;
+      }
+      buses[params.Item.BusID] = params.Item;
+      callback(null, {});
+    });
+
+    AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+      const bus = buses[params.Key.BusID];
+      if (!bus) {
+        callback(conditionalCheckFailed());
+        return;
+      }
+      callback(null, { Attributes: applyUpdate(bus, params) });
+    });
+
+    AWSMock.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+      if (!buses[params.Key.BusID]) {
+        callback(conditionalCheckFailed());
+        return;
+      }
+      delete buses[params.Key.BusID];
+      callback(null, {});
+    });
+  });
+
+  describe('authorization', () => {
+    it('should require a token', async () => {
+      const result = await handlers.getBus({ pathParameters: { busId: 'bus-001' } });
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error.message).toBe('Authentication required');
+    });
+
+    it('should forbid drivers from managing the fleet', async () => {
+      const result = await handlers.deleteBus(asDriver('bus-001', {
+        pathParameters: { busId: 'bus-001' },
+      }));
+
+      expect(result.statusCode).toBe(403);
+      expect(buses['bus-001']).toBeDefined();
+    });
+  });
+
+  describe('getBuses', () => {
+    it('should list buses', async () => {
+      const result = await getBuses({});
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).data.map((bus) => bus.BusID)).toEqual(['bus-001']);
+    });
+  });
+
+  describe('getBus', () => {
+    it('should return a bus', async () => {
+      const result = await getBus({ pathParameters: { busId: 'bus-001' } });
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).data.vehicle_number).toBe('BT-101');
+    });
+
+    it('should return 404 for an unknown bus', async () => {
+      const result = await getBus({ pathParameters: { busId: 'bus-999' } });
+
+      expect(result.statusCode).toBe(404);
+      expect(JSON.parse(result.body).error.message).toBe('Bus not found');
+    });
+  });
+
+  describe('createBus', () => {
+    it('should create an active bus', async () => {
+      const result = await createBus({ body: JSON.stringify(newBus) });
+
+      expect(result.statusCode).toBe(201);
+      expect(buses['bus-010']).toMatchObject({ vehicle_number: 'BT-110', status: 'active' });
+      expect(buses['bus-010'].createdAt).toEqual(expect.any(String));
+    });
+
+    it('should generate a BusID when none is given', async () => {
+      const { BusID, ...withoutId } = newBus;
+
+      const result = await createBus({ body: JSON.stringify(withoutId) });
+
+      expect(JSON.parse(result.body).data.BusID).toMatch(/^bus-[0-9a-f-]{36}$/);
+    });
+
+    it('should reject a bus assigned to an unknown route', async () => {
+      const result = await createBus({ body: JSON.stringify({ ...newBus, route_id: 'route-999' }) });
+
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body).error.message).toBe('Route not found');
+      expect(buses['bus-010']).toBeUndefined();
+    });
+
+    it('should reject a duplicate BusID', async () => {
+      const result = await createBus({ body: JSON.stringify({ ...newBus, BusID: 'bus-001' }) });
+
+      expect(result.statusCode).toBe(409);
+    });
+
+    it('should reject a bus without required fields', async () => {
+      const result = await createBus({ body: JSON.stringify({ type: 'standard' }) });
+
+      expect(result.statusCode).toBe(400);
+      const fields = JSON.parse(result.body).error.details.map((detail) => detail.field);
+      expect(fields).toEqual(['body.vehicle_number', 'body.capacity']);
+    });
+  });
+
+  describe('updateBus', () => {
+    it('should replace attributes but keep status and creation time', async () => {
+      const { BusID, ...attributes } = newBus;
+
+      const result = await updateBus({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ ...attributes, capacity: 60 }),
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(buses['bus-001']).toMatchObject({
+        capacity: 60,
+        status: 'active',
+        createdAt: '2025-10-01T00:00:00.000Z',
+      });
+    });
+
+    it('should keep the sequence number and geofence state and drop attributes left out', async () => {
+      Object.assign(buses['bus-001'], {
+        driver: { id: 'driver-001', name: 'Ana Ruiz', license: 'CDL-22222' },
+        last_seq: 41,
+        next_stop: 'stop-002',
+        at_stop: null,
+        off_route: false,
+        geofence_at: '2025-10-01T10:00:00.000Z',
+      });
+      const { BusID, driver, ...attributes } = newBus;
+
+      const result = await updateBus({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify(attributes),
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(buses['bus-001']).not.toHaveProperty('driver');
+      expect(buses['bus-001']).toMatchObject({
+        vehicle_number: 'BT-110',
+        last_seq: 41,
+        next_stop: 'stop-002',
+        geofence_at: '2025-10-01T10:00:00.000Z',
+      });
+    });
+
+    it('should return 404 for an unknown bus', async () => {
+      const { BusID, ...attributes } = newBus;
+
+      const result = await updateBus({
+        pathParameters: { busId: 'bus-999' },
+        body: JSON.stringify(attributes),
+      });
+
+      expect(result.statusCode).toBe(404);
+    });
+  });
+
+  describe('deleteBus', () => {
+    it('should delete a bus', async () => {
+      const result = await deleteBus({ pathParameters: { busId: 'bus-001' } });
+
+      expect(result.statusCode).toBe(200);
+      expect(buses['bus-001']).toBeUndefined();
+    });
+
+    it('should return 404 for an unknown bus', async () => {
+      const result = await deleteBus({ pathParameters: { busId: 'bus-999' } });
+
+      expect(result.statusCode).toBe(404);
+    });
+  });
+
+  describe('updateBusStatus', () => {
+    it('should move a bus into maintenance', async () => {
+      const result = await updateBusStatus({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ status: 'maintenance' }),
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).data.status).toBe('maintenance');
+    });
+
+    it('should reject an unknown status', async () => {
+      const result = await updateBusStatus({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ status: 'scrapped' }),
+      });
+
+      expect(result.statusCode).toBe(400);
+    });
+
+    it('should return 404 for an unknown bus', async () => {
+      const result = await updateBusStatus({
+        pathParameters: { busId: 'bus-999' },
+        body: JSON.stringify({ status: 'retired' }),
+      });
+
+      expect(result.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { DynamoDB } = require('aws-sdk');
+const { invalidateCache } = require('../../src/handlers/cache');
+const cacheService = require('../../src/services/cacheService');
+const { getRedisClient } = require('../../src/services/redis');
+
+const streamArn = (table) => `arn:aws:dynamodb:us-east-1:123456789012:table/${table}/stream/2025-10-01T00:00:00.000`;
+
+const streamRecord = (table, eventName, {
+  keys, oldImage, newImage, sequenceNumber = '100',
+}) => ({
+  eventName,
+  eventSourceARN: streamArn(table),
+  dynamodb: {
+    Keys: DynamoDB.Converter.marshall(keys),
+    ...(oldImage && { OldImage: DynamoDB.Converter.marshall(oldImage) }),
+    ...(newImage && { NewImage: DynamoDB.Converter.marshall(newImage) }),
+    SequenceNumber: sequenceNumber,
+  },
+});
+
+const fix = (overrides) => ({
+  BusID: 'bus-001',
+  timestamp: '2025-10-01T10:00:00.000Z',
+  route_id: 'route-001',
+  latitude: 40.7128,
+  longitude: -74.0060,
+  ...overrides,
+});
+
+describe('Cache Handler', () => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = getRedisClient();
+    await redis.flushall();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('invalidateCache', () => {
+    it('should return no failures for an empty event', async () => {
+      const result = await invalidateCache({ Records: [] });
+
+      expect(result).toEqual({ batchItemFailures: [] });
+    });
+
+    it('should keep the latest-location entry written for an inserted fix', async () => {
+      await cacheService.updateLocationCache('bus-001', fix());
+
+      await invalidateCache({
+        Records: [streamRecord('test-locations-table', 'INSERT', {
+          keys: { BusID: 'bus-001', timestamp: fix().timestamp },
+          newImage: fix(),
+        })],
+      });
+
+      expect(await redis.get('location:latest:bus-001')).not.toBeNull();
+    });
+
+    it('should drop a cached fix older than the inserted one', async () => {
+      await cacheService.updateLocationCache('bus-001', fix({ timestamp: '2025-10-01T09:59:00.000Z' }));
+
+      await invalidateCache({
+        Records: [streamRecord('test-locations-table', 'INSERT', {
+          keys: { BusID: 'bus-001', timestamp: fix().timestamp },
+          newImage: fix(),
+        })],
+      });
+
+      expect(await redis.get('location:latest:bus-001')).toBeNull();
+    });
+
+    it('should move the bus to its new route set when a fix on another route is inserted', async () => {
+      const moved = fix({ timestamp: '2025-10-01T10:01:00.000Z', route_id: 'route-002' });
+      await cacheService.updateLocationCache('bus-001', fix());
+      await cacheService.updateLocationCache('bus-001', moved, fix());
+
+      await invalidateCache({
+        Records: [streamRecord('test-locations-table', 'INSERT', {
+          keys: { BusID: 'bus-001', timestamp: moved.timestamp },
+          newImage: moved,
+        })],
+      });
+
+      expect(await redis.sismember('route:route-001:buses', 'bus-001')).toBe(0);
+      expect(await redis.sismember('route:route-002:buses', 'bus-001')).toBe(1);
+      expect(await redis.get('location:latest:bus-001')).not.toBeNull();
+    });
+
+    it('should drop the bus from the old route set when the write path missed the move', async () => {
+      const moved = fix({ timestamp: '2025-10-01T10:01:00.000Z', route_id: 'route-002' });
+      await cacheService.updateLocationCache('bus-001', fix());
+
+      await invalidateCache({
+        Records: [streamRecord('test-locations-table', 'INSERT', {
+          keys: { BusID: 'bus-001', timestamp: moved.timestamp },
+          newImage: moved,
+        })],
+      });
+
+      expect(await redis.sismember('route:route-001:buses', 'bus-001')).toBe(0);
+      expect(await redis.get('location:latest:bus-001')).toBeNull();
+    });
+
+    it('should clear the route detail and every cached list page on a route change', async () => {
+      await redis.set('route:route-001', '{}');
+      await redis.set('route:route-002', '{}');
+      await redis.set('routes:list:first:20', '{}');
+      await redis.sadd('routes:list:index', 'routes:list:first:20');
+
+      await invalidateCache({
+        Records: [streamRecord('test-routes-table', 'MODIFY', {
+          keys: { RouteID: 'route-001' },
+          oldImage: { RouteID: 'route-001', name: 'Old' },
+          newImage: { RouteID: 'route-001', name: 'New' },
+        })],
+      });
+
+      expect(await redis.exists('route:route-001', 'routes:list:first:20', 'routes:list:index')).toBe(0);
+      expect(await redis.exists('route:route-002')).toBe(1);
+    });
+
+    it('should stop at the first failed record and report it and every record after it', async () => {
+      const invalidateRoute = jest.spyOn(cacheService, 'invalidateRoute')
+        .mockRejectedValueOnce(new Error('Redis down'));
+      const routeRecord = (routeId, sequenceNumber) => streamRecord('test-routes-table', 'MODIFY', {
+        keys: { RouteID: routeId },
+        newImage: { RouteID: routeId },
+        sequenceNumber,
+      });
+
+      const result = await invalidateCache({
+        Records: [routeRecord('route-001', '101'), routeRecord('route-002', '102')],
+      });
+
+      expect(result.batchItemFailures).toEqual([{ itemIdentifier: '101' }, { itemIdentifier: '102' }]);
+      expect(invalidateRoute).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const AWSMock = require('aws-sdk-mock');
+const { getBusEta, getStopArrivals } = require('../../src/handlers/eta');
+const cacheService = require('../../src/services/cacheService');
+const { getRedisClient } = require('../../src/services/redis');
+
+const route = {
+  RouteID: 'route-001',
+  name: 'Downtown Express',
+  stops: [
+    { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+    { id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851] },
+    { id: 'stop-003', name: 'Shopping Center', coordinates: [40.7505, -73.9934] },
+  ],
+  frequency: '15 minutes',
+};
+
+// Halfway between Central Station and Business District
+const midway = { latitude: 40.73585, longitude: -73.99555 };
+
+describe('ETA Handler', () => {
+  let recentFixes;
+
+  const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+  const fix = (busId, speed, seconds, position = midway) => ({
+    BusID: busId,
+    route_id: 'route-001',
+    timestamp: secondsAgo(seconds),
+    speed,
+    heading: 20,
+    ...position,
+  });
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+    recentFixes = [];
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      const items = {
+        'test-buses-table': { 'bus-001': { BusID: 'bus-001', route_id: 'route-001' } },
+        'test-routes-table': { 'route-001': route },
+      };
+      const key = params.Key.BusID || params.Key.RouteID;
+      callback(null, { Item: items[params.TableName][key] });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+      const id = params.ExpressionAttributeValues[':id'];
+      const items = params.IndexName
+        ? recentFixes
+        : recentFixes.filter((item) => item.BusID === id);
+      callback(null, { Items: items, Count: items.length });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getBusEta', () => {
+    it('should project a moving bus onto the stop sequence at its observed speed', async () => {
+      recentFixes = [fix('bus-001', 28, 60), fix('bus-001', 32, 0)];
+      await cacheService.updateLocationCache('bus-001', recentFixes[1]);
+
+      const result = await getBusEta({ pathParameters: { busId: 'bus-001' } });
+
+      expect(result.statusCode).toBe(200);
+
+      const { data } = JSON.parse(result.body);
+      expect(data.basis).toBe('observed_speed');
+      expect(data.speedKmh).toBe(30);
+      expect(data.stops.map((stop) => stop.stopId)).toEqual(['stop-002', 'stop-003']);
+
+      // ~2.65 km at 30 km/h is a little over 5 minutes
+      expect(data.stops[0].etaSeconds).toBeGreaterThan(290);
+      expect(data.stops[0].etaSeconds).toBeLessThan(340);
+      expect(data.stops[1].etaSeconds).toBeGreaterThan(data.stops[0].etaSeconds);
+    });
+
+    it('should fall back to the route frequency when the bus is stopped', async () => {
+      recentFixes = [fix('bus-001', 0, 0)];
+      await cacheService.updateLocationCache('bus-001', recentFixes[0]);
+
+      const { data } = JSON.parse((await getBusEta({ pathParameters: { busId: 'bus-001' } })).body);
+
+      expect(data.basis).toBe('frequency');
+      expect(data.stops[0].etaSeconds).toBeGreaterThan(14 * 60);
+      expect(data.stops[0].etaSeconds).toBeLessThanOrEqual(15 * 60);
+    });
+
+    it('should keep later stops within reach of a stopped bus', async () => {
+      // ~25 m short of Business District, which is ~1.2 km before Shopping Center
+      recentFixes = [fix('bus-001', 0, 0, { latitude: 40.75867, longitude: -73.98520 })];
+      await cacheService.updateLocationCache('bus-001', recentFixes[0]);
+
+      const { data } = JSON.parse((await getBusEta({ pathParameters: { busId: 'bus-001' } })).body);
+      const [next, later] = data.stops.map((stop) => stop.etaSeconds);
+
+      expect(data.basis).toBe('frequency');
+      expect(next).toBeGreaterThan(14 * 60);
+      expect(next).toBeLessThanOrEqual(15 * 60);
+      // The last leg at cruise speed, not at the crawl that reaches the next stop in a headway
+      expect(later - next).toBeGreaterThan(60);
+      expect(later - next).toBeLessThan(5 * 60);
+    });
+
+    it('should return 404 for a bus without a recent fix', async () => {
+      await cacheService.updateLocationCache('bus-001', fix('bus-001', 30, 3600));
+
+      const result = await getBusEta({ pathParameters: { busId: 'bus-001' } });
+
+      expect(result.statusCode).toBe(404);
+      expect(JSON.parse(result.body).error.message).toBe('No recent location for this bus');
+    });
+
+    it('should return 404 for an unknown bus', async () => {
+      const result = await getBusEta({ pathParameters: { busId: 'bus-999' } });
+
+      expect(result.statusCode).toBe(404);
+      expect(JSON.parse(result.body).error.message).toBe('Bus not found');
+    });
+  });
+
+  describe('getStopArrivals', () => {
+    it('should list buses heading to the stop, soonest first', async () => {
+      const nearStation = { latitude: 40.7200, longitude: -74.0027 };
+      recentFixes = [
+        fix('bus-001', 30, 0),
+        fix('bus-002', 30, 0, nearStation),
+        // bus-003 has already passed Business District on its way to Shopping Center
+        fix('bus-003', 30, 0, { latitude: 40.7550, longitude: -73.9890 }),
+      ];
+      await Promise.all(
+        recentFixes.map((item) => cacheService.updateLocationCache(item.BusID, item)),
+      );
+
+      const result = await getStopArrivals({
+        pathParameters: { routeId: 'route-001', stopId: 'stop-002' },
+      });
+
+      expect(result.statusCode).toBe(200);
+
+      const { data } = JSON.parse(result.body);
+      expect(data.frequencyMinutes).toBe(15);
+      expect(data.arrivals.map((arrival) => arrival.busId)).toEqual(['bus-001', 'bus-002']);
+    });
+
+    it('should predict from each bus\'s latest fix, skipping stale buses and buses that left', async () => {
+      const nearStation = { latitude: 40.7200, longitude: -74.0027 };
+      const moved = { ...fix('bus-003', 30, 0), route_id: 'route-002' };
+      recentFixes = [
+        fix('bus-001', 30, 600, nearStation),
+        fix('bus-001', 30, 0),
+        fix('bus-002', 30, 3600),
+      ];
+      await cacheService.updateLocationCache('bus-001', recentFixes[1]);
+      await cacheService.updateLocationCache('bus-002', recentFixes[2]);
+      await cacheService.updateLocationCache('bus-003', fix('bus-003', 30, 60));
+      await cacheService.updateLocationCache('bus-003', moved, fix('bus-003', 30, 60));
+
+      const { data } = JSON.parse((await getStopArrivals({
+        pathParameters: { routeId: 'route-001', stopId: 'stop-002' },
+      })).body);
+
+      expect(data.arrivals).toHaveLength(1);
+      expect(data.arrivals[0]).toMatchObject({ busId: 'bus-001', basis: 'observed_speed' });
+      expect(data.arrivals[0].lastSeen).toBe(recentFixes[1].timestamp);
+    });
+
+    it('should find the buses on the route among the live fleet when Redis is down', async () => {
+      jest.spyOn(cacheService, 'getBusesOnRoute').mockRejectedValueOnce(new Error('Redis down'));
+      recentFixes = [fix('bus-001', 30, 0)];
+      await cacheService.updateLocationCache('bus-001', recentFixes[0]);
+      AWSMock.remock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback(null, { Items: [{ BusID: 'bus-001', route_id: 'route-001', status: 'active' }] });
+      });
+
+      const { data } = JSON.parse((await getStopArrivals({
+        pathParameters: { routeId: 'route-001', stopId: 'stop-002' },
+      })).body);
+
+      expect(data.arrivals.map((arrival) => arrival.busId)).toEqual(['bus-001']);
+    });
+
+    it('should return 404 for a stop that is not on the route', async () => {
+      const result = await getStopArrivals({
+        pathParameters: { routeId: 'route-001', stopId: 'stop-999' },
+      });
+
+      expect(result.statusCode).toBe(404);
+      expect(JSON.parse(result.body).error.message).toBe('Stop not found on this route');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const AWSMock = require('aws-sdk-mock');
+const { getFleetGeoJson } = require('../../src/handlers/fleet');
+const cacheService = require('../../src/services/cacheService');
+const { getRedisClient } = require('../../src/services/redis');
+
+const buses = [
+  {
+    BusID: 'bus-001', route_id: 'route-001', vehicle_number: 'BT-101', status: 'active',
+  },
+  { BusID: 'bus-002', status: 'active' },
+  { BusID: 'bus-003', route_id: 'route-001', status: 'active' },
+];
+
+describe('Fleet Handler', () => {
+  const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+
+    const fixes = [
+      {
+        BusID: 'bus-001',
+        route_id: 'route-001',
+        timestamp: secondsAgo(30),
+        latitude: 40.7359,
+        longitude: -73.9956,
+        speed: 36,
+        heading: 20,
+      },
+      {
+        BusID: 'bus-002', timestamp: secondsAgo(5), latitude: 40.6413, longitude: -73.7781, speed: 0,
+      },
+      // Not seen for an hour, so not part of the live fleet
+      {
+        BusID: 'bus-003', timestamp: secondsAgo(3600), latitude: 40.74, longitude: -73.99,
+      },
+    ];
+    await Promise.all(fixes.map((fix) => cacheService.updateLocationCache(fix.BusID, fix)));
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+      callback(null, { Items: buses });
+    });
+  });
+
+  describe('getFleetGeoJson', () => {
+    it('should return live buses as points in longitude, latitude order', async () => {
+      const result = await getFleetGeoJson({});
+
+      expect(result.statusCode).toBe(200);
+      expect(result.headers['Content-Type']).toBe('application/geo+json');
+
+      const body = JSON.parse(result.body);
+      expect(body.type).toBe('FeatureCollection');
+      expect(body.features).toHaveLength(2);
+      expect(body.features[0]).toEqual({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-73.9956, 40.7359] },
+        properties: {
+          busId: 'bus-001',
+          vehicleNumber: 'BT-101',
+          routeId: 'route-001',
+          speed: 36,
+          heading: 20,
+          timestamp: expect.any(String),
+          ageSeconds: expect.any(Number),
+        },
+      });
+      expect(body.features[0].properties.ageSeconds).toBeGreaterThanOrEqual(30);
+      expect(body.features[0].properties.ageSeconds).toBeLessThan(35);
+    });
+
+    it('should keep only buses inside the bounding box', async () => {
+      const result = await getFleetGeoJson({
+        queryStringParameters: { bbox: '-74.02,40.70,-73.97,40.76' },
+      });
+
+      const body = JSON.parse(result.body);
+      expect(body.features.map((entry) => entry.properties.busId)).toEqual(['bus-001']);
+    });
+
+    it.each([
+      ['has three numbers', '-74.02,40.70,-73.97'],
+      ['is not numeric', '-74.02,40.70,east,40.76'],
+      ['has min above max', '-73.97,40.70,-74.02,40.76'],
+      ['is out of range', '-74.02,-95,-73.97,40.76'],
+    ])('should reject a bbox that %s', async (_, bbox) => {
+      const result = await getFleetGeoJson({ queryStringParameters: { bbox } });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.details[0].field).toBe('queryStringParameters.bbox');
+    });
+  });
+});
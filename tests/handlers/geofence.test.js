@@ -0,0 +1,172 @@
+const AWSMock = require('aws-sdk-mock');
+const { DynamoDB } = require('aws-sdk');
+const { processGeofences } = require('../../src/handlers/geofence');
+const cacheService = require('../../src/services/cacheService');
+const { getRedisClient } = require('../../src/services/redis');
+
+const route = {
+  RouteID: 'route-001',
+  stops: [
+    { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+    {
+      id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851], radius: 60,
+    },
+    { id: 'stop-003', name: 'Shopping Center', coordinates: [40.7505, -73.9934] },
+  ],
+  frequency: '15 minutes',
+};
+
+const insert = (fix, sequenceNumber = fix.timestamp) => ({
+  eventName: 'INSERT',
+  dynamodb: {
+    NewImage: DynamoDB.Converter.marshall(fix),
+    SequenceNumber: sequenceNumber,
+  },
+});
+
+describe('Geofence Handler', () => {
+  let bus;
+  let events;
+  let minute;
+
+  const fixAt = (minuteOfHour, latitude, longitude) => ({
+    BusID: 'bus-001',
+    route_id: 'route-001',
+    timestamp: `2025-10-01T10:${String(minuteOfHour).padStart(2, '0')}:00.000Z`,
+    latitude,
+    longitude,
+  });
+
+  // Each fix is a minute after the previous one
+  const drive = async (latitude, longitude) => {
+    minute += 1;
+    return processGeofences({ Records: [insert(fixAt(minute, latitude, longitude))] });
+  };
+
+  const types = () => events.map((event) => `${event.type}:${event.stopId || ''}`);
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+    bus = { BusID: 'bus-001', route_id: 'route-001' };
+    events = [];
+    minute = 0;
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      const items = {
+        'test-buses-table': { 'bus-001': bus },
+        'test-routes-table': { 'route-001': route },
+      };
+      callback(null, { Item: items[params.TableName][params.Key.BusID || params.Key.RouteID] });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+      events.push(params.Item);
+      callback(null, {});
+    });
+
+    AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+      const values = params.ExpressionAttributeValues;
+      if (bus.geofence_at >= values[':timestamp']) {
+        callback(Object.assign(new Error('The conditional request failed'), {
+          code: 'ConditionalCheckFailedException',
+        }));
+        return;
+      }
+      bus = {
+        ...bus,
+        next_stop: values[':nextStop'],
+        at_stop: values[':atStop'],
+        off_route: values[':offRoute'],
+        geofence_at: values[':timestamp'],
+      };
+      callback(null, {});
+    });
+  });
+
+  it('should record arrival at and departure from a stop and advance next_stop', async () => {
+    await drive(40.7350, -73.9955); // between stop-001 and stop-002
+    expect(bus.next_stop).toBe('stop-002');
+
+    await drive(40.7592, -73.9853); // ~35 m from stop-002, inside its 60 m radius
+    expect(types()).toEqual(['ARRIVED_AT_STOP:stop-002']);
+    expect(bus).toMatchObject({ at_stop: 'stop-002', next_stop: 'stop-003' });
+
+    await drive(40.7595, -73.9855); // ~75 m away: outside the radius but within the exit margin
+    expect(events).toHaveLength(1);
+
+    await drive(40.7560, -73.9880); // on the way to stop-003
+    expect(types()).toEqual(['ARRIVED_AT_STOP:stop-002', 'DEPARTED_STOP:stop-002']);
+    expect(bus).toMatchObject({ at_stop: null, next_stop: 'stop-003' });
+  });
+
+  it('should store events keyed by bus and fix time with their route', async () => {
+    await drive(40.7589, -73.9851);
+
+    expect(events[0]).toMatchObject({
+      BusID: 'bus-001',
+      eventId: '2025-10-01T10:01:00.000Z#ARRIVED_AT_STOP',
+      type: 'ARRIVED_AT_STOP',
+      route_id: 'route-001',
+      stopId: 'stop-002',
+      distanceMeters: 0,
+    });
+    expect(events[0].ttl).toBeGreaterThan(Math.floor(Date.now() / 1000));
+  });
+
+  it('should flag a bus leaving the route corridor once', async () => {
+    await drive(40.7350, -73.9955);
+    await drive(40.7300, -73.9700); // ~2 km east of the route
+    await drive(40.7310, -73.9690);
+
+    expect(types()).toEqual(['OFF_ROUTE:']);
+    expect(events[0].offRouteMeters).toBeGreaterThan(150);
+    expect(bus).toMatchObject({ off_route: true, next_stop: 'stop-002' });
+
+    await drive(40.7400, -73.9930);
+    expect(bus.off_route).toBe(false);
+    expect(events).toHaveLength(1);
+  });
+
+  it('should evaluate fixes written together in time order whatever their stream order', async () => {
+    const result = await processGeofences({
+      Records: [
+        insert(fixAt(3, 40.7560, -73.9880), '103'), // on the way to stop-003
+        insert(fixAt(1, 40.7350, -73.9955), '101'), // between stop-001 and stop-002
+        insert(fixAt(2, 40.7592, -73.9853), '102'), // at stop-002
+      ],
+    });
+
+    expect(result).toEqual({ batchItemFailures: [] });
+    expect(types()).toEqual(['ARRIVED_AT_STOP:stop-002', 'DEPARTED_STOP:stop-002']);
+    expect(bus).toMatchObject({
+      at_stop: null, next_stop: 'stop-003', geofence_at: fixAt(3).timestamp,
+    });
+  });
+
+  it('should keep evaluating fixes that arrive after newer locations were stored', async () => {
+    await cacheService.updateLocationCache('bus-001', fixAt(30, 40.7128, -74.0060));
+
+    await processGeofences({ Records: [insert(fixAt(5, 40.7589, -73.9851))] });
+
+    expect(types()).toEqual(['ARRIVED_AT_STOP:stop-002']);
+  });
+
+  it('should skip fixes older than the geofence state of the bus', async () => {
+    bus.geofence_at = fixAt(30).timestamp;
+
+    const result = await processGeofences({ Records: [insert(fixAt(5, 40.7589, -73.9851))] });
+
+    expect(result).toEqual({ batchItemFailures: [] });
+    expect(events).toHaveLength(0);
+  });
+
+  it('should report records that fail', async () => {
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      callback(new Error('Throttled'));
+    });
+
+    const result = await drive(40.7589, -73.9851);
+
+    expect(result.batchItemFailures).toHaveLength(1);
+  });
+});
@@ -0,0 +1,197 @@
+const AWSMock = require('aws-sdk-mock');
+const { transit_realtime: gtfsRealtime } = require('gtfs-realtime-bindings');
+const { getVehiclePositions, getTripUpdates } = require('../../src/handlers/gtfsRealtime');
+const cacheService = require('../../src/services/cacheService');
+const routeService = require('../../src/services/routeService');
+const gtfsRealtimeService = require('../../src/services/gtfsRealtimeService');
+const { getRedisClient } = require('../../src/services/redis');
+
+const route = {
+  RouteID: 'route-001',
+  name: 'Downtown Express',
+  stops: [
+    { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+    { id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851] },
+    { id: 'stop-003', name: 'Shopping Center', coordinates: [40.7505, -73.9934] },
+  ],
+  // Around the clock, so a trip is always running
+  schedule: { weekdays: '05:00-04:59', weekends: '05:00-04:59' },
+  frequency: '15 minutes',
+};
+
+const buses = {
+  'bus-001': {
+    BusID: 'bus-001', route_id: 'route-001', vehicle_number: 'BT-101', status: 'active',
+  },
+  'bus-002': { BusID: 'bus-002', status: 'active' },
+  'bus-003': { BusID: 'bus-003', route_id: 'route-001', status: 'active' },
+};
+
+const decode = (result) => gtfsRealtime.FeedMessage.toObject(
+  gtfsRealtime.FeedMessage.decode(Buffer.from(result.body, 'base64')),
+  { enums: String, longs: Number },
+);
+
+describe('GTFS-Realtime Handler', () => {
+  let fixes;
+
+  const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+
+    fixes = [
+      {
+        BusID: 'bus-001',
+        route_id: 'route-001',
+        timestamp: secondsAgo(10),
+        latitude: 40.73585,
+        longitude: -73.99555,
+        speed: 36,
+        heading: 20,
+      },
+      {
+        BusID: 'bus-002', timestamp: secondsAgo(20), latitude: 40.7, longitude: -74, speed: 0,
+      },
+      // Not seen for an hour, so left out of both feeds
+      {
+        BusID: 'bus-003', route_id: 'route-001', timestamp: secondsAgo(3600), latitude: 40.7, longitude: -74,
+      },
+    ];
+    await Promise.all(fixes.map((fix) => cacheService.updateLocationCache(fix.BusID, fix)));
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+      callback(null, { Items: Object.values(buses) });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      const items = {
+        'test-buses-table': buses,
+        'test-routes-table': { 'route-001': route },
+      };
+      callback(null, { Item: items[params.TableName][params.Key.BusID || params.Key.RouteID] });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+      const id = params.ExpressionAttributeValues[':id'] || params.ExpressionAttributeValues[':busId'];
+      callback(null, { Items: fixes.filter((fix) => fix.BusID === id) });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getVehiclePositions', () => {
+    it('should encode the latest position of each recently seen active bus', async () => {
+      const result = await getVehiclePositions({});
+
+      expect(result.statusCode).toBe(200);
+      expect(result.headers['Content-Type']).toBe('application/x-protobuf');
+      expect(result.isBase64Encoded).toBe(true);
+
+      const feed = decode(result);
+      expect(feed.header).toMatchObject({ gtfsRealtimeVersion: '2.0', incrementality: 'FULL_DATASET' });
+      expect(feed.entity.map((entity) => entity.id)).toEqual(['vehicle-bus-001', 'vehicle-bus-002']);
+
+      const { vehicle } = feed.entity[0];
+      expect(vehicle.trip).toEqual({ routeId: 'route-001', scheduleRelationship: 'UNSCHEDULED' });
+      expect(vehicle.vehicle).toEqual({ id: 'bus-001', label: 'BT-101' });
+      expect(vehicle.position.latitude).toBeCloseTo(40.73585, 4);
+      expect(vehicle.position.bearing).toBe(20);
+      expect(vehicle.position.speed).toBeCloseTo(10, 4);
+      expect(vehicle.timestamp).toBe(Math.floor(Date.parse(fixes[0].timestamp) / 1000));
+      expect(feed.entity[1].vehicle.trip).toBeUndefined();
+    });
+
+    it('should return the same feed as JSON in debug mode', async () => {
+      const result = await getVehiclePositions({ queryStringParameters: { format: 'json' } });
+
+      expect(result.headers['Content-Type']).toBe('application/json');
+      expect(result.isBase64Encoded).toBe(false);
+
+      const feed = JSON.parse(result.body);
+      expect(feed.entity[0].vehicle.vehicle.id).toBe('bus-001');
+      expect(feed.header.incrementality).toBe('FULL_DATASET');
+    });
+
+    it('should reject an unknown format', async () => {
+      const result = await getVehiclePositions({ queryStringParameters: { format: 'xml' } });
+
+      expect(result.statusCode).toBe(400);
+    });
+  });
+
+  describe('getTripUpdates', () => {
+    it('should encode predicted arrivals for buses on a route', async () => {
+      const feed = decode(await getTripUpdates({}));
+
+      expect(feed.entity).toHaveLength(1);
+
+      const { tripUpdate } = feed.entity[0];
+      expect(feed.entity[0].id).toBe('trip-update-bus-001');
+      expect(tripUpdate.trip).toEqual({
+        tripId: expect.stringMatching(/^route-001-(weekdays|weekends)$/),
+        routeId: 'route-001',
+        scheduleRelationship: 'UNSCHEDULED',
+      });
+      expect(tripUpdate.stopTimeUpdate.map((update) => update.stopId))
+        .toEqual(['stop-002', 'stop-003']);
+      expect(tripUpdate.stopTimeUpdate[0].scheduleRelationship).toBe('UNSCHEDULED');
+      expect(tripUpdate.stopTimeUpdate[0].arrival.time)
+        .toBeGreaterThan(Math.floor(Date.now() / 1000));
+      expect(tripUpdate.stopTimeUpdate[1].arrival.time)
+        .toBeGreaterThan(tripUpdate.stopTimeUpdate[0].arrival.time);
+    });
+
+    it('should name the exported trip of the service day running', async () => {
+      // Saturday 02:00 UTC is still in Friday's overnight window
+      const saturdayNight = Date.parse('2025-10-04T02:00:00Z');
+      await cacheService.updateLocationCache('bus-001', {
+        ...fixes[0], timestamp: new Date(saturdayNight - 10000).toISOString(),
+      });
+
+      const feed = gtfsRealtimeService.feedToJson(
+        await gtfsRealtimeService.buildTripUpdates(saturdayNight),
+      );
+
+      expect(feed.entity[0].tripUpdate.trip.tripId).toBe('route-001-weekdays');
+    });
+
+    it('should leave out buses on routes with no exported trip running', async () => {
+      jest.spyOn(routeService, 'getRoute').mockResolvedValue({ ...route, schedule: undefined });
+
+      const feed = decode(await getTripUpdates({}));
+
+      expect(feed.entity || []).toHaveLength(0);
+    });
+
+    it('should keep predictions for a stopped bus within the next headway or so', async () => {
+      await cacheService.updateLocationCache('bus-001', { ...fixes[0], speed: 0 });
+
+      const feed = decode(await getTripUpdates({}));
+
+      const arrivals = feed.entity[0].tripUpdate.stopTimeUpdate
+        .map((update) => update.arrival.time);
+      expect(arrivals).toHaveLength(2);
+      expect(arrivals[1]).toBeLessThan(Math.floor(Date.now() / 1000) + 30 * 60);
+    });
+
+    it('should load each route once and predict from the fixes already loaded', async () => {
+      const getRoute = jest.spyOn(routeService, 'getRoute');
+      const queries = jest.fn();
+      AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        queries(params);
+        callback(null, { Items: [] });
+      });
+      await cacheService.updateLocationCache('bus-003', { ...fixes[2], timestamp: secondsAgo(5) });
+
+      const feed = decode(await getTripUpdates({}));
+
+      expect(feed.entity.map((entity) => entity.id))
+        .toEqual(['trip-update-bus-001', 'trip-update-bus-003']);
+      expect(getRoute).toHaveBeenCalledTimes(1);
+      expect(queries).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const AWSMock = require('aws-sdk-mock');
+const { ping } = require('../../src/handlers/health');
+const { getRedisClient } = require('../../src/services/redis');
+
+describe('Health Handler', () => {
+  let tableStatus;
+  let describeCalls;
+
+  beforeAll(() => {
+    AWSMock.mock('DynamoDB', 'describeTable', (params, callback) => {
+      describeCalls.push(params.TableName);
+      const status = tableStatus[params.TableName] || 'ACTIVE';
+      if (status instanceof Error) {
+        callback(status);
+        return;
+      }
+      callback(null, { Table: { TableName: params.TableName, TableStatus: status } });
+    });
+  });
+
+  beforeEach(() => {
+    tableStatus = {};
+    describeCalls = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report healthy when every table and Redis respond', async () => {
+    const result = await ping({});
+
+    expect(result.statusCode).toBe(200);
+
+    const { data } = JSON.parse(result.body);
+    expect(data.status).toBe('healthy');
+    expect(data.checks).toEqual({ database: 'ok', cache: 'ok', api: 'ok' });
+    expect(data.dependencies).toBeUndefined();
+    expect(describeCalls).toEqual(expect.arrayContaining([
+      'test-routes-table', 'test-buses-table', 'test-locations-table', 'test-alerts-table',
+    ]));
+  });
+
+  it('should list each probe with its latency when verbose', async () => {
+    const result = await ping({ queryStringParameters: { verbose: 'true' } });
+
+    const { dependencies } = JSON.parse(result.body).data;
+    expect(dependencies).toContainEqual(expect.objectContaining({
+      name: 'dynamodb:routes',
+      table: 'test-routes-table',
+      critical: true,
+      status: 'ok',
+      latencyMs: expect.any(Number),
+    }));
+    expect(dependencies).toContainEqual(expect.objectContaining({
+      name: 'redis', critical: false, status: 'ok',
+    }));
+  });
+
+  it('should be degraded but still 200 when Redis does not answer in time', async () => {
+    jest.spyOn(getRedisClient(), 'ping').mockImplementation(() => new Promise(() => {}));
+
+    const result = await ping({ queryStringParameters: { verbose: 'true' } });
+
+    expect(result.statusCode).toBe(200);
+
+    const body = JSON.parse(result.body);
+    expect(body.message).toBe('Service is degraded');
+    expect(body.data.checks.cache).toBe('error');
+    expect(body.data.dependencies).toContainEqual(expect.objectContaining({
+      name: 'redis', status: 'error', error: 'Timed out after 1000 ms',
+    }));
+  });
+
+  it('should be degraded when a non-critical table is unavailable', async () => {
+    tableStatus['test-events-table'] = 'DELETING';
+
+    const { data } = JSON.parse((await ping({})).body);
+
+    expect(data.status).toBe('degraded');
+    expect(data.checks.database).toBe('error');
+  });
+
+  it('should return 503 when a critical table is down', async () => {
+    tableStatus['test-locations-table'] = Object.assign(new Error('Requested resource not found'), {
+      code: 'ResourceNotFoundException',
+    });
+
+    const result = await ping({});
+
+    expect(result.statusCode).toBe(503);
+
+    const body = JSON.parse(result.body);
+    expect(body.success).toBe(false);
+    expect(body.error.details.status).toBe('unhealthy');
+  });
+});
@@ -1,7 +1,43 @@
-const { updateLocation } = require('../../src/handlers/location');
+const AWSMock = require('aws-sdk-mock');
+const handlers = require('../../src/handlers/location');
+const busHandlers = require('../../src/handlers/buses');
+const busService = require('../../src/services/busService');
+const cacheService = require('../../src/services/cacheService');
+const { asOperator, asDriver } = require('../helpers/auth');
+const { applyUpdate } = require('../helpers/dynamodb');
+
+const { getNearbyBuses } = handlers;
+
+// Updates and history need a driver or operator token; most tests use an operator
+const updateLocation = (event) => handlers.updateLocation(asOperator(event));
+const batchUpdateLocations = (event) => handlers.batchUpdateLocations(asOperator(event));
+const getBusLocations = (event) => handlers.getBusLocations(asOperator(event));
+const getRouteLocations = (event) => handlers.getRouteLocations(asOperator(event));
+const { getRedisClient } = require('../../src/services/redis');
 
 describe('Location Handler', () => {
   describe('updateLocation', () => {
+    let putRequests;
+
+    beforeEach(async () => {
+      putRequests = [];
+      await getRedisClient().flushall();
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        const buses = {
+          'bus-001': { BusID: 'bus-001', route_id: 'route-001' },
+          'bus-002': { BusID: 'bus-002', route_id: 'route-001' },
+          'bus-003': { BusID: 'bus-003', route_id: 'route-002' },
+        };
+        callback(null, { Item: buses[params.Key.BusID] });
+      });
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+        putRequests.push(params);
+        callback(null, {});
+      });
+    });
+
     it('should update location successfully with valid data', async () => {
       const event = {
         pathParameters: {
@@ -27,6 +63,129 @@ describe('Location Handler', () => {
       expect(body.data.location.longitude).toBe(-74.0060);
     });
 
+    it('should persist the location with the route looked up from the Buses table', async () => {
+      const event = {
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({
+          latitude: 40.7128,
+          longitude: -74.0060,
+          timestamp: '2025-10-01T10:00:00.000Z',
+          speed: 25,
+          heading: 90,
+        }),
+      };
+
+      const result = await updateLocation(event);
+
+      expect(result.statusCode).toBe(200);
+      expect(putRequests).toHaveLength(1);
+      expect(putRequests[0].TableName).toBe('test-locations-table');
+      expect(putRequests[0].Item).toMatchObject({
+        BusID: 'bus-001',
+        timestamp: '2025-10-01T10:00:00.000Z',
+        route_id: 'route-001',
+        speed: 25,
+        heading: 90,
+      });
+      expect(putRequests[0].Item.ttl).toBeGreaterThan(Math.floor(Date.now() / 1000));
+      expect(JSON.parse(result.body).data.routeId).toBe('route-001');
+    });
+
+    it('should mirror the latest fix into the Redis location cache', async () => {
+      const event = {
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: 40.7128, longitude: -74.0060 }),
+      };
+
+      await updateLocation(event);
+
+      const redis = getRedisClient();
+      const cached = JSON.parse(await redis.get('location:latest:bus-001'));
+      expect(cached.latitude).toBe(40.7128);
+      expect(await redis.ttl('location:latest:bus-001')).toBeGreaterThan(0);
+      expect(await redis.sismember('route:route-001:buses', 'bus-001')).toBe(1);
+    });
+
+    it('should return 404 when the bus does not exist', async () => {
+      const event = {
+        pathParameters: { busId: 'bus-999' },
+        body: JSON.stringify({ latitude: 40.7128, longitude: -74.0060 }),
+      };
+
+      const result = await updateLocation(event);
+
+      expect(result.statusCode).toBe(404);
+      expect(JSON.parse(result.body).error.message).toBe('Bus not found');
+      expect(putRequests).toHaveLength(0);
+    });
+
+    it('should reject a fix that implies an implausible jump from the previous fix', async () => {
+      const update = (latitude, longitude, timestamp) => updateLocation({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude, longitude, timestamp }),
+      });
+
+      await update(40.7128, -74.0060, '2025-10-01T10:00:00.000Z');
+      const result = await update(40.7589, -73.9851, '2025-10-01T10:00:30.000Z');
+
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body).error.message).toBe('Location fix implies an implausible speed');
+      expect(putRequests).toHaveLength(1);
+    });
+
+    it('should reject a fix older than the latest stored fix', async () => {
+      const update = (timestamp) => updateLocation({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: 40.7128, longitude: -74.0060, timestamp }),
+      });
+
+      await update('2025-10-01T10:00:00.000Z');
+      const result = await update('2025-10-01T09:59:30.000Z');
+
+      expect(result.statusCode).toBe(409);
+    });
+
+    it('should reject an unparseable timestamp', async () => {
+      const result = await updateLocation({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: 40.7128, longitude: -74.0060, timestamp: 'yesterday' }),
+      });
+
+      expect(result.statusCode).toBe(400);
+    });
+
+    it('should let a driver update the bus their token is bound to', async () => {
+      const result = await handlers.updateLocation(asDriver('bus-001', {
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: 40.7128, longitude: -74.0060 }),
+      }));
+
+      expect(result.statusCode).toBe(200);
+    });
+
+    it('should forbid a driver from updating another bus', async () => {
+      const result = await handlers.updateLocation(asDriver('bus-002', {
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: 40.7128, longitude: -74.0060 }),
+      }));
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body).error.message).toBe('Driver token is not valid for this bus');
+      expect(putRequests).toHaveLength(0);
+    });
+
+    it('should reject anonymous and tampered updates', async () => {
+      const event = {
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: 40.7128, longitude: -74.0060 }),
+      };
+      const tampered = asDriver('bus-001', event);
+      tampered.headers.Authorization = `${tampered.headers.Authorization.slice(0, -2)}xx`;
+
+      expect((await handlers.updateLocation(event)).statusCode).toBe(401);
+      expect((await handlers.updateLocation(tampered)).statusCode).toBe(401);
+    });
+
     it('should return error when bus ID is missing', async () => {
       const event = {
         pathParameters: {},
@@ -41,7 +200,11 @@ describe('Location Handler', () => {
       expect(result.statusCode).toBe(400);
 
       const body = JSON.parse(result.body);
-      expect(body.error.message).toBe('Bus ID is required');
+      expect(body.error.message).toBe('Request validation failed');
+      expect(body.error.details).toContainEqual(expect.objectContaining({
+        field: 'pathParameters.busId',
+        message: 'Bus ID is required',
+      }));
     });
 
     it('should return error when latitude is missing', async () => {
@@ -59,7 +222,10 @@ describe('Location Handler', () => {
       expect(result.statusCode).toBe(400);
 
       const body = JSON.parse(result.body);
-      expect(body.error.message).toBe('Latitude and longitude are required');
+      expect(body.error.details).toContainEqual(expect.objectContaining({
+        field: 'body.latitude',
+        message: 'Latitude is required',
+      }));
     });
 
     it('should return error when coordinates are invalid', async () => {
@@ -78,7 +244,32 @@ describe('Location Handler', () => {
       expect(result.statusCode).toBe(400);
 
       const body = JSON.parse(result.body);
-      expect(body.error.message).toBe('Latitude must be between -90 and 90');
+      expect(body.error.details).toContainEqual(expect.objectContaining({
+        field: 'body.latitude',
+        message: 'Latitude must be between -90 and 90',
+      }));
+    });
+
+    it('should list every field violation in one response', async () => {
+      const result = await updateLocation({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: '40.7', longitude: 200, heading: -5 }),
+      });
+
+      expect(result.statusCode).toBe(400);
+
+      const fields = JSON.parse(result.body).error.details.map((detail) => detail.field);
+      expect(fields).toEqual(['body.latitude', 'body.longitude', 'body.heading']);
+    });
+
+    it('should accept a fix on the equator and prime meridian', async () => {
+      const result = await updateLocation({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ latitude: 0, longitude: 0 }),
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(putRequests[0].Item).toMatchObject({ latitude: 0, longitude: 0 });
     });
 
     it('should handle invalid JSON in request body', async () => {
@@ -97,4 +288,553 @@ describe('Location Handler', () => {
       expect(body.error.message).toBe('Invalid JSON in request body');
     });
   });
+
+  describe('idempotent updateLocation', () => {
+    let buses;
+    let requests;
+    let locationPuts;
+    let eventPuts;
+
+    const conditionalCheckFailed = () => Object.assign(new Error('The conditional request failed'), {
+      code: 'ConditionalCheckFailedException',
+    });
+
+    const sendFix = (fix, headers = {}) => updateLocation({
+      pathParameters: { busId: 'bus-001' },
+      headers,
+      body: JSON.stringify({
+        latitude: 40.7128,
+        longitude: -74.0060,
+        speed: 25,
+        heading: 90,
+        ...fix,
+      }),
+    });
+
+    beforeEach(async () => {
+      buses = { 'bus-001': { BusID: 'bus-001', route_id: 'route-001' } };
+      requests = {};
+      locationPuts = [];
+      eventPuts = [];
+      await getRedisClient().flushall();
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        const item = params.TableName === 'test-idempotency-table'
+          ? requests[params.Key.RequestKey]
+          : buses[params.Key.BusID];
+        callback(null, { Item: item && { ...item } });
+      });
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+        if (params.TableName === 'test-idempotency-table') {
+          // Claims are conditional and may take over abandoned pending items; results are not
+          const existing = params.ConditionExpression && requests[params.Item.RequestKey];
+          if (existing && !(existing.status === 'pending'
+            && existing.createdAt < params.ExpressionAttributeValues[':abandonedBefore'])) {
+            callback(conditionalCheckFailed());
+            return;
+          }
+          requests[params.Item.RequestKey] = params.Item;
+        } else if (params.TableName === 'test-events-table') {
+          eventPuts.push(params.Item);
+        } else {
+          locationPuts.push(params.Item);
+        }
+        callback(null, {});
+      });
+
+      AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        const bus = buses[params.Key.BusID];
+        const seq = params.ExpressionAttributeValues[':seq'];
+        if (params.UpdateExpression !== 'SET last_seq = :seq') {
+          // Bus edits and sequence rewinds
+          if (!bus || (params.ConditionExpression === 'last_seq = :seq' && bus.last_seq !== seq)) {
+            callback(conditionalCheckFailed());
+            return;
+          }
+          callback(null, { Attributes: applyUpdate(bus, params) });
+          return;
+        }
+        if (!bus || (bus.last_seq !== undefined && bus.last_seq >= seq)) {
+          callback(conditionalCheckFailed());
+          return;
+        }
+        const previous = bus.last_seq;
+        bus.last_seq = seq;
+        callback(null, { Attributes: previous === undefined ? undefined : { last_seq: previous } });
+      });
+
+      AWSMock.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+        const request = requests[params.Key.RequestKey];
+        if (!request || request.status !== 'pending') {
+          callback(conditionalCheckFailed());
+          return;
+        }
+        delete requests[params.Key.RequestKey];
+        callback(null, {});
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should replay a retry with the same Idempotency-Key without storing the fix again', async () => {
+      const headers = { 'Idempotency-Key': 'upload-42' };
+      const first = await sendFix({ timestamp: '2025-10-01T10:00:00.000Z' }, headers);
+      const retry = await sendFix({ timestamp: '2025-10-01T10:00:07.000Z' }, headers);
+
+      expect(first.statusCode).toBe(200);
+      expect(JSON.parse(first.body).data).toMatchObject({ updated: true, replayed: false });
+
+      const body = JSON.parse(retry.body);
+      expect(retry.statusCode).toBe(200);
+      expect(body.message).toBe('Location update already processed');
+      expect(body.data).toMatchObject({ updated: false, replayed: true });
+      expect(body.data.location.timestamp).toBe('2025-10-01T10:00:00.000Z');
+      expect(locationPuts).toHaveLength(1);
+    });
+
+    it('should replay a delayed duplicate carrying a sequence number already stored', async () => {
+      await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 7 });
+      await sendFix({ timestamp: '2025-10-01T10:00:10.000Z', seq: 8 });
+      const duplicate = await sendFix({ timestamp: '2025-10-01T10:00:03.000Z', seq: 7 });
+
+      const body = JSON.parse(duplicate.body);
+      expect(duplicate.statusCode).toBe(200);
+      expect(body.data).toMatchObject({ seq: 7, replayed: true });
+      expect(body.data.location.timestamp).toBe('2025-10-01T10:00:00.000Z');
+      expect(locationPuts.map((record) => record.seq)).toEqual([7, 8]);
+      expect(buses['bus-001'].last_seq).toBe(8);
+    });
+
+    it('should reject a sequence number older than the last one received', async () => {
+      buses['bus-001'].last_seq = 12;
+
+      const result = await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 9 });
+
+      const body = JSON.parse(result.body);
+      expect(result.statusCode).toBe(409);
+      expect(body.error.message).toBe('Sequence number is not newer than the last one received');
+      expect(body.error.details).toEqual({ seq: 9, lastSeq: 12 });
+      expect(locationPuts).toHaveLength(0);
+      expect(requests).toEqual({});
+    });
+
+    it('should report a stale sequence number rather than its out-of-order fix', async () => {
+      await sendFix({ timestamp: '2025-10-01T10:00:10.000Z', seq: 8 });
+
+      const result = await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 5 });
+
+      const body = JSON.parse(result.body);
+      expect(result.statusCode).toBe(409);
+      expect(body.error.message).toBe('Sequence number is not newer than the last one received');
+      expect(body.error.details).toEqual({ seq: 5, lastSeq: 8 });
+    });
+
+    it('should give back the sequence number of a fix that is rejected', async () => {
+      await sendFix({ timestamp: '2025-10-01T10:00:10.000Z', seq: 8 });
+
+      const rejected = await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 9 });
+      const rewound = buses['bus-001'].last_seq;
+      const corrected = await sendFix({ timestamp: '2025-10-01T10:00:20.000Z', seq: 9 });
+
+      expect(rejected.statusCode).toBe(409);
+      expect(JSON.parse(rejected.body).error.message)
+        .toBe('Location fix is not newer than the latest recorded fix');
+      expect(rewound).toBe(8);
+      expect(corrected.statusCode).toBe(200);
+      expect(locationPuts.map((record) => record.seq)).toEqual([8, 9]);
+    });
+
+    it('should give back the sequence number when the latest location cannot be read', async () => {
+      let queries = 0;
+      jest.spyOn(cacheService, 'getLatestLocation').mockRejectedValue(new Error('Connection is closed.'));
+      AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        queries += 1;
+        callback(queries === 1 ? new Error('Throttled') : null, { Items: [] });
+      });
+
+      const failed = await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 5 });
+      const retry = await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 5 });
+
+      expect(failed.statusCode).toBe(500);
+      expect(retry.statusCode).toBe(200);
+      expect(JSON.parse(retry.body).data).toMatchObject({ seq: 5, replayed: false });
+      expect(buses['bus-001'].last_seq).toBe(5);
+    });
+
+    it('should retry giving back the sequence number when the first rewind fails', async () => {
+      const rewind = jest.spyOn(busService, 'rewindSequence')
+        .mockRejectedValueOnce(new Error('Throttled'));
+      await sendFix({ timestamp: '2025-10-01T10:00:10.000Z', seq: 8 });
+
+      await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 9 });
+
+      expect(rewind).toHaveBeenCalledTimes(2);
+      expect(buses['bus-001'].last_seq).toBe(8);
+    });
+
+    it('should still reject old sequence numbers after the bus is edited', async () => {
+      await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 12 });
+      const edit = await busHandlers.updateBus(asOperator({
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ vehicle_number: 'BT-201', capacity: 60, type: 'articulated' }),
+      }));
+
+      const result = await sendFix({ timestamp: '2025-10-01T10:00:10.000Z', seq: 9 });
+
+      expect(edit.statusCode).toBe(200);
+      expect(buses['bus-001']).toMatchObject({ vehicle_number: 'BT-201', last_seq: 12 });
+      expect(result.statusCode).toBe(409);
+      expect(JSON.parse(result.body).error.details).toEqual({ seq: 9, lastSeq: 12 });
+    });
+
+    it('should record a sequence gap event when uploads were lost', async () => {
+      buses['bus-001'].last_seq = 3;
+
+      const result = await sendFix({ timestamp: '2025-10-01T10:00:00.000Z', seq: 6 });
+
+      expect(result.statusCode).toBe(200);
+      expect(eventPuts).toEqual([expect.objectContaining({
+        BusID: 'bus-001',
+        type: 'SEQUENCE_GAP',
+        previousSeq: 3,
+        seq: 6,
+        missed: 2,
+      })]);
+    });
+
+    it('should turn away a retry while the original request is still running', async () => {
+      requests['bus-001#key#upload-42'] = {
+        RequestKey: 'bus-001#key#upload-42',
+        BusID: 'bus-001',
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+      };
+
+      const result = await sendFix({}, { 'Idempotency-Key': 'upload-42' });
+
+      expect(result.statusCode).toBe(409);
+      expect(locationPuts).toHaveLength(0);
+    });
+
+    it('should reject a malformed Idempotency-Key', async () => {
+      const result = await sendFix({}, { 'Idempotency-Key': 'not a valid key!' });
+
+      const body = JSON.parse(result.body);
+      expect(result.statusCode).toBe(400);
+      expect(body.error.details[0].field).toBe('headers.Idempotency-Key');
+    });
+  });
+
+  describe('batchUpdateLocations', () => {
+    let stored;
+    let batchRequests;
+    let throttleOnce;
+
+    const fixAt = (minute, latitude = 40.7128) => ({
+      latitude,
+      longitude: -74.0060,
+      timestamp: `2025-10-01T10:${String(minute).padStart(2, '0')}:00.000Z`,
+      speed: 20,
+    });
+
+    const upload = (fixes, busId = 'bus-001') => batchUpdateLocations({
+      pathParameters: { busId },
+      body: JSON.stringify({ fixes }),
+    });
+
+    beforeEach(async () => {
+      stored = [];
+      batchRequests = [];
+      throttleOnce = false;
+      await getRedisClient().flushall();
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        const buses = { 'bus-001': { BusID: 'bus-001', route_id: 'route-001' } };
+        callback(null, { Item: buses[params.Key.BusID] });
+      });
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(null, { Items: stored.slice(-1) });
+      });
+
+      AWSMock.mock('DynamoDB.DocumentClient', 'batchWrite', (params, callback) => {
+        const requests = params.RequestItems['test-locations-table'];
+        batchRequests.push(requests);
+
+        // Simulate throttling: the last item of the first request is left unprocessed
+        const unprocessed = throttleOnce ? requests.slice(-1) : [];
+        throttleOnce = false;
+        requests.slice(0, requests.length - unprocessed.length)
+          .forEach((request) => stored.push(request.PutRequest.Item));
+        callback(null, { UnprocessedItems: { 'test-locations-table': unprocessed } });
+      });
+    });
+
+    it('should store every fix and cache only the newest one', async () => {
+      const result = await upload([fixAt(0), fixAt(1, 40.7138), fixAt(2, 40.7148)]);
+
+      expect(result.statusCode).toBe(200);
+      const { data } = JSON.parse(result.body);
+      expect(data.summary.stored).toBe(3);
+      expect(data.latestUpdated).toBe(true);
+      expect(data.results.map((fix) => fix.status)).toEqual(['stored', 'stored', 'stored']);
+      expect(stored.map((item) => item.route_id)).toEqual(['route-001', 'route-001', 'route-001']);
+
+      const cached = JSON.parse(await getRedisClient().get('location:latest:bus-001'));
+      expect(cached.timestamp).toBe(fixAt(2).timestamp);
+    });
+
+    it('should report repeated timestamps as duplicates and store the first one', async () => {
+      const result = await upload([fixAt(0), fixAt(1), { ...fixAt(1), latitude: 40.72 }]);
+
+      const { data } = JSON.parse(result.body);
+      expect(data.results.map((fix) => fix.status)).toEqual(['stored', 'stored', 'duplicate']);
+      expect(stored).toHaveLength(2);
+      expect(stored[1].latitude).toBe(40.7128);
+    });
+
+    it('should report invalid and implausible fixes without dropping the rest', async () => {
+      const result = await upload([
+        fixAt(0),
+        { latitude: 95, longitude: -74.0060, timestamp: fixAt(1).timestamp },
+        fixAt(2, 41.5),
+        fixAt(3, 40.7138),
+      ]);
+
+      expect(result.statusCode).toBe(200);
+      const { data } = JSON.parse(result.body);
+      expect(data.results.map((fix) => fix.status))
+        .toEqual(['stored', 'invalid', 'rejected', 'stored']);
+      expect(data.results[1].details[0].field).toBe('body.fixes.1.latitude');
+      expect(data.results[2].message).toBe('Location fix implies an implausible speed');
+      expect(data.summary).toMatchObject({ stored: 2, invalid: 1, rejected: 1 });
+    });
+
+    it('should retry items DynamoDB leaves unprocessed', async () => {
+      throttleOnce = true;
+
+      const result = await upload([fixAt(0), fixAt(1), fixAt(2)]);
+
+      expect(batchRequests).toHaveLength(2);
+      expect(batchRequests[1]).toHaveLength(1);
+      expect(stored).toHaveLength(3);
+      expect(JSON.parse(result.body).data.summary.failed).toBe(0);
+    });
+
+    it('should backfill fixes older than the latest location without moving it', async () => {
+      stored.push({ ...fixAt(10), BusID: 'bus-001', geohash: 'dr5regw' });
+
+      const result = await upload([fixAt(5), fixAt(10)]);
+
+      const { data } = JSON.parse(result.body);
+      expect(data.results.map((fix) => fix.status)).toEqual(['stored', 'duplicate']);
+      expect(data.latestUpdated).toBe(false);
+      expect(await getRedisClient().get('location:latest:bus-001')).toBeNull();
+    });
+
+    it('should return 404 when the bus does not exist', async () => {
+      const result = await upload([fixAt(0)], 'bus-999');
+
+      expect(result.statusCode).toBe(404);
+      expect(batchRequests).toHaveLength(0);
+    });
+
+    it('should require a timestamp on every buffered fix', async () => {
+      const result = await upload([{ latitude: 40.7128, longitude: -74.0060 }]);
+
+      const { data } = JSON.parse(result.body);
+      expect(data.results[0].status).toBe('invalid');
+      expect(data.results[0].details[0].field).toBe('body.fixes.0.timestamp');
+    });
+
+    it('should only let a driver upload fixes for their own bus', async () => {
+      const result = await handlers.batchUpdateLocations(asDriver('bus-002', {
+        pathParameters: { busId: 'bus-001' },
+        body: JSON.stringify({ fixes: [fixAt(0)] }),
+      }));
+
+      expect(result.statusCode).toBe(403);
+    });
+  });
+
+  describe('getNearbyBuses', () => {
+    const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+    const report = (busId, latitude, longitude, timestamp) => updateLocation({
+      pathParameters: { busId },
+      body: JSON.stringify({ latitude, longitude, timestamp }),
+    });
+
+    beforeEach(async () => {
+      await getRedisClient().flushall();
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: { BusID: params.Key.BusID, route_id: 'route-001' } });
+      });
+    });
+
+    it('should return buses within the radius sorted by distance with their age', async () => {
+      await report('bus-001', 40.7140, -74.0060, secondsAgo(5)); // ~130 m
+      await report('bus-002', 40.7129, -74.0061, secondsAgo(20)); // ~15 m
+      await report('bus-003', 40.7589, -73.9851, secondsAgo(5)); // ~5 km
+
+      const result = await getNearbyBuses({
+        queryStringParameters: { lat: '40.7128', lon: '-74.0060', radius: '500' },
+      });
+
+      expect(result.statusCode).toBe(200);
+
+      const body = JSON.parse(result.body);
+      expect(body.data.map((bus) => bus.busId)).toEqual(['bus-002', 'bus-001']);
+      expect(body.data[0].lastSeenSeconds).toBeGreaterThanOrEqual(20);
+      expect(body.data[0].distanceMeters).toBeLessThan(body.data[1].distanceMeters);
+    });
+
+    it('should find a bus just across a geohash cell boundary', async () => {
+      // dr5regw's western edge is at -74.00665; the bus sits in the neighbouring cell
+      await report('bus-001', 40.7128, -74.0070, secondsAgo(5));
+
+      const result = await getNearbyBuses({
+        queryStringParameters: { lat: '40.7128', lon: '-74.0066', radius: '100' },
+      });
+
+      expect(JSON.parse(result.body).data.map((bus) => bus.busId)).toEqual(['bus-001']);
+    });
+
+    it('should move a bus out of its old geohash cell when it drives away', async () => {
+      await report('bus-001', 40.7128, -74.0060, secondsAgo(600));
+      await report('bus-001', 40.7589, -73.9851, secondsAgo(5));
+
+      const result = await getNearbyBuses({
+        queryStringParameters: { lat: '40.7128', lon: '-74.0060', radius: '500' },
+      });
+
+      expect(JSON.parse(result.body).data).toEqual([]);
+      expect(await getRedisClient().sismember('geohash:dr5regw:buses', 'bus-001')).toBe(0);
+    });
+
+    it('should accept the equator and prime meridian as a search centre', async () => {
+      const result = await getNearbyBuses({ queryStringParameters: { lat: '0', lon: '0' } });
+
+      expect(result.statusCode).toBe(200);
+    });
+
+    it('should reject a missing centre or an oversized radius', async () => {
+      const missing = await getNearbyBuses({ queryStringParameters: { lat: '40.7' } });
+      const tooWide = await getNearbyBuses({
+        queryStringParameters: { lat: '40.7', lon: '-74.0', radius: '50000' },
+      });
+
+      expect(missing.statusCode).toBe(400);
+      expect(tooWide.statusCode).toBe(400);
+    });
+  });
+
+  describe('location history', () => {
+    let queries;
+
+    // A straight northbound track with one detour point east of the line
+    const track = [
+      { lat: 40.7000, lon: -74.0000 },
+      { lat: 40.7010, lon: -74.0000 },
+      { lat: 40.7020, lon: -73.9990 },
+      { lat: 40.7030, lon: -74.0000 },
+      { lat: 40.7040, lon: -74.0000 },
+    ].map((point, i) => ({
+      BusID: 'bus-001',
+      route_id: 'route-001',
+      timestamp: `2025-10-01T10:0${i}:00.000Z`,
+      latitude: point.lat,
+      longitude: point.lon,
+      speed: 20,
+      heading: 0,
+      ttl: 1759400000,
+    }));
+
+    beforeEach(() => {
+      queries = [];
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        queries.push(params);
+        callback(null, {
+          Items: track,
+          Count: track.length,
+          LastEvaluatedKey: { BusID: 'bus-001', timestamp: track[4].timestamp },
+        });
+      });
+    });
+
+    it('should query a bus partition in time order for the requested window', async () => {
+      const result = await getBusLocations({
+        pathParameters: { busId: 'bus-001' },
+        queryStringParameters: { from: '2025-10-01T10:00:00Z', to: '2025-10-01T11:00:00Z' },
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(queries[0]).toMatchObject({
+        TableName: 'test-locations-table',
+        ScanIndexForward: true,
+        ExpressionAttributeValues: {
+          ':id': 'bus-001',
+          ':from': '2025-10-01T10:00:00.000Z',
+          ':to': '2025-10-01T11:00:00.000Z',
+        },
+      });
+      expect(queries[0].IndexName).toBeUndefined();
+
+      const body = JSON.parse(result.body);
+      expect(body.count).toBe(5);
+      expect(body.data[0]).not.toHaveProperty('ttl');
+      expect(body.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should query the RouteID-timestamp index for a route', async () => {
+      await getRouteLocations({
+        pathParameters: { routeId: 'route-001' },
+        queryStringParameters: { limit: '10' },
+      });
+
+      expect(queries[0]).toMatchObject({
+        IndexName: 'RouteID-timestamp-index',
+        KeyConditionExpression: 'route_id = :id AND #ts BETWEEN :from AND :to',
+        Limit: 10,
+      });
+    });
+
+    it('should thin the track when a simplify tolerance is given', async () => {
+      const loose = await getBusLocations({
+        pathParameters: { busId: 'bus-001' },
+        queryStringParameters: { simplify: '200' },
+      });
+      const tight = await getBusLocations({
+        pathParameters: { busId: 'bus-001' },
+        queryStringParameters: { simplify: '10' },
+      });
+
+      const timestamps = (result) => JSON.parse(result.body).data.map((fix) => fix.timestamp);
+      expect(timestamps(loose)).toEqual([track[0].timestamp, track[4].timestamp]);
+      expect(timestamps(tight)).toContain(track[2].timestamp);
+    });
+
+    it('should keep location history for operators only', async () => {
+      const result = await handlers.getBusLocations(asDriver('bus-001', {
+        pathParameters: { busId: 'bus-001' },
+      }));
+
+      expect(result.statusCode).toBe(403);
+    });
+
+    it('should reject a window whose start is after its end', async () => {
+      const result = await getBusLocations({
+        pathParameters: { busId: 'bus-001' },
+        queryStringParameters: { from: '2025-10-01T11:00:00Z', to: '2025-10-01T10:00:00Z' },
+      });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.details[0].message).toBe('"from" must be earlier than "to"');
+    });
+  });
 });
@@ -0,0 +1,155 @@
+const AWSMock = require('aws-sdk-mock');
+const handlers = require('../../src/handlers/performance');
+const { asOperator } = require('../helpers/auth');
+const { getRedisClient } = require('../../src/services/redis');
+
+const { monitorPerformance } = handlers;
+
+const getRoutePerformance = (routeId) => handlers.getRoutePerformance(asOperator({
+  pathParameters: { routeId },
+}));
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+// A service window from three hours ago to three hours ahead, in UTC like the agency time zone
+const clock = (minutes) => minutesAgo(minutes).slice(11, 16);
+const serviceWindow = `${clock(180)}-${clock(-180)}`;
+
+const route = {
+  RouteID: 'route-001',
+  stops: [
+    { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+    { id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851] },
+  ],
+  schedule: { weekdays: serviceWindow, weekends: serviceWindow },
+  frequency: '15 minutes',
+  active: true,
+};
+
+const arrival = (BusID, stopId, minutes) => ({
+  BusID, route_id: 'route-001', type: 'ARRIVED_AT_STOP', stopId, timestamp: minutesAgo(minutes),
+});
+
+describe('Performance Handler', () => {
+  let queryCalls;
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+    queryCalls = [];
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      const routes = {
+        [route.RouteID]: route,
+        'route-003': { ...route, RouteID: 'route-003', frequency: undefined },
+      };
+      callback(null, { Item: routes[params.Key.RouteID] });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+      callback(null, { Items: [route, { ...route, RouteID: 'route-002', active: false }] });
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+      queryCalls.push(params);
+      callback(null, {
+        Items: [
+          arrival('bus-001', 'stop-001', 60),
+          arrival('bus-001', 'stop-002', 50),
+          arrival('bus-002', 'stop-001', 45),
+          arrival('bus-003', 'stop-001', 43),
+          arrival('bus-002', 'stop-002', 35),
+          arrival('bus-004', 'stop-001', 15),
+        ],
+      });
+    });
+  });
+
+  describe('getRoutePerformance', () => {
+    it('should measure headways at each stop against the route frequency', async () => {
+      const result = await getRoutePerformance('route-001');
+
+      expect(result.statusCode).toBe(200);
+
+      const { data } = JSON.parse(result.body);
+      expect(queryCalls[0]).toMatchObject({
+        TableName: 'test-events-table',
+        IndexName: 'RouteID-timestamp-index',
+      });
+      expect(data).toMatchObject({ routeId: 'route-001', scheduledHeadwayMinutes: 15, inService: true });
+      expect(data.stops[0].headways).toEqual([
+        expect.objectContaining({
+          busId: 'bus-002', previousBusId: 'bus-001', headwayMinutes: 15, status: 'on_time',
+        }),
+        expect.objectContaining({
+          busId: 'bus-003', headwayMinutes: 2, deviationMinutes: -13, status: 'bunched',
+        }),
+        expect.objectContaining({
+          busId: 'bus-004', headwayMinutes: 28, deviationMinutes: 13, status: 'late',
+        }),
+      ]);
+      expect(data.stops[1]).toMatchObject({ arrivals: 2, averageHeadwayMinutes: 15 });
+    });
+
+    it('should flag bunched and overdue buses and stops without a recent bus', async () => {
+      const { data } = JSON.parse((await getRoutePerformance('route-001')).body);
+
+      expect(data.buses.map((bus) => [bus.busId, bus.stopId, bus.status])).toEqual([
+        ['bus-002', 'stop-002', 'on_time'],
+        ['bus-003', 'stop-001', 'bunched'],
+        ['bus-004', 'stop-001', 'late'],
+      ]);
+      expect(data.bunchedBuses).toEqual(['bus-003']);
+      expect(data.overdueBuses).toEqual(['bus-004']);
+      expect(data.overdueStops).toEqual(['stop-002']);
+    });
+
+    it('should measure but not judge headways on a route without a frequency', async () => {
+      const { data } = JSON.parse((await getRoutePerformance('route-003')).body);
+
+      expect(data.scheduledHeadwayMinutes).toBeNull();
+      expect(data.stops[0].headways.map((headway) => [headway.headwayMinutes, headway.status]))
+        .toEqual([[15, 'unknown'], [2, 'unknown'], [28, 'unknown']]);
+      expect(data.stops[0].headways[2].deviationMinutes).toBeNull();
+      expect(data.bunchedBuses).toEqual([]);
+      expect(data.overdueBuses).toEqual([]);
+      expect(data.overdueStops).toEqual([]);
+    });
+
+    it('should return 404 for an unknown route', async () => {
+      const result = await getRoutePerformance('route-999');
+
+      expect(result.statusCode).toBe(404);
+    });
+
+    it('should only be available to operators', async () => {
+      const result = await handlers.getRoutePerformance({ pathParameters: { routeId: 'route-001' } });
+
+      expect(result.statusCode).toBe(401);
+    });
+  });
+
+  describe('monitorPerformance', () => {
+    it('should refresh active routes so reads are served from the cache', async () => {
+      const summary = await monitorPerformance();
+
+      expect(summary).toEqual({
+        routes: 1, failed: 0, bunchedBuses: ['bus-003'], overdueBuses: ['bus-004'],
+      });
+
+      const result = await getRoutePerformance('route-001');
+
+      expect(result.statusCode).toBe(200);
+      expect(queryCalls).toHaveLength(1);
+    });
+
+    it('should keep going when a route fails', async () => {
+      AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(new Error('Throttled'));
+      });
+
+      const summary = await monitorPerformance();
+
+      expect(summary).toMatchObject({ routes: 1, failed: 1 });
+    });
+  });
+});
@@ -1,6 +1,77 @@
-const { getRoutes, getRoute } = require('../../src/handlers/routes');
+const AWSMock = require('aws-sdk-mock');
+const handlers = require('../../src/handlers/routes');
+const { asOperator, withToken } = require('../helpers/auth');
+
+const { getRoutes, getRoute } = handlers;
+
+// Route administration is operator-only, so these calls carry an operator token
+const createRoute = (event) => handlers.createRoute(asOperator(event));
+const updateRoute = (event) => handlers.updateRoute(asOperator(event));
+const deleteRoute = (event) => handlers.deleteRoute(asOperator(event));
+const { getRedisClient } = require('../../src/services/redis');
+
+const routes = {
+  'route-001': {
+    RouteID: 'route-001',
+    name: 'Downtown Express',
+    stops: [
+      { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+      { id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851] },
+    ],
+    frequency: '15 minutes',
+    active: true,
+  },
+  'route-002': {
+    RouteID: 'route-002',
+    name: 'Airport Shuttle',
+    stops: [
+      { id: 'stop-004', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+      { id: 'stop-005', name: 'Airport Terminal', coordinates: [40.6413, -73.7781] },
+    ],
+    frequency: '30 minutes',
+    active: true,
+  },
+};
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600 * 1000).toISOString();
 
 describe('Routes Handler', () => {
+  let getCalls;
+  let scanCalls;
+  let alerts;
+
+  beforeEach(async () => {
+    getCalls = [];
+    scanCalls = [];
+    alerts = [];
+    await getRedisClient().flushall();
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      getCalls.push(params);
+      callback(null, { Item: routes[params.Key.RouteID] });
+    });
+
+    // Serves one route per page to exercise LastEvaluatedKey pagination
+    AWSMock.remock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+      if (params.TableName === 'test-alerts-table') {
+        callback(null, { Items: alerts });
+        return;
+      }
+
+      scanCalls.push(params);
+      const ids = Object.keys(routes);
+      const { ExclusiveStartKey: startKey } = params;
+      const start = startKey ? ids.indexOf(startKey.RouteID) + 1 : 0;
+      const page = ids.slice(start, start + 1);
+      const hasMore = start + 1 < ids.length;
+      callback(null, {
+        Items: page.map((id) => routes[id]),
+        Count: page.length,
+        ...(hasMore && { LastEvaluatedKey: { RouteID: page[0] } }),
+      });
+    });
+  });
+
   describe('getRoutes', () => {
     it('should return all routes successfully', async () => {
       const event = {};
@@ -15,6 +86,76 @@ describe('Routes Handler', () => {
       expect(body.data).toBeInstanceOf(Array);
       expect(body.count).toBeGreaterThanOrEqual(0);
     });
+
+    it('should paginate with a cursor built from LastEvaluatedKey', async () => {
+      const first = JSON.parse((await getRoutes({ queryStringParameters: { limit: '1' } })).body);
+
+      expect(first.data.map((r) => r.RouteID)).toEqual(['route-001']);
+      expect(first.nextCursor).toEqual(expect.any(String));
+
+      const second = JSON.parse((await getRoutes({
+        queryStringParameters: { limit: '1', cursor: first.nextCursor },
+      })).body);
+
+      expect(scanCalls[1].ExclusiveStartKey).toEqual({ RouteID: 'route-001' });
+      expect(second.data.map((r) => r.RouteID)).toEqual(['route-002']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('should serve repeated page requests from the cache', async () => {
+      await getRoutes({ queryStringParameters: { limit: '1' } });
+      await getRoutes({ queryStringParameters: { limit: '1' } });
+
+      expect(scanCalls).toHaveLength(1);
+    });
+
+    it('should attach alerts to each route on the page', async () => {
+      const alert = (AlertID, routeId) => ({
+        AlertID, scope: 'route', route_id: routeId, severity: 'info', activeFrom: hoursFromNow(-1),
+      });
+      alerts = [alert('detour', 'route-001'), alert('diversion', 'route-002')];
+
+      const body = JSON.parse((await getRoutes({ queryStringParameters: { limit: '1' } })).body);
+
+      expect(body.data[0].alerts.map((entry) => entry.AlertID)).toEqual(['detour']);
+    });
+
+    it('should reject a page size above the maximum', async () => {
+      const result = await getRoutes({ queryStringParameters: { limit: '500' } });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.details[0].field).toBe('queryStringParameters.limit');
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const result = await getRoutes({ queryStringParameters: { cursor: 'not-a-cursor' } });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.message).toBe('Invalid pagination cursor');
+    });
+
+    it('should return routes as GeoJSON lines when asked for application/geo+json', async () => {
+      const result = await getRoutes({
+        headers: { Accept: 'application/geo+json' },
+        queryStringParameters: { limit: '1' },
+      });
+
+      expect(result.headers['Content-Type']).toBe('application/geo+json');
+      expect(result.headers.Vary).toContain('Accept');
+
+      const body = JSON.parse(result.body);
+      expect(body.type).toBe('FeatureCollection');
+      expect(body.nextCursor).toBeTruthy();
+      expect(body.features[0]).toMatchObject({
+        id: 'route-001',
+        geometry: { type: 'LineString', coordinates: [[-74.0060, 40.7128], [-73.9851, 40.7589]] },
+        properties: { name: 'Downtown Express' },
+      });
+      expect(body.features[0].properties.stops[0]).toEqual({
+        id: 'stop-001',
+        name: 'Central Station',
+      });
+    });
   });
 
   describe('getRoute', () => {
@@ -35,6 +176,100 @@ describe('Routes Handler', () => {
       expect(body.data.RouteID).toBe('route-001');
     });
 
+    it('should cache the route in Redis after the first read', async () => {
+      const event = { pathParameters: { routeId: 'route-001' } };
+
+      await getRoute(event);
+      const result = await getRoute(event);
+
+      expect(getCalls).toHaveLength(1);
+      expect(JSON.parse(result.body).data.name).toBe('Downtown Express');
+      expect(await getRedisClient().ttl('route:route-001')).toBeGreaterThan(0);
+    });
+
+    it('should export the route and its stops as GeoJSON for a .geojson route ID', async () => {
+      const result = await getRoute({ pathParameters: { routeId: 'route-001.geojson' } });
+
+      expect(result.statusCode).toBe(200);
+      expect(result.headers['Content-Type']).toBe('application/geo+json');
+      expect(getCalls[0].Key).toEqual({ RouteID: 'route-001' });
+
+      const { type, features } = JSON.parse(result.body);
+      expect(type).toBe('FeatureCollection');
+      expect(features[0]).toMatchObject({
+        id: 'route-001',
+        geometry: { type: 'LineString', coordinates: [[-74.0060, 40.7128], [-73.9851, 40.7589]] },
+        properties: { kind: 'route', routeId: 'route-001', name: 'Downtown Express' },
+      });
+      expect(features[2]).toEqual({
+        type: 'Feature',
+        id: 'route-001:stop-002',
+        geometry: { type: 'Point', coordinates: [-73.9851, 40.7589] },
+        properties: {
+          kind: 'stop',
+          routeId: 'route-001',
+          stopId: 'stop-002',
+          sequence: 2,
+          name: 'Business District',
+        },
+      });
+    });
+
+    it('should answer a matching If-None-Match with 304 until the route changes', async () => {
+      const event = { httpMethod: 'GET', pathParameters: { routeId: 'route-001' } };
+
+      const first = await getRoute(event);
+      const { ETag: etag } = first.headers;
+      const unchanged = await getRoute({ ...event, headers: { 'If-None-Match': etag } });
+
+      await getRedisClient().flushall();
+      routes['route-001'] = { ...routes['route-001'], name: 'Downtown Local' };
+      const changed = await getRoute({ ...event, headers: { 'If-None-Match': etag } });
+      routes['route-001'] = { ...routes['route-001'], name: 'Downtown Express' };
+
+      expect(etag).toMatch(/^W\/"[\w-]+"$/);
+      expect(unchanged.statusCode).toBe(304);
+      expect(unchanged.body).toBe('');
+      expect(unchanged.headers.ETag).toBe(etag);
+      expect(changed.statusCode).toBe(200);
+      expect(changed.headers.ETag).not.toBe(etag);
+    });
+
+    it('should embed the active alerts that concern the route', async () => {
+      const alert = (AlertID, attributes) => ({
+        AlertID,
+        severity: 'warning',
+        activeFrom: hoursFromNow(-2),
+        messages: { en: AlertID },
+        ...attributes,
+      });
+      alerts = [
+        alert('network', { scope: 'network', severity: 'info' }),
+        alert('detour', { scope: 'route', route_id: 'route-001', activeUntil: hoursFromNow(1) }),
+        alert('closed', {
+          scope: 'stop', route_id: 'route-001', stop_id: 'stop-002', severity: 'severe',
+        }),
+        alert('expired', { scope: 'route', route_id: 'route-001', activeUntil: hoursFromNow(-1) }),
+        alert('upcoming', { scope: 'route', route_id: 'route-001', activeFrom: hoursFromNow(1) }),
+        alert('other-route', { scope: 'route', route_id: 'route-002' }),
+      ];
+
+      const result = await getRoute({ pathParameters: { routeId: 'route-001' } });
+
+      const { data } = JSON.parse(result.body);
+      expect(data.alerts.map((entry) => entry.AlertID)).toEqual(['closed', 'detour', 'network']);
+    });
+
+    it('should return 404 for an unknown route', async () => {
+      const result = await getRoute({ pathParameters: { routeId: 'route-999' } });
+
+      expect(result.statusCode).toBe(404);
+
+      const body = JSON.parse(result.body);
+      expect(body.success).toBe(false);
+      expect(body.error.message).toBe('Route not found');
+    });
+
     it('should return error when route ID is missing', async () => {
       const event = {
         pathParameters: {},
@@ -46,7 +281,11 @@ describe('Routes Handler', () => {
 
       const body = JSON.parse(result.body);
       expect(body.success).toBe(false);
-      expect(body.error.message).toBe('Route ID is required');
+      expect(body.error.message).toBe('Request validation failed');
+      expect(body.error.details).toEqual([expect.objectContaining({
+        field: 'pathParameters.routeId',
+        message: 'Route ID is required',
+      })]);
     });
 
     it('should handle missing pathParameters', async () => {
@@ -57,4 +296,151 @@ describe('Routes Handler', () => {
       expect(result.statusCode).toBe(400);
     });
   });
+
+  describe('route administration', () => {
+    let table;
+
+    const routeBody = {
+      name: 'Harbour Loop',
+      stops: [
+        { id: 'stop-101', name: 'Pier 1', coordinates: [40.7033, -74.0170] },
+        { id: 'stop-102', name: 'Ferry Terminal', coordinates: [40.7013, -74.0132] },
+      ],
+      schedule: { weekdays: '06:00-22:00', weekends: '08:00-20:00' },
+      frequency: '20 minutes',
+    };
+
+    const conditionalCheckFailed = () => Object.assign(new Error('The conditional request failed'), {
+      code: 'ConditionalCheckFailedException',
+    });
+
+    beforeEach(() => {
+      table = { 'route-001': { ...routes['route-001'] } };
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: table[params.Key.RouteID] });
+      });
+
+      AWSMock.remock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+        const existing = table[params.Item.RouteID];
+        const expectedVersion = params.ExpressionAttributeValues?.[':currentVersion'];
+        const conflict = params.ConditionExpression === 'attribute_not_exists(RouteID)'
+          ? Boolean(existing)
+          : !existing || existing.version !== expectedVersion;
+        if (conflict) {
+          callback(conditionalCheckFailed());
+          return;
+        }
+        table[params.Item.RouteID] = params.Item;
+        callback(null, {});
+      });
+
+      AWSMock.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+        if (!table[params.Key.RouteID]) {
+          callback(conditionalCheckFailed());
+          return;
+        }
+        delete table[params.Key.RouteID];
+        callback(null, {});
+      });
+    });
+
+    it('should only let operators change routes', async () => {
+      const event = { pathParameters: { routeId: 'route-003' }, body: JSON.stringify(routeBody) };
+
+      const anonymous = await handlers.createRoute(event);
+      const publicClient = await handlers.createRoute(withToken(event, { sub: 'app', role: 'public' }));
+
+      expect(anonymous.statusCode).toBe(401);
+      expect(publicClient.statusCode).toBe(403);
+      expect(table['route-003']).toBeUndefined();
+    });
+
+    it('should create a route at version 1', async () => {
+      const result = await createRoute({
+        pathParameters: { routeId: 'route-003' },
+        body: JSON.stringify(routeBody),
+      });
+
+      expect(result.statusCode).toBe(201);
+      expect(table['route-003']).toMatchObject({ name: 'Harbour Loop', version: 1, active: true });
+    });
+
+    it('should reject creating a route that already exists', async () => {
+      const result = await createRoute({
+        pathParameters: { routeId: 'route-001' },
+        body: JSON.stringify(routeBody),
+      });
+
+      expect(result.statusCode).toBe(409);
+    });
+
+    it('should validate stop geometry, schedule windows and frequency', async () => {
+      const result = await createRoute({
+        pathParameters: { routeId: 'route-003' },
+        body: JSON.stringify({
+          ...routeBody,
+          stops: [
+            { id: 'stop-101', name: 'Pier 1', coordinates: [140.7, -74.0] },
+            { id: 'stop-101', name: 'Pier 1 again', coordinates: [40.7, -74.0] },
+          ],
+          schedule: { weekdays: '6am-10pm' },
+          frequency: 'often',
+        }),
+      });
+
+      expect(result.statusCode).toBe(400);
+
+      const fields = JSON.parse(result.body).error.details.map((detail) => detail.field);
+      expect(fields).toEqual([
+        'body.stops.0.coordinates.0',
+        'body.stops.1',
+        'body.schedule.weekdays',
+        'body.frequency',
+      ]);
+    });
+
+    it('should require at least two stops', async () => {
+      const result = await createRoute({
+        pathParameters: { routeId: 'route-003' },
+        body: JSON.stringify({ ...routeBody, stops: [routeBody.stops[0]] }),
+      });
+
+      expect(JSON.parse(result.body).error.details[0].message)
+        .toBe('A route needs at least two stops');
+    });
+
+    it('should bump the version on every update and refresh the cached copy', async () => {
+      await getRoute({ pathParameters: { routeId: 'route-001' } });
+
+      await updateRoute({ pathParameters: { routeId: 'route-001' }, body: JSON.stringify(routeBody) });
+      const result = await updateRoute({
+        pathParameters: { routeId: 'route-001' },
+        body: JSON.stringify({ ...routeBody, frequency: '10 minutes' }),
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(table['route-001'].version).toBe(2);
+
+      const cached = JSON.parse((await getRoute({ pathParameters: { routeId: 'route-001' } })).body);
+      expect(cached.data).toMatchObject({ version: 2, frequency: '10 minutes' });
+    });
+
+    it('should return 404 when updating an unknown route', async () => {
+      const result = await updateRoute({
+        pathParameters: { routeId: 'route-999' },
+        body: JSON.stringify(routeBody),
+      });
+
+      expect(result.statusCode).toBe(404);
+    });
+
+    it('should delete a route', async () => {
+      const result = await deleteRoute({ pathParameters: { routeId: 'route-001' } });
+      const missing = await deleteRoute({ pathParameters: { routeId: 'route-001' } });
+
+      expect(result.statusCode).toBe(200);
+      expect(missing.statusCode).toBe(404);
+    });
+  });
 });
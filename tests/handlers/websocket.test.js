@@ -0,0 +1,202 @@
+const AWSMock = require('aws-sdk-mock');
+const { DynamoDB } = require('aws-sdk');
+const handlers = require('../../src/handlers/websocket');
+const connectionService = require('../../src/services/connectionService');
+const cacheService = require('../../src/services/cacheService');
+const { getRedisClient } = require('../../src/services/redis');
+
+const wsEvent = (connectionId, body) => ({
+  requestContext: { connectionId, routeKey: body ? body.action : '$connect' },
+  ...(body && { body: JSON.stringify(body) }),
+});
+
+const insertRecord = (fix, sequenceNumber = '100') => ({
+  eventName: 'INSERT',
+  eventSourceARN: 'arn:aws:dynamodb:us-east-1:123456789012:table/test-locations-table/stream/2025-10-01T00:00:00.000',
+  dynamodb: {
+    Keys: DynamoDB.Converter.marshall({ BusID: fix.BusID, timestamp: fix.timestamp }),
+    NewImage: DynamoDB.Converter.marshall(fix),
+    SequenceNumber: sequenceNumber,
+  },
+});
+
+const fix = {
+  BusID: 'bus-001',
+  timestamp: '2025-10-01T10:00:00.000Z',
+  route_id: 'route-001',
+  latitude: 40.7128,
+  longitude: -74.0060,
+  speed: 25,
+  heading: 90,
+};
+
+describe('WebSocket Handler', () => {
+  let rows;
+  let pushed;
+  let goneConnections;
+
+  beforeEach(() => {
+    rows = [];
+    pushed = [];
+    goneConnections = new Set();
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+      rows = rows.filter((row) => row.connectionId !== params.Item.connectionId
+        || row.topic !== params.Item.topic);
+      rows.push(params.Item);
+      callback(null, {});
+    });
+
+    AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+      const values = params.ExpressionAttributeValues;
+      const Items = params.IndexName === 'topic-index'
+        ? rows.filter((row) => row.topic === values[':topic'])
+        : rows.filter((row) => row.connectionId === values[':id']);
+      callback(null, { Items });
+    });
+
+    AWSMock.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+      rows = rows.filter((row) => row.connectionId !== params.Key.connectionId
+        || row.topic !== params.Key.topic);
+      callback(null, {});
+    });
+
+    AWSMock.mock('ApiGatewayManagementApi', 'postToConnection', (params, callback) => {
+      if (goneConnections.has(params.ConnectionId)) {
+        callback(Object.assign(new Error('Gone'), { code: 'GoneException', statusCode: 410 }));
+        return;
+      }
+      pushed.push({ connectionId: params.ConnectionId, message: JSON.parse(params.Data) });
+      callback(null, {});
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('connections', () => {
+    it('should register a connection on $connect', async () => {
+      const result = await handlers.connect(wsEvent('conn-1'));
+
+      expect(result.statusCode).toBe(200);
+      expect(rows).toEqual([expect.objectContaining({ connectionId: 'conn-1', topic: '$connection' })]);
+      expect(rows[0].ttl).toBeGreaterThan(Math.floor(Date.now() / 1000));
+    });
+
+    it('should subscribe a connection to a route or a bus', async () => {
+      await handlers.connect(wsEvent('conn-1'));
+
+      const route = await handlers.subscribe(wsEvent('conn-1', { action: 'subscribe', routeId: 'route-001' }));
+      await handlers.subscribe(wsEvent('conn-1', { action: 'subscribe', busId: 'bus-002' }));
+
+      expect(route.statusCode).toBe(200);
+      expect(JSON.parse(route.body).data.topic).toBe('route:route-001');
+      expect(rows.map((row) => row.topic)).toEqual(['$connection', 'route:route-001', 'bus:bus-002']);
+    });
+
+    it('should reject a subscription naming both or neither of routeId and busId', async () => {
+      const both = await handlers.subscribe(wsEvent('conn-1', {
+        action: 'subscribe', routeId: 'route-001', busId: 'bus-001',
+      }));
+      const neither = await handlers.subscribe(wsEvent('conn-1', { action: 'subscribe' }));
+
+      expect(both.statusCode).toBe(400);
+      expect(neither.statusCode).toBe(400);
+      expect(rows).toHaveLength(0);
+    });
+
+    it('should remove every row of a connection on $disconnect', async () => {
+      await handlers.connect(wsEvent('conn-1'));
+      await handlers.connect(wsEvent('conn-2'));
+      await handlers.subscribe(wsEvent('conn-1', { action: 'subscribe', routeId: 'route-001' }));
+
+      const result = await handlers.disconnect(wsEvent('conn-1'));
+
+      expect(result.statusCode).toBe(200);
+      expect(rows.map((row) => row.connectionId)).toEqual(['conn-2']);
+    });
+  });
+
+  describe('pushLocations', () => {
+    beforeEach(async () => {
+      await getRedisClient().flushall();
+      await handlers.connect(wsEvent('route-watcher'));
+      await handlers.subscribe(wsEvent('route-watcher', { action: 'subscribe', routeId: 'route-001' }));
+      await handlers.connect(wsEvent('bus-watcher'));
+      await handlers.subscribe(wsEvent('bus-watcher', { action: 'subscribe', busId: 'bus-001' }));
+      await handlers.subscribe(wsEvent('bus-watcher', { action: 'subscribe', routeId: 'route-001' }));
+      await handlers.connect(wsEvent('other'));
+      await handlers.subscribe(wsEvent('other', { action: 'subscribe', routeId: 'route-002' }));
+    });
+
+    it('should push a new fix once to each connection following its bus or route', async () => {
+      const result = await handlers.pushLocations({ Records: [insertRecord(fix)] });
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(pushed.map((push) => push.connectionId).sort()).toEqual(['bus-watcher', 'route-watcher']);
+      expect(pushed[0].message).toEqual({
+        type: 'location',
+        data: {
+          busId: 'bus-001',
+          routeId: 'route-001',
+          timestamp: fix.timestamp,
+          latitude: 40.7128,
+          longitude: -74.0060,
+          speed: 25,
+          heading: 90,
+        },
+      });
+    });
+
+    it('should not push fixes older than the latest location of the bus', async () => {
+      await cacheService.updateLocationCache('bus-001', { ...fix, timestamp: '2025-10-01T10:05:00.000Z' });
+      const backfilled = [
+        insertRecord(fix, '101'),
+        insertRecord({ ...fix, timestamp: '2025-10-01T10:02:00.000Z' }, '102'),
+      ];
+
+      const result = await handlers.pushLocations({ Records: backfilled });
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(pushed).toHaveLength(0);
+    });
+
+    it('should drop connections that have gone away', async () => {
+      goneConnections.add('route-watcher');
+
+      await handlers.pushLocations({ Records: [insertRecord(fix)] });
+
+      expect(pushed.map((push) => push.connectionId)).toEqual(['bus-watcher']);
+      expect(rows.some((row) => row.connectionId === 'route-watcher')).toBe(false);
+    });
+
+    it('should not fail the record when a gone connection cannot be removed', async () => {
+      goneConnections.add('route-watcher');
+      jest.spyOn(connectionService, 'removeConnection').mockRejectedValue(new Error('Throttled'));
+
+      const result = await handlers.pushLocations({ Records: [insertRecord(fix, '150')] });
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(pushed.map((push) => push.connectionId)).toEqual(['bus-watcher']);
+    });
+
+    it('should ignore records that are not new fixes', async () => {
+      const removal = { ...insertRecord(fix), eventName: 'REMOVE' };
+
+      await handlers.pushLocations({ Records: [removal] });
+
+      expect(pushed).toHaveLength(0);
+    });
+
+    it('should report a record whose subscribers cannot be looked up', async () => {
+      AWSMock.remock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(new Error('Throttled'));
+      });
+
+      const result = await handlers.pushLocations({ Records: [insertRecord(fix, '200')] });
+
+      expect(result).toEqual({ batchItemFailures: [{ itemIdentifier: '200' }] });
+    });
+  });
+});
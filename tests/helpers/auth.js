@@ -0,0 +1,25 @@
+const { signToken } = require('../../src/utils/auth');
+
+/**
+ * Add a bearer token for the given principal to an API Gateway event
+ * @param {Object} event - Lambda event object
+ * @param {Object} claims - sub, role and (for drivers) busId
+ * @returns {Object} Event with an Authorization header
+ */
+const withToken = (event, claims) => ({
+  ...event,
+  headers: {
+    ...event.headers,
+    Authorization: `Bearer ${signToken(claims)}`,
+  },
+});
+
+const asOperator = (event) => withToken(event, { sub: 'operator-001', role: 'operator' });
+
+const asDriver = (busId, event) => withToken(event, { sub: `driver-${busId}`, role: 'driver', busId });
+
+module.exports = {
+  withToken,
+  asOperator,
+  asDriver,
+};
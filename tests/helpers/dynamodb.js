@@ -0,0 +1,27 @@
+/**
+ * Apply the SET and REMOVE clauses of a DocumentClient update to an item, for update mocks.
+ * Only plain `name = :value` assignments are supported.
+ * @param {Object} item - Stored item, changed in place
+ * @param {Object} params - update() parameters
+ * @returns {Object} The updated item
+ */
+const applyUpdate = (item, params) => {
+  const names = params.ExpressionAttributeNames || {};
+  const values = params.ExpressionAttributeValues || {};
+  const attribute = (name) => names[name.trim()] || name.trim();
+  const [, set, remove] = params.UpdateExpression.match(/^(?:SET (.*?))?\s*(?:REMOVE (.*))?$/);
+
+  (set ? set.split(',') : []).forEach((assignment) => {
+    const [name, value] = assignment.split('=');
+    Object.assign(item, { [attribute(name)]: values[value.trim()] });
+  });
+  (remove ? remove.split(',') : []).forEach((name) => {
+    Reflect.deleteProperty(item, attribute(name));
+  });
+
+  return item;
+};
+
+module.exports = {
+  applyUpdate,
+};
@@ -1,6 +1,9 @@
 // Jest setup file
 const AWSMock = require('aws-sdk-mock');
 
+// Use the in-memory Redis stand-in instead of a live server
+jest.mock('ioredis', () => jest.requireActual('ioredis-mock'));
+
 // Mock AWS SDK before tests run
 beforeAll(() => {
   // Mock DynamoDB
@@ -32,5 +35,12 @@ process.env.LOG_LEVEL = 'error';
 process.env.ROUTES_TABLE = 'test-routes-table';
 process.env.BUSES_TABLE = 'test-buses-table';
 process.env.LOCATIONS_TABLE = 'test-locations-table';
+process.env.CONNECTIONS_TABLE = 'test-connections-table';
+process.env.EVENTS_TABLE = 'test-events-table';
+process.env.ALERTS_TABLE = 'test-alerts-table';
+process.env.IDEMPOTENCY_TABLE = 'test-idempotency-table';
+process.env.WEBSOCKET_ENDPOINT = 'http://localhost:3001';
 process.env.REDIS_HOST = 'localhost';
 process.env.REDIS_PORT = '6379';
+process.env.JWT_SECRET = 'test-signing-key';
+process.env.CORS_ALLOWED_ORIGINS = 'https://app.example.com';
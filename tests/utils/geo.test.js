@@ -0,0 +1,60 @@
+const {
+  haversineDistance, geohashPrecisionForRadius, simplifyTrack,
+} = require('../../src/utils/geo');
+
+describe('geo utilities', () => {
+  describe('haversineDistance', () => {
+    it('should measure the distance between two stops', () => {
+      // Central Station to Business District is roughly 5.3 km
+      const distance = haversineDistance(40.7128, -74.0060, 40.7589, -73.9851);
+
+      expect(distance).toBeGreaterThan(5200);
+      expect(distance).toBeLessThan(5500);
+    });
+
+    it('should return 0 for the same point', () => {
+      expect(haversineDistance(0, 0, 0, 0)).toBe(0);
+    });
+  });
+
+  describe('geohashPrecisionForRadius', () => {
+    it('should use coarser cells for wider searches', () => {
+      const narrow = geohashPrecisionForRadius(40.7128, -74.0060, 100, 4, 7);
+      const wide = geohashPrecisionForRadius(40.7128, -74.0060, 5000, 4, 7);
+
+      expect(narrow).toBe(7);
+      expect(wide).toBeLessThan(narrow);
+    });
+  });
+
+  describe('simplifyTrack', () => {
+    const point = (latitude, longitude) => ({ latitude, longitude });
+
+    it('should drop points that sit on a straight line', () => {
+      const track = [
+        point(40.7000, -74.0000),
+        point(40.7010, -74.0000),
+        point(40.7020, -74.0000),
+        point(40.7030, -74.0000),
+      ];
+
+      expect(simplifyTrack(track, 5)).toEqual([track[0], track[3]]);
+    });
+
+    it('should keep corners that deviate more than the tolerance', () => {
+      const track = [
+        point(40.7000, -74.0000),
+        point(40.7050, -74.0000),
+        point(40.7050, -74.0050),
+      ];
+
+      expect(simplifyTrack(track, 10)).toEqual(track);
+    });
+
+    it('should leave the track unchanged with a zero tolerance', () => {
+      const track = [point(0, 0), point(0, 0.00001), point(0, 0.00002)];
+
+      expect(simplifyTrack(track, 0)).toBe(track);
+    });
+  });
+});
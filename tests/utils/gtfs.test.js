@@ -0,0 +1,149 @@
+const AdmZip = require('adm-zip');
+const {
+  parseGtfsTime, formatGtfsTime, readFeed, writeFeed, feedToRoutes, routesToFeed,
+} = require('../../src/utils/gtfs');
+const { parseCsv, formatCsv } = require('../../src/utils/csv');
+
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, text]) => zip.addFile(name, Buffer.from(text)));
+  return zip.toBuffer();
+};
+
+const feed = {
+  'routes.txt': 'route_id,route_short_name,route_long_name,route_desc,route_type\n'
+    + 'R1,1,"Downtown Express","Express service, downtown",3\n'
+    + 'R2,2,Night Owl,,3\n'
+    + 'R3,3,Ghost Route,,3\n',
+  'stops.txt': 'stop_id,stop_name,stop_lat,stop_lon\n'
+    + 'S1,Central Station,40.7128,-74.0060\n'
+    + 'S2,Business District,40.7589,-73.9851\n'
+    + 'S3,Shopping Center,40.7505,-73.9934\n',
+  'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\n'
+    + 'WK,1,1,1,1,1,0,0,20250101,20251231\n'
+    + 'WE,0,0,0,0,0,1,1,20250101,20251231\n',
+  'trips.txt': 'route_id,service_id,trip_id,direction_id\n'
+    + 'R1,WK,R1-a,0\nR1,WE,R1-b,0\n'
+    + 'R2,WK,R2-1,0\nR2,WK,R2-2,0\nR2,WK,R2-3,0\n',
+  'stop_times.txt': 'trip_id,arrival_time,departure_time,stop_id,stop_sequence\n'
+    + 'R1-a,06:00:00,06:00:00,S1,1\nR1-a,06:12:00,06:12:00,S2,2\nR1-a,06:20:00,06:20:00,S3,3\n'
+    + 'R1-b,08:00:00,08:00:00,S1,1\nR1-b,08:12:00,08:12:00,S2,2\n'
+    + 'R2-1,23:30:00,23:30:00,S3,1\nR2-1,23:45:00,23:45:00,S1,2\n'
+    + 'R2-2,24:00:00,24:00:00,S3,1\nR2-2,24:15:00,24:15:00,S1,2\n'
+    + 'R2-3,25:00:00,25:00:00,S3,1\nR2-3,25:15:00,25:15:00,S1,2\n',
+  'frequencies.txt': 'trip_id,start_time,end_time,headway_secs\n'
+    + 'R1-a,06:00:00,22:00:00,900\nR1-b,08:00:00,20:00:00,1800\n',
+};
+
+describe('GTFS utilities', () => {
+  describe('csv', () => {
+    it('should parse quoted fields, CRLF line endings and a byte order mark', () => {
+      const rows = parseCsv('\uFEFFid,name\r\n1,"Main St, ""North"""\r\n2,Plain\r\n\r\n');
+
+      expect(rows).toEqual([
+        { id: '1', name: 'Main St, "North"' },
+        { id: '2', name: 'Plain' },
+      ]);
+    });
+
+    it('should quote only the fields that need it', () => {
+      const text = formatCsv(['id', 'name'], [{ id: 1, name: 'Main St, "North"' }, { id: 2 }]);
+
+      expect(text).toBe('id,name\r\n1,"Main St, ""North"""\r\n2,\r\n');
+      expect(parseCsv(text)).toEqual([{ id: '1', name: 'Main St, "North"' }, { id: '2', name: '' }]);
+    });
+  });
+
+  describe('times', () => {
+    it('should keep times past midnight on the same service day', () => {
+      expect(parseGtfsTime('25:30:00')).toBe(91800);
+      expect(parseGtfsTime('6:05:00')).toBe(21900);
+      expect(parseGtfsTime('')).toBeNull();
+      expect(formatGtfsTime(91800)).toBe('25:30:00');
+    });
+  });
+
+  describe('feedToRoutes', () => {
+    const { routes, skipped } = feedToRoutes(readFeed(zipOf(feed)));
+    const byId = Object.fromEntries(routes.map((route) => [route.RouteID, route]));
+
+    it('should take stops from the longest trip in stop_sequence order', () => {
+      expect(byId.R1.name).toBe('Downtown Express');
+      expect(byId.R1.description).toBe('Express service, downtown');
+      expect(byId.R1.stops).toEqual([
+        { id: 'S1', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+        { id: 'S2', name: 'Business District', coordinates: [40.7589, -73.9851] },
+        { id: 'S3', name: 'Shopping Center', coordinates: [40.7505, -73.9934] },
+      ]);
+    });
+
+    it('should derive service windows from calendar.txt and frequencies.txt', () => {
+      expect(byId.R1.schedule).toEqual({ weekdays: '06:00-22:00', weekends: '08:00-20:00' });
+      expect(byId.R1.frequency).toBe('15 minutes');
+    });
+
+    it('should derive headways from timetabled trips running past midnight', () => {
+      expect(byId.R2.schedule).toEqual({ weekdays: '23:30-01:00' });
+      expect(byId.R2.frequency).toBe('45 minutes');
+    });
+
+    it('should skip routes without trips', () => {
+      expect(skipped).toEqual([
+        { routeId: 'R3', reason: 'Route has no trips with at least two stops' },
+      ]);
+    });
+
+    it('should reject an archive missing a required file', () => {
+      const incomplete = { ...feed };
+      delete incomplete['calendar.txt'];
+
+      expect(() => readFeed(zipOf(incomplete))).toThrow('GTFS feed is missing calendar.txt');
+    });
+  });
+
+  describe('routesToFeed', () => {
+    const route = {
+      RouteID: 'route-001',
+      name: 'Downtown Express',
+      description: 'Express service to downtown area',
+      stops: [
+        { id: 'stop-001', name: 'Central Station', coordinates: [40.7128, -74.0060] },
+        { id: 'stop-002', name: 'Business District', coordinates: [40.7589, -73.9851] },
+        { id: 'stop-003', name: 'Shopping Center', coordinates: [40.7505, -73.9934] },
+      ],
+      schedule: { weekdays: '06:00-22:00', weekends: '20:00-01:30' },
+      frequency: '15 minutes',
+      active: true,
+    };
+    const files = routesToFeed([route], { from: new Date('2025-10-01T00:00:00Z') });
+
+    it('should write one frequency-based trip per service day type', () => {
+      expect(files['trips.txt'].map((trip) => trip.trip_id))
+        .toEqual(['route-001-weekdays', 'route-001-weekends']);
+      expect(files['frequencies.txt'][1]).toMatchObject({
+        start_time: '20:00:00',
+        end_time: '25:30:00',
+        headway_secs: 900,
+      });
+      expect(files['calendar.txt'][0]).toMatchObject({
+        service_id: 'weekdays', monday: 1, saturday: 0, start_date: '20251001', end_date: '20261001',
+      });
+    });
+
+    it('should space stop times by distance between stops', () => {
+      const times = files['stop_times.txt']
+        .filter((stopTime) => stopTime.trip_id === 'route-001-weekdays')
+        .map((stopTime) => parseGtfsTime(stopTime.arrival_time));
+
+      expect(times[0]).toBe(6 * 3600);
+      expect(times[1]).toBeGreaterThan(times[0]);
+      expect(times[2]).toBeGreaterThan(times[1]);
+    });
+
+    it('should round-trip through a zip back to the same route', () => {
+      const { routes } = feedToRoutes(readFeed(writeFeed(files)));
+
+      expect(routes).toEqual([route]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const zlib = require('zlib');
+const { negotiate, withHttpResponse } = require('../../src/utils/http');
+const { successResponse, errorResponse } = require('../../src/utils/response');
+
+describe('HTTP response handling', () => {
+  const handlerReturning = (response, options = {}) => withHttpResponse(
+    options,
+    async () => response,
+  );
+
+  describe('CORS', () => {
+    it('should echo an allowed origin with credentials', async () => {
+      const result = await handlerReturning(successResponse({ data: {} }))({
+        headers: { origin: 'https://app.example.com' },
+      });
+
+      expect(result.headers).toMatchObject({
+        'Access-Control-Allow-Origin': 'https://app.example.com',
+        'Access-Control-Allow-Credentials': 'true',
+        'Access-Control-Expose-Headers': expect.stringContaining('X-Request-Id,ETag'),
+        Vary: expect.stringContaining('Origin'),
+      });
+    });
+
+    it('should send no CORS headers to other origins', async () => {
+      const result = await handlerReturning(errorResponse(404, 'Route not found'))({
+        headers: { Origin: 'https://evil.example.com' },
+      });
+
+      expect(result.headers).not.toHaveProperty('Access-Control-Allow-Origin');
+      expect(result.headers).not.toHaveProperty('Access-Control-Allow-Credentials');
+    });
+  });
+
+  it('should set security headers on every response', async () => {
+    const result = await handlerReturning(errorResponse(500, 'Internal server error'))({});
+
+    expect(result.headers).toMatchObject({
+      'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+    });
+  });
+
+  describe('compression', () => {
+    const large = successResponse({ data: Array.from({ length: 100 }, (_, i) => ({ id: i })) });
+
+    it('should gzip large bodies when the client accepts gzip', async () => {
+      const result = await handlerReturning(large)({
+        headers: { 'Accept-Encoding': 'gzip, deflate', Accept: 'application/json' },
+      });
+
+      expect(result.isBase64Encoded).toBe(true);
+      expect(result.headers['Content-Encoding']).toBe('gzip');
+      expect(result.headers.Vary).toBe('Accept-Encoding, Origin');
+      expect(zlib.gunzipSync(Buffer.from(result.body, 'base64')).toString()).toBe(large.body);
+    });
+
+    it('should gzip whatever the client accepts first', async () => {
+      const result = await handlerReturning(large)({
+        headers: { 'Accept-Encoding': 'gzip', Accept: '*/*' },
+      });
+
+      expect(result.isBase64Encoded).toBe(true);
+      expect(result.headers['Content-Encoding']).toBe('gzip');
+    });
+
+    it('should leave bodies uncompressed for clients that do not accept gzip', async () => {
+      const result = await handlerReturning(large)({ headers: { Accept: 'application/json' } });
+
+      expect(result.isBase64Encoded).toBeUndefined();
+      expect(result.body).toBe(large.body);
+    });
+
+    it('should leave small bodies uncompressed', async () => {
+      const small = successResponse({ data: { id: 1 } });
+      const result = await handlerReturning(small)({
+        headers: { 'Accept-Encoding': 'gzip', Accept: 'application/json' },
+      });
+
+      expect(result.body).toBe(small.body);
+    });
+  });
+
+  it('should hand the handler a base64-encoded request body decoded', async () => {
+    const handler = jest.fn(async () => successResponse({ data: {} }));
+
+    await withHttpResponse({}, handler)({
+      body: Buffer.from('{"status":"active"}').toString('base64'),
+      isBase64Encoded: true,
+    });
+
+    expect(handler.mock.calls[0][0]).toMatchObject({
+      body: '{"status":"active"}',
+      isBase64Encoded: false,
+    });
+  });
+
+  describe('negotiate', () => {
+    const available = ['application/json', 'application/geo+json'];
+
+    it('should prefer the highest quality and fall back to the first type', () => {
+      expect(negotiate('application/geo+json', available)).toBe('application/geo+json');
+      expect(negotiate('application/geo+json;q=0.5, application/json', available))
+        .toBe('application/json');
+      expect(negotiate('*/*', available)).toBe('application/json');
+      expect(negotiate('text/html', available)).toBe('application/json');
+      expect(negotiate(undefined, available)).toBe('application/json');
+    });
+  });
+});
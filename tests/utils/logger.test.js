@@ -0,0 +1,81 @@
+const logger = require('../../src/utils/logger');
+const { withLogContext } = require('../../src/utils/handler');
+
+describe('Logger', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = [];
+    jest.spyOn(console, 'log').mockImplementation((line) => entries.push(JSON.parse(line)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    logger.clearContext();
+  });
+
+  it('should serialize errors with their name, message and stack', () => {
+    const error = Object.assign(new Error('Throttled'), { code: 'ThrottlingException' });
+
+    logger.error('Write failed:', error);
+
+    expect(entries[0].data[0]).toEqual({
+      name: 'Error',
+      message: 'Throttled',
+      code: 'ThrottlingException',
+      stack: expect.stringContaining('Error: Throttled'),
+    });
+  });
+
+  it('should redact sensitive fields at any depth', () => {
+    logger.error('Bus rejected', {
+      BusID: 'bus-001',
+      driver: { id: 'driver-001', name: 'Sam', license: 'DL123456' },
+      headers: { Authorization: 'Bearer abc' },
+    });
+
+    expect(entries[0].data[0]).toEqual({
+      BusID: 'bus-001',
+      driver: { id: 'driver-001', name: 'Sam', license: '[REDACTED]' },
+      headers: { Authorization: '[REDACTED]' },
+    });
+  });
+
+  describe('withLogContext', () => {
+    const handler = withLogContext(async () => {
+      logger.error('Handling request');
+      return { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: '{}' };
+    });
+
+    it('should tag entries with the invocation context and echo the request ID', async () => {
+      const response = await handler(
+        { pathParameters: { busId: 'bus-001' }, queryStringParameters: { routeId: 'route-001' } },
+        { awsRequestId: 'aws-request-1', functionName: 'updateLocation' },
+      );
+
+      expect(entries[0]).toMatchObject({
+        requestId: 'aws-request-1',
+        functionName: 'updateLocation',
+        busId: 'bus-001',
+        routeId: 'route-001',
+      });
+      expect(response.headers).toMatchObject({
+        'Content-Type': 'application/json',
+        'X-Request-Id': 'aws-request-1',
+      });
+      expect(logger.getContext()).toEqual({});
+    });
+
+    it("should prefer the caller's X-Request-Id and ignore unsafe values", async () => {
+      const supplied = await handler({ headers: { 'x-request-id': 'trace-42' } }, {
+        awsRequestId: 'aws-request-2',
+      });
+      const unsafe = await handler({ headers: { 'X-Request-Id': 'bad id\n{"level":"ERROR"}' } }, {
+        awsRequestId: 'aws-request-3',
+      });
+
+      expect(supplied.headers['X-Request-Id']).toBe('trace-42');
+      expect(unsafe.headers['X-Request-Id']).toBe('aws-request-3');
+    });
+  });
+});
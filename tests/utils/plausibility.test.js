@@ -0,0 +1,81 @@
+const { checkPlausibility, FLAGS } = require('../../src/utils/plausibility');
+const { AppError } = require('../../src/utils/errors');
+
+const now = Date.parse('2025-10-01T10:00:30.000Z');
+
+const previous = {
+  timestamp: '2025-10-01T10:00:00.000Z',
+  latitude: 40.7128,
+  longitude: -74.0060,
+};
+
+const captureError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected function to throw');
+};
+
+describe('checkPlausibility', () => {
+  it('should accept the first fix for a bus', () => {
+    const result = checkPlausibility(null, { ...previous, speed: 20 }, now);
+
+    expect(result.flags).toEqual([]);
+  });
+
+  it('should accept a fix at a realistic speed', () => {
+    // ~250 m in 30 s is 30 km/h
+    const fix = { timestamp: '2025-10-01T10:00:30.000Z', latitude: 40.7150, longitude: -74.0060 };
+
+    const result = checkPlausibility(previous, fix, now);
+
+    expect(result.flags).toEqual([]);
+    expect(result.impliedSpeedKmh).toBeLessThan(100);
+  });
+
+  it('should ignore GPS jitter between closely spaced fixes', () => {
+    const fix = { timestamp: '2025-10-01T10:00:01.000Z', latitude: 40.7131, longitude: -74.0060 };
+
+    expect(() => checkPlausibility(previous, fix, now)).not.toThrow();
+  });
+
+  it('should reject a fix that teleports the bus across the city', () => {
+    const fix = { timestamp: '2025-10-01T10:00:30.000Z', latitude: 40.7589, longitude: -73.9851 };
+
+    const error = captureError(() => checkPlausibility(previous, fix, now));
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(422);
+    expect(error.details.impliedSpeedKmh).toBeGreaterThan(100);
+  });
+
+  it('should reject a fix older than the stored one', () => {
+    const fix = { ...previous, timestamp: '2025-10-01T09:59:00.000Z' };
+
+    const error = captureError(() => checkPlausibility(previous, fix, now));
+
+    expect(error.statusCode).toBe(409);
+    expect(error.details.latestTimestamp).toBe(previous.timestamp);
+  });
+
+  it('should reject a fix far in the future', () => {
+    const fix = { ...previous, timestamp: '2025-10-01T11:00:00.000Z' };
+
+    const error = captureError(() => checkPlausibility(null, fix, now));
+
+    expect(error.statusCode).toBe(422);
+    expect(error.message).toBe('Location timestamp is too far in the future');
+  });
+
+  it('should flag a reported speed above the limit and a fix after a gap', () => {
+    const fix = {
+      timestamp: '2025-10-01T10:05:00.000Z', latitude: 40.7150, longitude: -74.0060, speed: 140,
+    };
+
+    const result = checkPlausibility(previous, fix, Date.parse(fix.timestamp));
+
+    expect(result.flags).toEqual([FLAGS.REPORTED_SPEED_ABOVE_LIMIT, FLAGS.AFTER_GAP]);
+  });
+});
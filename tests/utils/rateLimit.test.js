@@ -0,0 +1,108 @@
+const { withRateLimit, getClientKey } = require('../../src/utils/rateLimit');
+const rateLimitService = require('../../src/services/rateLimitService');
+const { successResponse } = require('../../src/utils/response');
+const { getRedisClient } = require('../../src/services/redis');
+const { asOperator, asDriver } = require('../helpers/auth');
+
+describe('Rate limiting', () => {
+  const budget = { LIMIT: 3, WINDOW_SECONDS: 60 };
+  const handler = withRateLimit(budget, async () => successResponse({ data: { ok: true } }));
+
+  const fromIp = (sourceIp, resource = '/routes') => ({
+    httpMethod: 'GET',
+    resource,
+    requestContext: { identity: { sourceIp } },
+  });
+
+  // Sequential calls, so each sees the budget the previous one left
+  const callInTurn = (count, event, wrapped = handler) => Array.from({ length: count }).reduce(
+    async (previous) => [...await previous, await wrapped(event)],
+    Promise.resolve([]),
+  );
+
+  beforeEach(async () => {
+    await getRedisClient().flushall();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should count down the budget and throttle once it is spent', async () => {
+    const allowed = await callInTurn(3, fromIp('203.0.113.7'));
+    const throttled = await handler(fromIp('203.0.113.7'));
+
+    expect(allowed.map((result) => result.headers['X-RateLimit-Remaining']))
+      .toEqual(['2', '1', '0']);
+    expect(allowed[0].headers['X-RateLimit-Limit']).toBe('3');
+    expect(allowed[0].payload).toEqual({ data: { ok: true } });
+    expect(throttled.statusCode).toBe(429);
+    expect(throttled.headers['Retry-After']).toBe('60');
+    expect(throttled.headers['X-RateLimit-Remaining']).toBe('0');
+    expect(JSON.parse(throttled.body).error.details).toEqual({ retryAfterSeconds: 60 });
+  });
+
+  it('should keep separate budgets per client and per route', async () => {
+    await Promise.all([1, 2, 3, 4].map(() => handler(fromIp('203.0.113.7'))));
+
+    const otherClient = await handler(fromIp('198.51.100.2'));
+    const otherRoute = await handler(fromIp('203.0.113.7', '/alerts'));
+
+    expect(otherClient.statusCode).toBe(200);
+    expect(otherRoute.statusCode).toBe(200);
+  });
+
+  it('should free requests as the window slides', async () => {
+    const start = Date.now();
+    await rateLimitService.consume('test', budget, start);
+    await rateLimitService.consume('test', budget, start + 20000);
+    await rateLimitService.consume('test', budget, start + 40000);
+
+    const blocked = await rateLimitService.consume('test', budget, start + 50000);
+    const freed = await rateLimitService.consume('test', budget, start + 60001);
+
+    expect(blocked).toMatchObject({ allowed: false, remaining: 0, resetSeconds: 10 });
+    expect(freed).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('should keep separate location budgets per bus', async () => {
+    const perBus = withRateLimit(
+      { ...budget, PER_BUS: true },
+      async () => successResponse({ data: { ok: true } }),
+    );
+    const writeFor = (busId) => asOperator({
+      ...fromIp('203.0.113.7', '/buses/{busId}/location'),
+      httpMethod: 'PUT',
+      pathParameters: { busId },
+    });
+
+    const [throttled] = (await callInTurn(4, writeFor('bus-001'), perBus)).slice(-1);
+    const otherBus = await perBus(writeFor('bus-002'));
+
+    expect(throttled.statusCode).toBe(429);
+    expect(otherBus.statusCode).toBe(200);
+  });
+
+  it('should key clients by checked API key, then token subject, then source IP', () => {
+    const ip = { requestContext: { identity: { sourceIp: '203.0.113.7' } } };
+    const checkedKey = {
+      requestContext: { identity: { sourceIp: '203.0.113.7', apiKey: 'secret-key' } },
+    };
+
+    expect(getClientKey(checkedKey)).toMatch(/^key:[0-9a-f]{32}$/);
+    expect(getClientKey({ ...ip, headers: { 'x-api-key': 'made-up-key' } }))
+      .toBe('ip:203.0.113.7');
+    expect(getClientKey(asDriver('bus-001', ip))).toBe('driver:driver-bus-001');
+    expect(getClientKey({ ...ip, headers: { Authorization: 'Bearer not-a-token' } }))
+      .toBe('ip:203.0.113.7');
+  });
+
+  it('should let requests through when Redis is unavailable', async () => {
+    jest.spyOn(rateLimitService, 'consume').mockRejectedValue(new Error('Connection is closed.'));
+
+    const result = await handler(fromIp('203.0.113.7'));
+
+    expect(result.statusCode).toBe(200);
+    expect(result.headers).not.toHaveProperty('X-RateLimit-Limit');
+  });
+});
@@ -0,0 +1,41 @@
+const { isInService, serviceDayType } = require('../../src/utils/schedule');
+
+describe('Schedule utilities', () => {
+  describe('isInService', () => {
+    const schedule = { weekdays: '06:00-22:00', weekends: '20:00-01:30' };
+
+    it('should use the weekday or weekend window of the local day', () => {
+      // Friday 2025-10-03, 08:00 in New York
+      expect(isInService(schedule, new Date('2025-10-03T12:00:00Z'), 'America/New_York')).toBe(true);
+      // Friday 2025-10-03, 23:00 in New York
+      expect(isInService(schedule, new Date('2025-10-04T03:00:00Z'), 'America/New_York')).toBe(false);
+      // Saturday 2025-10-04, 12:00 UTC
+      expect(isInService(schedule, new Date('2025-10-04T12:00:00Z'), 'UTC')).toBe(false);
+    });
+
+    it('should count the hours after midnight toward the day a window starts', () => {
+      // Sunday 00:30 belongs to Saturday's 20:00-01:30 window
+      expect(isInService(schedule, new Date('2025-10-05T00:30:00Z'), 'UTC')).toBe(true);
+      // Saturday 00:30 follows a Friday that closed at 22:00
+      expect(isInService(schedule, new Date('2025-10-04T00:30:00Z'), 'UTC')).toBe(false);
+      // Monday 01:00 still belongs to Sunday's window
+      expect(isInService(schedule, new Date('2025-10-06T01:00:00Z'), 'UTC')).toBe(true);
+      expect(isInService(undefined, new Date(), 'UTC')).toBe(false);
+    });
+  });
+
+  describe('serviceDayType', () => {
+    const schedule = { weekdays: '20:00-01:30', weekends: '08:00-20:00' };
+
+    it('should name the window running, including the day an overnight window started', () => {
+      // Friday 21:00
+      expect(serviceDayType(schedule, new Date('2025-10-03T21:00:00Z'), 'UTC')).toBe('weekdays');
+      // Saturday 01:00, still in Friday's window
+      expect(serviceDayType(schedule, new Date('2025-10-04T01:00:00Z'), 'UTC')).toBe('weekdays');
+      // Saturday 09:00
+      expect(serviceDayType(schedule, new Date('2025-10-04T09:00:00Z'), 'UTC')).toBe('weekends');
+      // Saturday 21:00
+      expect(serviceDayType(schedule, new Date('2025-10-04T21:00:00Z'), 'UTC')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  createVirtualBus, advanceBus, busPosition, reportFix,
+} = require('../../src/utils/simulation');
+const { haversineDistance } = require('../../src/utils/geo');
+const { SIMULATION } = require('../../src/config/constants');
+
+const route = {
+  RouteID: 'route-001',
+  stops: [
+    { id: 'stop-001', coordinates: [40.7128, -74.0060] },
+    { id: 'stop-002', coordinates: [40.7200, -74.0060] }, // ~800 m due north
+    { id: 'stop-003', coordinates: [40.7272, -74.0060] },
+  ],
+};
+
+// Always 0: a bus heading forward from the first stop at minimum speed, with minimum dwell
+const low = () => 0;
+
+describe('Fleet simulation', () => {
+  const start = () => createVirtualBus('sim-001', route, low);
+
+  it('should start buses on the route heading towards the next stop', () => {
+    const bus = start();
+
+    expect(bus).toMatchObject({
+      routeId: 'route-001', stopIndex: 0, direction: 1, traveledMeters: 0,
+    });
+    expect(busPosition(bus)).toMatchObject({ latitude: 40.7128, longitude: -74.0060, heading: 0 });
+  });
+
+  it('should move at its speed and dwell on reaching a stop', () => {
+    const bus = start();
+    const metersPerSecond = bus.speedKmh / 3.6;
+    const legMeters = haversineDistance(40.7128, -74.0060, 40.7200, -74.0060);
+    const secondsToStop = legMeters / metersPerSecond;
+
+    const moving = advanceBus(bus, 30, low);
+    const dwelling = advanceBus(bus, secondsToStop + 5, low);
+    const leaving = advanceBus(bus, secondsToStop + SIMULATION.MIN_DWELL_SECONDS + 10, low);
+
+    expect(moving.traveledMeters).toBeCloseTo(metersPerSecond * 30);
+    expect(dwelling).toMatchObject({ stopIndex: 1, traveledMeters: 0 });
+    expect(dwelling.dwellSeconds).toBeCloseTo(SIMULATION.MIN_DWELL_SECONDS - 5);
+    expect(reportFix(dwelling, Date.now()).fix.speed).toBe(0);
+    expect(leaving.stopIndex).toBe(1);
+    expect(leaving.traveledMeters).toBeCloseTo((leaving.speedKmh / 3.6) * 10);
+  });
+
+  it('should turn round with a layover at the end of the route', () => {
+    const bus = { ...start(), stopIndex: 1, traveledMeters: 799 };
+
+    const turned = advanceBus(bus, 10, low);
+
+    expect(turned).toMatchObject({ stopIndex: 2, direction: -1 });
+    expect(turned.dwellSeconds).toBeGreaterThan(SIMULATION.LAYOVER_SECONDS);
+    expect(busPosition(turned).heading).toBeCloseTo(180);
+  });
+
+  it('should keep GPS noise within the given distance', () => {
+    const bus = { ...start(), traveledMeters: 400 };
+    const exact = busPosition(bus);
+    const noisy = Array.from({ length: 50 }, () => reportFix(bus, Date.now(), {
+      noiseMeters: 20,
+    }).fix);
+
+    noisy.forEach((fix) => {
+      expect(haversineDistance(exact.latitude, exact.longitude, fix.latitude, fix.longitude))
+        .toBeLessThanOrEqual(20.5);
+    });
+    expect(new Set(noisy.map((fix) => fix.latitude)).size).toBeGreaterThan(1);
+  });
+
+  it('should drop fixes for the whole of a GPS outage', () => {
+    // The first draw starts an outage, the second makes it last the longest allowed
+    const draws = [0, 0.99];
+    const random = () => draws.shift() ?? 0.5;
+
+    let { bus, fix } = reportFix(start(), Date.now(), { dropoutRate: 0.1 }, random);
+    const missed = [fix];
+    while (bus.dropoutIntervals > 0) {
+      ({ bus, fix } = reportFix(bus, Date.now(), { dropoutRate: 0.1 }, random));
+      missed.push(fix);
+    }
+
+    expect(missed).toEqual(Array(SIMULATION.MAX_DROPOUT_INTERVALS).fill(null));
+    expect(reportFix(bus, Date.now(), { dropoutRate: 0.1 }, random).fix).not.toBeNull();
+  });
+});
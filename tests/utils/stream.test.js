@@ -0,0 +1,30 @@
+const { processInOrder } = require('../../src/utils/stream');
+
+const records = ['101', '102', '103'].map((sequenceNumber) => ({
+  dynamodb: { SequenceNumber: sequenceNumber },
+}));
+
+describe('processInOrder', () => {
+  it('should process every record one after another', async () => {
+    const processed = [];
+
+    const failures = await processInOrder(records, async (record) => {
+      await new Promise((resolve) => { setImmediate(resolve); });
+      processed.push(record.dynamodb.SequenceNumber);
+    });
+
+    expect(failures).toEqual([]);
+    expect(processed).toEqual(['101', '102', '103']);
+  });
+
+  it('should stop at the first failure and report it with every record after it', async () => {
+    const processRecord = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Throttled'));
+
+    const failures = await processInOrder(records, processRecord);
+
+    expect(failures).toEqual([{ itemIdentifier: '102' }, { itemIdentifier: '103' }]);
+    expect(processRecord).toHaveBeenCalledTimes(2);
+  });
+});